@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Writes `content` to a temporary file next to `file` and flushes it to disk. Resolves to the
+// temporary file's path; nothing is left behind if it fails.
+async function writeTempFile(file, content, { mode = 0o644 } = {}) {
+    const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${suffix}`);
+
+    try {
+        const handle = await fs.open(tempFile, 'w', mode);
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        return tempFile;
+    } catch (error) {
+        await fs.rm(tempFile, { force: true });
+        throw error;
+    }
+}
+
+// Writes `content` to a temporary file next to `file`, flushes it to disk and renames it over `file`.
+// Rename is atomic on the same filesystem, so readers see either the old or the new contents,
+// never a half-written file, even if the process dies mid-write.
+async function writeFileAtomic(file, content, options) {
+    const tempFile = await writeTempFile(file, content, options);
+    try {
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.rm(tempFile, { force: true });
+        throw error;
+    }
+}
+
+module.exports = { writeTempFile, writeFileAtomic };
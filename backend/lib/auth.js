@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const users = require('./users');
+
+const SECRET_FILE = path.join(users.AUTH_DIR, 'session.secret');
+
+const SESSION_COOKIE = 'bonparte_session';
+const SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+const PREVIEW_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000; // 15 minutes
+
+// Sessions live in memory, so a server restart logs everyone out
+const sessions = new Map();
+const loginAttempts = new Map();
+let sessionSecret = null;
+
+// ==================== SETUP ====================
+
+// Loads the session secret and user store, creating an owner account on first run.
+// ADMIN_USERNAME / ADMIN_PASSWORD seed the account; otherwise a password is generated and printed once.
+async function initAuth() {
+    await users.loadUsers();
+
+    if (process.env.SESSION_SECRET) {
+        sessionSecret = process.env.SESSION_SECRET;
+    } else {
+        try {
+            sessionSecret = (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            sessionSecret = crypto.randomBytes(32).toString('hex');
+            await fs.writeFile(SECRET_FILE, sessionSecret, { encoding: 'utf8', mode: 0o600 });
+        }
+    }
+
+    if (!users.hasUsers()) {
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        await users.setPassword(username, password);
+
+        console.log(`🔐 Created owner account "${username}"`);
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log(`🔑 Generated password: ${password} (change it with: npm run set-password)`);
+        }
+    }
+}
+
+// ==================== SESSIONS ====================
+
+function sign(value) {
+    const signature = crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+    return `${value}.${signature}`;
+}
+
+function unsign(token) {
+    if (typeof token !== 'string') return null;
+
+    const index = token.lastIndexOf('.');
+    if (index <= 0) return null;
+
+    const value = token.slice(0, index);
+    const expected = Buffer.from(sign(value));
+    const actual = Buffer.from(token);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return value;
+}
+
+function createSession(username) {
+    const id = crypto.randomBytes(24).toString('base64url');
+    const session = {
+        id,
+        username,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + SESSION_TTL
+    };
+    sessions.set(id, session);
+    return { token: sign(id), session };
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+// Accepts the session cookie used by the admin panel or an "Authorization: Bearer" token
+function getTokenFromRequest(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function getSession(req) {
+    const id = unsign(getTokenFromRequest(req));
+    if (!id) return null;
+
+    const session = sessions.get(id);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(id);
+        return null;
+    }
+    return session;
+}
+
+function destroySession(req) {
+    const session = getSession(req);
+    if (session) sessions.delete(session.id);
+}
+
+// Ends every session for a user, e.g. after their account is disabled
+function destroyUserSessions(username) {
+    for (const [id, session] of sessions) {
+        if (session.username === username) sessions.delete(id);
+    }
+}
+
+function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/',
+        maxAge: SESSION_TTL
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// ==================== LOGIN ====================
+
+function isLockedOut(ip) {
+    const attempts = loginAttempts.get(ip);
+    if (!attempts) return false;
+
+    if (Date.now() - attempts.firstAttempt > LOGIN_LOCKOUT) {
+        loginAttempts.delete(ip);
+        return false;
+    }
+    return attempts.count >= MAX_LOGIN_ATTEMPTS;
+}
+
+function recordFailedLogin(ip) {
+    const attempts = loginAttempts.get(ip) || { count: 0, firstAttempt: Date.now() };
+    attempts.count++;
+    loginAttempts.set(ip, attempts);
+}
+
+function clearFailedLogins(ip) {
+    loginAttempts.delete(ip);
+}
+
+// ==================== PREVIEW LINKS ====================
+
+// A token for index.html?preview=<token>, which shows the website with drafts applied to anyone
+// who has the link until it expires. It is signed rather than stored, so it outlives a restart.
+function createPreviewToken() {
+    const expiresAt = Date.now() + PREVIEW_TTL;
+    return { token: sign(`preview-${expiresAt}`), expiresAt };
+}
+
+// When a preview token expires, or null when it isn't valid (any more)
+function previewTokenExpiry(token) {
+    const match = /^preview-(\d+)$/.exec(unsign(token) || '');
+    const expiresAt = match ? Number(match[1]) : 0;
+    return expiresAt > Date.now() ? expiresAt : null;
+}
+
+// ==================== MIDDLEWARE ====================
+
+// Attaches req.session and req.user. The user is looked up on every request
+// so role changes and disabled accounts take effect immediately.
+function requireAuth(req, res, next) {
+    const session = getSession(req);
+    const user = session && users.findUser(session.username);
+    if (!user || user.disabled) {
+        if (session) sessions.delete(session.id);
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    req.session = session;
+    req.user = user;
+    next();
+}
+
+// Periodically drop expired sessions so the map doesn't grow forever
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+        if (session.expiresAt <= now) sessions.delete(id);
+    }
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+    SESSION_TTL,
+    initAuth,
+    createSession,
+    getSession,
+    destroySession,
+    destroyUserSessions,
+    setSessionCookie,
+    clearSessionCookie,
+    isLockedOut,
+    recordFailedLogin,
+    clearFailedLogins,
+    createPreviewToken,
+    previewTokenExpiry,
+    requireAuth
+};
@@ -0,0 +1,328 @@
+const fs = require('fs').promises;
+const path = require('path');
+const archiver = require('archiver');
+const { writeFileAtomic } = require('./atomicFile');
+const { isValidFilename, listDataFiles, readContent, writeDataFiles, discardDraft } = require('./dataFiles');
+const { validateData } = require('./validation');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+const MANIFEST_FILE = '.backup.json';
+const BACKUP_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Automatic backup settings (environment variables, 0 disables a limit)
+const settings = {
+    intervalHours: parseFloat(process.env.BACKUP_INTERVAL_HOURS || '24'),
+    retentionCount: parseInt(process.env.BACKUP_RETENTION_COUNT || '14', 10),
+    retentionDays: parseFloat(process.env.BACKUP_RETENTION_DAYS || '0')
+};
+
+// Longest single wait for the next automatic backup
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+let scheduleTimer = null;
+let nextRunAt = null;
+
+function isValidBackupId(id) {
+    return BACKUP_ID_PATTERN.test(id);
+}
+
+function backupPath(id) {
+    return path.join(BACKUP_DIR, id);
+}
+
+// Data files inside a backup folder (the manifest is a dot-file and never restored)
+async function listBackupFiles(dir) {
+    const entries = await fs.readdir(dir);
+    return entries.filter(entry => !entry.startsWith('.') && isValidFilename(entry)).sort();
+}
+
+// ==================== CREATE ====================
+
+// Makes the folder for a new backup, named after the time. A backup made in the same millisecond
+// as another gets a numbered suffix (2025-06-14T09-30-00-000Z-2) rather than sharing its folder.
+async function makeBackupDir() {
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    for (let attempt = 1; ; attempt++) {
+        const id = attempt === 1 ? stamp : `${stamp}-${attempt}`;
+        try {
+            await fs.mkdir(backupPath(id));
+            return id;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+}
+
+// Copies every data file into backups/<timestamp> as plain JSON, whichever storage backend holds them.
+// `type` is 'manual', 'automatic' or 'pre-restore'.
+async function createBackup({ type = 'manual', author = 'system' } = {}) {
+    const id = await makeBackupDir();
+    const dir = backupPath(id);
+
+    const files = await listDataFiles();
+    for (const file of files) {
+        await fs.writeFile(path.join(dir, file), await readContent(file), 'utf8');
+    }
+
+    const manifest = {
+        id,
+        type,
+        author,
+        createdAt: new Date().toISOString(),
+        files
+    };
+    await writeFileAtomic(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    return { ...manifest, path: dir };
+}
+
+// ==================== LIST ====================
+
+async function getBackup(id) {
+    if (!isValidBackupId(id)) return null;
+
+    const dir = backupPath(id);
+    let stats;
+    try {
+        stats = await fs.stat(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    if (!stats.isDirectory()) return null;
+
+    // Backups made before manifests existed are treated as manual
+    let manifest = { type: 'manual', author: null, createdAt: stats.mtime.toISOString() };
+    try {
+        manifest = { ...manifest, ...JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8')) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Error reading manifest for backup ${id}:`, error);
+    }
+
+    const files = await listBackupFiles(dir);
+    let size = 0;
+    for (const file of files) {
+        size += (await fs.stat(path.join(dir, file))).size;
+    }
+
+    return {
+        id,
+        type: manifest.type,
+        author: manifest.author,
+        createdAt: manifest.createdAt,
+        files,
+        size
+    };
+}
+
+// All backups, newest first
+async function listBackups() {
+    let entries;
+    try {
+        entries = await fs.readdir(BACKUP_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const backups = [];
+    for (const entry of entries) {
+        const backup = await getBackup(entry);
+        if (backup) backups.push(backup);
+    }
+
+    return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Newest backup copy of a data file that parses and validates, as { backupId, data }, or null.
+// Used to repair a corrupt data file that has no revision history.
+async function findLatestBackupCopy(filename) {
+    for (const backup of await listBackups()) {
+        if (!backup.files.includes(filename)) continue;
+
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(backupPath(backup.id), filename), 'utf8'));
+            if (!validateData(filename, data)) {
+                return { backupId: backup.id, data };
+            }
+        } catch (error) {
+            // Damaged copy, try an older backup
+        }
+    }
+
+    return null;
+}
+
+async function deleteBackup(id) {
+    const backup = await getBackup(id);
+    if (!backup) return false;
+
+    await fs.rm(backupPath(id), { recursive: true, force: true });
+    return true;
+}
+
+// ==================== DOWNLOAD ====================
+
+// Streams a backup to `output` (e.g. an Express response) as a zip file
+function streamBackupArchive(id, output) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('warning', error => console.error(`Archive warning for backup ${id}:`, error));
+    archive.pipe(output);
+
+    archive.glob('*.json', { cwd: backupPath(id), dot: false });
+
+    return archive.finalize();
+}
+
+// ==================== RESTORE ====================
+
+// Validates every file in a backup, then swaps them all in with one write, so a restore that fails
+// leaves the current data as it was. The current data is backed up first so a restore can itself
+// be undone.
+async function restoreBackup(id, author) {
+    const backup = await getBackup(id);
+    if (!backup) {
+        throw new BackupError('Backup not found', 404);
+    }
+
+    const dir = backupPath(id);
+    const restored = [];
+    const errors = [];
+
+    for (const file of backup.files) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+            const validationError = validateData(file, data);
+            if (validationError) {
+                errors.push({ file, error: validationError });
+            } else {
+                restored.push({ file, data });
+            }
+        } catch (error) {
+            errors.push({ file, error: `Invalid JSON: ${error.message}` });
+        }
+    }
+
+    if (errors.length) {
+        throw new BackupError('Backup contains invalid files; nothing was restored', 400, errors);
+    }
+
+    const safetyBackup = await createBackup({ type: 'pre-restore', author });
+
+    // A backup goes live at once, and drafts made on top of what it replaces are dropped
+    const files = Object.fromEntries(restored.map(({ file, data }) => [file, data]));
+    await writeDataFiles(files, { author, action: `restore-backup ${id}` });
+    for (const { file } of restored) {
+        await discardDraft(file);
+    }
+
+    return {
+        backup,
+        files: restored.map(entry => entry.file),
+        safetyBackupId: safetyBackup.id
+    };
+}
+
+// ==================== RETENTION ====================
+
+// Deletes automatic backups beyond the retention count or older than the retention age.
+// Manual and pre-restore backups are kept until someone deletes them.
+async function pruneBackups() {
+    const automatic = (await listBackups()).filter(backup => backup.type === 'automatic');
+    const cutoff = settings.retentionDays > 0
+        ? Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000
+        : null;
+
+    const pruned = [];
+    for (const [index, backup] of automatic.entries()) {
+        const tooMany = settings.retentionCount > 0 && index >= settings.retentionCount;
+        const tooOld = cutoff !== null && new Date(backup.createdAt).getTime() < cutoff;
+        if (tooMany || tooOld) {
+            await deleteBackup(backup.id);
+            pruned.push(backup.id);
+        }
+    }
+
+    if (pruned.length) {
+        console.log(`🧹 Pruned ${pruned.length} old automatic backup(s)`);
+    }
+    return pruned;
+}
+
+// ==================== SCHEDULE ====================
+
+async function runAutomaticBackup() {
+    try {
+        const backup = await createBackup({ type: 'automatic' });
+        console.log(`💾 Automatic backup created: ${backup.id}`);
+        await pruneBackups();
+    } catch (error) {
+        console.error('Automatic backup failed:', error);
+    }
+}
+
+// Schedules the next automatic backup relative to the last one, so restarts don't reset the clock
+async function startBackupSchedule() {
+    if (!(settings.intervalHours > 0)) {
+        console.log('💾 Automatic backups disabled');
+        return;
+    }
+
+    const intervalMs = settings.intervalHours * 60 * 60 * 1000;
+    const lastAutomatic = (await listBackups()).find(backup => backup.type === 'automatic');
+
+    let lastRun = lastAutomatic ? new Date(lastAutomatic.createdAt).getTime() : 0;
+
+    // A long interval (720 hours for monthly) is waited out in steps, since a setTimeout longer than
+    // about 24 days fires straight away; each step checks whether the backup is due yet
+    const scheduleNext = () => {
+        const dueAt = lastRun + intervalMs;
+        nextRunAt = new Date(Math.max(dueAt, Date.now()));
+        scheduleTimer = setTimeout(async () => {
+            if (Date.now() >= dueAt) {
+                lastRun = Date.now();
+                await runAutomaticBackup();
+            }
+            scheduleNext();
+        }, Math.min(Math.max(dueAt - Date.now(), 0), MAX_TIMER_DELAY));
+        scheduleTimer.unref();
+    };
+
+    scheduleNext();
+}
+
+function getScheduleInfo() {
+    return {
+        ...settings,
+        enabled: settings.intervalHours > 0,
+        nextRunAt: nextRunAt ? nextRunAt.toISOString() : null
+    };
+}
+
+class BackupError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    BACKUP_DIR,
+    BackupError,
+    isValidBackupId,
+    createBackup,
+    getBackup,
+    listBackups,
+    findLatestBackupCopy,
+    deleteBackup,
+    streamBackupArchive,
+    restoreBackup,
+    pruneBackups,
+    startBackupSchedule,
+    getScheduleInfo
+};
@@ -0,0 +1,161 @@
+const EventSchedule = require('../../shared/schedule');
+const OpeningHours = require('../../shared/openingHours');
+
+// iCalendar (RFC 5545) versions of the events, for calendar apps to subscribe to or import.
+// Only events with a schedule can go in a calendar; free-text dates like "Every Friday | 7 PM" can't.
+//
+// Times are written in the cafe's time zone (from its opening hours, or the server's when it has
+// none), by its IANA name, which calendar apps understand without a VTIMEZONE block.
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const PRODUCT_ID = '-//The Bonparte Cafe//Events//EN';
+
+const BY_DAY = {
+    sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA'
+};
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// '2025-06-14' -> '20250614'
+function formatDate(date) {
+    return date.replace(/-/g, '');
+}
+
+// A local Date -> '20250614T190000'
+function formatLocalDateTime(date) {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+// A Date -> '20250614T170000Z'
+function formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// The part of the schedule after "RRULE:", or null for a one-off event
+function recurrenceRule(schedule, timeZone = SERVER_TIME_ZONE) {
+    let rule;
+    if (schedule.type === 'weekly') {
+        rule = `FREQ=WEEKLY;BYDAY=${schedule.weekdays.map(weekday => BY_DAY[weekday]).join(',')}`;
+    } else if (schedule.type === 'monthly' && schedule.dayOfMonth) {
+        rule = `FREQ=MONTHLY;BYMONTHDAY=${schedule.dayOfMonth}`;
+    } else if (schedule.type === 'monthly') {
+        rule = `FREQ=MONTHLY;BYDAY=${schedule.week}${BY_DAY[schedule.weekday]}`;
+    } else {
+        return null;
+    }
+
+    if (schedule.endDate) {
+        // UNTIL is inclusive, so the last day counts up to its end. With a time zone it has to be in UTC.
+        rule += schedule.startTime
+            ? `;UNTIL=${formatUtcDateTime(OpeningHours.cafeInstant(timeZone, schedule.endDate, '23:59'))}`
+            : `;UNTIL=${formatDate(schedule.endDate)}`;
+    }
+    return rule;
+}
+
+// DTSTART, DTEND and EXDATE lines for an occurrence, as a whole day or in the cafe's time zone.
+// The occurrence's local getters read the cafe's clock (see OpeningHours.cafeDate).
+function timeLines(occurrence, schedule, timeZone) {
+    if (occurrence.allDay) {
+        const lines = [
+            `DTSTART;VALUE=DATE:${formatDate(occurrence.date)}`,
+            `DTEND;VALUE=DATE:${formatDate(EventSchedule.toDateString(occurrence.end))}`
+        ];
+        (schedule.exceptions || []).forEach(date => lines.push(`EXDATE;VALUE=DATE:${formatDate(date)}`));
+        return lines;
+    }
+
+    const lines = [`DTSTART;TZID=${timeZone}:${formatLocalDateTime(occurrence.start)}`];
+    // Without an end time the event has no set length, so it shows as starting at its time
+    if (schedule.endTime) {
+        lines.push(`DTEND;TZID=${timeZone}:${formatLocalDateTime(occurrence.end)}`);
+    }
+    (schedule.exceptions || []).forEach(date => {
+        lines.push(`EXDATE;TZID=${timeZone}:${formatDate(date)}T${schedule.startTime.replace(':', '')}00`);
+    });
+    return lines;
+}
+
+// The VEVENT lines for an event, or an empty list when it has no schedule or is over
+function eventLines(event, { host, siteUrl, location, timeZone, now }) {
+    const schedule = event.schedule;
+    if (!schedule) return [];
+
+    // Schedules are worked out on the cafe's clock. A repeating event starts from its first date, or
+    // from its next occurrence if it has none set.
+    const cafeNow = OpeningHours.cafeDate(timeZone, now);
+    const from = schedule.startDate ? new Date(`${schedule.startDate}T00:00:00`) : cafeNow;
+    const first = EventSchedule.nextOccurrence(schedule, from);
+    if (!first || EventSchedule.hasEnded(schedule, cafeNow)) return [];
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:event-${event.id}@${host}`,
+        `DTSTAMP:${formatUtcDateTime(now)}`,
+        ...timeLines(first, schedule, timeZone)
+    ];
+
+    const rule = recurrenceRule(schedule, timeZone);
+    if (rule) lines.push(`RRULE:${rule}`);
+
+    lines.push(`SUMMARY:${escapeText(event.name)}`);
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    lines.push(`URL:${siteUrl}/#events`);
+    if (event.tag) lines.push(`CATEGORIES:${escapeText(event.tag)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// A whole calendar with the given events. `siteUrl` is where the website is (e.g. https://example.com),
+// `location` the cafe's address and `timeZone` the one its opening hours are in.
+function buildCalendar(events, { name, siteUrl, location, timeZone = SERVER_TIME_ZONE, now = new Date() }) {
+    const host = new URL(siteUrl).hostname;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`,
+        // How often subscribed calendars check for changes
+        'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+        'X-PUBLISHED-TTL:PT12H',
+        ...events.flatMap(event => eventLines(event, { host, siteUrl, location, timeZone, now })),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    SERVER_TIME_ZONE,
+    recurrenceRule,
+    buildCalendar
+};
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const revisions = require('./revisions');
+const { getStore, getDraftStore } = require('./storage');
+
+const FILENAME_PATTERN = /^[a-zA-Z0-9_-]+\.json$/;
+
+// Content files the website shows. Edits to them are kept as a draft until they're published;
+// other files (tables.json) take effect as soon as they're saved.
+const DRAFT_FILES = ['menu.json', 'specials.json', 'events.json', 'contact.json', 'announcements.json'];
+
+// Tail of the write queue for each file (see withFileLock)
+const fileLocks = new Map();
+
+// Emits 'change' with { filename, version } after every saved write, for the website's live updates
+const dataFileEvents = new EventEmitter();
+dataFileEvents.setMaxListeners(0);
+
+function isValidFilename(filename) {
+    return FILENAME_PATTERN.test(filename);
+}
+
+function isDraftFile(filename) {
+    return DRAFT_FILES.includes(filename);
+}
+
+// A file's version is a hash of its contents, sent to clients as the ETag
+function computeVersion(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Runs `task` once every earlier task for the same file has finished, so read-modify-write
+// cycles on one file never interleave. Different files don't wait for each other.
+function withFileLock(filename, task) {
+    const previous = fileLocks.get(filename) || Promise.resolve();
+    const run = previous.then(() => task());
+    const settled = run.catch(() => {});
+
+    fileLocks.set(filename, settled);
+    settled.then(() => {
+        if (fileLocks.get(filename) === settled) fileLocks.delete(filename);
+    });
+
+    return run;
+}
+
+// Runs `task` while holding the locks of all `filenames`. They're taken in name order, so two
+// tasks locking some of the same files can't each hold one the other is waiting for.
+function withFileLocks(filenames, task) {
+    return [...new Set(filenames)].sort().reduceRight(
+        (inner, filename) => () => withFileLock(filename, inner),
+        task
+    )();
+}
+
+// ==================== READ ====================
+
+function parseContent(content) {
+    return { data: JSON.parse(content), version: computeVersion(content) };
+}
+
+// Raw contents from the configured store. Missing files throw ENOENT like fs.readFile does.
+async function readContent(filename) {
+    const content = await getStore().read(filename);
+    if (content === null) {
+        const error = new Error(`${filename} not found`);
+        error.code = 'ENOENT';
+        throw error;
+    }
+    return content;
+}
+
+// Names of all stored data files
+async function listDataFiles() {
+    return (await getStore().list()).filter(isValidFilename);
+}
+
+// Reads a file that may be corrupt. Only call this while holding the file's lock.
+async function readLocked(filename) {
+    const content = await readContent(filename);
+    try {
+        return parseContent(content);
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        return recoverDataFile(filename, content, error);
+    }
+}
+
+// A file's draft, or null when it has no pending changes
+async function readDraftWithVersion(filename) {
+    const content = await getDraftStore().read(filename);
+    return content === null ? null : parseContent(content);
+}
+
+// The published file, or with `draft` its draft when it has one (see DRAFT_FILES)
+async function readDataFileWithVersion(filename, { draft = false } = {}) {
+    if (draft && isDraftFile(filename)) {
+        const pending = await readDraftWithVersion(filename);
+        if (pending) return pending;
+    }
+
+    const content = await readContent(filename);
+    try {
+        return parseContent(content);
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        // Repair under the lock; a queued request may already have done it
+        return withFileLock(filename, () => readLocked(filename));
+    }
+}
+
+async function readDataFile(filename, options) {
+    return (await readDataFileWithVersion(filename, options)).data;
+}
+
+// Names of the files with a draft waiting to be published
+async function listDrafts() {
+    return (await getDraftStore().list()).filter(isDraftFile);
+}
+
+// True when an If-Match header was sent and none of its tags match the current version.
+// Requests without If-Match are not checked.
+function isStaleVersion(ifMatch, currentVersion) {
+    if (!ifMatch) return false;
+    if (ifMatch.trim() === '*') return currentVersion === null;
+
+    const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''));
+    return !tags.includes(currentVersion);
+}
+
+// ==================== WRITE ====================
+
+// Read-modify-write of a data file while holding its lock.
+// `update(current)` gets { data, version } (both null for a new file) and returns the new data;
+// it can throw a DataFileError to abort without writing anything.
+// `options` is { author, action, restoredFrom, ifMatch }. When `ifMatch` is stale the update is
+// rejected with a 409 DataFileError carrying the current data. Resolves to { data, version, revision }.
+function updateDataFile(filename, update, options = {}) {
+    return withFileLock(filename, () => updateLocked(filename, update, options));
+}
+
+function staleVersionError(filename, current) {
+    return new DataFileError(
+        `${filename} was changed by someone else. Reload or merge your changes and try again.`,
+        409,
+        { currentVersion: current.version, currentData: current.data }
+    );
+}
+
+// The file as it is before a write, with the lock held; { data: null, version: null } when new.
+// Any other read error aborts the write, so a file that couldn't be read is never overwritten blind.
+async function readBeforeWrite(filename) {
+    try {
+        return await readLocked(filename);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { data: null, version: null };
+    }
+}
+
+// Announces a saved write and records it as a revision. Resolves to { data, version, revision }.
+async function afterWrite(filename, data, content, previous, meta) {
+    const version = computeVersion(content);
+    dataFileEvents.emit('change', { filename, version });
+
+    try {
+        const revision = await revisions.recordRevision(filename, data, previous, meta);
+        return { data, version, revision: revision.revision };
+    } catch (error) {
+        // The save itself succeeded, so don't fail the request over the history entry
+        console.error(`Error recording revision for ${filename}:`, error);
+        return { data, version, revision: null };
+    }
+}
+
+async function updateLocked(filename, update, options) {
+    const { ifMatch, ...meta } = options;
+
+    const current = await readBeforeWrite(filename);
+    if (isStaleVersion(ifMatch, current.version)) {
+        throw staleVersionError(filename, current);
+    }
+
+    const data = await update(current);
+    const content = JSON.stringify(data, null, 2);
+    await getStore().write(filename, content);
+    return afterWrite(filename, data, content, current.data, meta);
+}
+
+// An edit from the admin panel or API: like updateDataFile, but a file in DRAFT_FILES is changed in
+// its draft (started from the published file) and the website doesn't see it until it's published.
+// `ifMatch` is checked against the draft. Draft saves get no revision; publishing records one.
+// Resolves to { data, version, revision, draft }.
+function editDataFile(filename, update, options = {}) {
+    if (!isDraftFile(filename)) {
+        return updateDataFile(filename, update, options).then(saved => ({ ...saved, draft: false }));
+    }
+
+    return withFileLock(filename, async () => {
+        const published = await readLocked(filename);
+        const current = (await readDraftWithVersion(filename)) || published;
+        if (isStaleVersion(options.ifMatch, current.version)) {
+            throw staleVersionError(filename, current);
+        }
+
+        const data = await update(current);
+        const content = JSON.stringify(data, null, 2);
+        const version = computeVersion(content);
+        // An edit that puts everything back the way it's published leaves nothing to publish
+        if (version === published.version) {
+            await getDraftStore().remove(filename);
+        } else {
+            await getDraftStore().write(filename, content);
+        }
+        return { data, version, revision: null, draft: version !== published.version };
+    });
+}
+
+// Throws a file's draft away, leaving the published file as it is
+function discardDraft(filename) {
+    return withFileLock(filename, () => getDraftStore().remove(filename));
+}
+
+// Replaces a data file and records it as a new revision. Resolves to { data, version, revision }.
+function writeDataFile(filename, data, options = {}) {
+    return updateDataFile(filename, () => data, options);
+}
+
+// Replaces several data files at once, `files` being { filename: data }: the store saves all of them
+// or none (see writeAll). `options` is { author, action, baseVersions }, each file getting a revision
+// made with the author and action. With `baseVersions` ({ filename: version }) nothing is written
+// when any of those files has changed since, and a 409 DataFileError lists them in `details.stale`.
+// Resolves to { filename: { data, version, revision } }.
+function writeDataFiles(files, options = {}) {
+    return withFileLocks(Object.keys(files), () => writeAllLocked(files, options));
+}
+
+// writeDataFiles while holding the locks of all the files
+async function writeAllLocked(files, options) {
+    const { baseVersions, ...meta } = options;
+    const filenames = Object.keys(files);
+    const previous = {};
+    for (const filename of filenames) {
+        previous[filename] = await readBeforeWrite(filename);
+    }
+
+    const stale = baseVersions
+        ? filenames.filter(filename => previous[filename].version !== baseVersions[filename])
+        : [];
+    if (stale.length) {
+        throw new DataFileError(`${stale.join(', ')} changed since these changes were made`, 409, { stale });
+    }
+
+    const documents = filenames.map(name => ({ name, content: JSON.stringify(files[name], null, 2) }));
+    await getStore().writeAll(documents);
+
+    const saved = {};
+    for (const { name, content } of documents) {
+        saved[name] = await afterWrite(name, files[name], content, previous[name].data, meta);
+    }
+    return saved;
+}
+
+// Hands every draft to `take(drafts)` and removes them once it resolves, holding the files' locks
+// throughout so an edit can't land in between and be thrown away with them. `drafts` is
+// { filename: { data, version, publishedVersion } }; when `take` throws, the drafts are kept.
+async function takeDrafts(take) {
+    const filenames = await listDrafts();
+    return withFileLocks(filenames, async () => {
+        const drafts = {};
+        for (const filename of filenames) {
+            const draft = await readDraftWithVersion(filename);
+            if (!draft) continue;
+            drafts[filename] = { ...draft, publishedVersion: (await readLocked(filename)).version };
+        }
+
+        const result = await take(drafts);
+        for (const filename of Object.keys(drafts)) {
+            await getDraftStore().remove(filename);
+        }
+        return result;
+    });
+}
+
+// Makes every draft the published file, each recorded as a revision made with `meta`, and removes
+// the drafts. They're written together (see writeDataFiles), so the site is never left half
+// published. `check(filename, data)` can throw a DataFileError to keep all of them unpublished.
+// Resolves to { filename: { data, version, revision } }.
+function publishDrafts(check, meta = {}) {
+    return takeDrafts(async drafts => {
+        const files = {};
+        for (const [filename, draft] of Object.entries(drafts)) {
+            check(filename, draft.data);
+            files[filename] = draft.data;
+        }
+        return Object.keys(files).length ? writeAllLocked(files, meta) : {};
+    });
+}
+
+// ==================== RECOVERY ====================
+
+// Replaces a corrupt data file with the newest revision, or failing that the newest valid backup.
+// The damaged contents are kept by the store for inspection (see keepCorruptCopy).
+async function recoverDataFile(filename, corruptContent, parseError) {
+    console.error(`⚠️  ${filename} is corrupt (${parseError.message}), trying to recover it`);
+
+    let source = null;
+    const revision = await revisions.getLatestRevision(filename);
+    if (revision) {
+        source = { data: revision.data, description: `revision ${revision.revision}` };
+    } else {
+        // Required here because backups.js depends on this module
+        const backup = await require('./backups').findLatestBackupCopy(filename);
+        if (backup) {
+            source = { data: backup.data, description: `backup ${backup.backupId}`, backupId: backup.backupId };
+        }
+    }
+
+    if (!source) {
+        throw new DataFileError(`${filename} is corrupt and there is no revision or backup to recover it from`, 500);
+    }
+
+    const store = getStore();
+    await store.keepCorruptCopy(filename, corruptContent);
+
+    const content = JSON.stringify(source.data, null, 2);
+    await store.write(filename, content);
+
+    // A revision already matches the restored contents; a backup copy becomes a new one
+    if (source.backupId) {
+        try {
+            await revisions.recordRevision(filename, source.data, null, {
+                author: 'system',
+                action: `recover-backup ${source.backupId}`
+            });
+        } catch (error) {
+            console.error(`Error recording revision for ${filename}:`, error);
+        }
+    }
+
+    console.log(`🩹 Recovered ${filename} from ${source.description}`);
+    return parseContent(content);
+}
+
+// Error response for a rejected data file write. A version conflict includes the current data
+// so the client can merge; validation failures include field-level `errors`.
+function sendDataFileError(res, filename, error) {
+    if (error.status === 409 && error.details && 'currentVersion' in error.details) {
+        const { currentVersion, currentData } = error.details;
+        if (currentVersion) res.set('ETag', `"${currentVersion}"`);
+        return res.status(409).json({
+            success: false,
+            error: error.message,
+            conflict: true,
+            currentVersion,
+            currentData
+        });
+    }
+
+    if (error.status >= 500) {
+        console.error(`Error writing ${filename}:`, error);
+    }
+    res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...(error.details && error.details.errors ? { errors: error.details.errors } : {})
+    });
+}
+
+class DataFileError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'DataFileError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    DataFileError,
+    dataFileEvents,
+    DRAFT_FILES,
+    isValidFilename,
+    isDraftFile,
+    listDataFiles,
+    readContent,
+    readDataFile,
+    readDataFileWithVersion,
+    readDraftWithVersion,
+    listDrafts,
+    isStaleVersion,
+    updateDataFile,
+    writeDataFile,
+    writeDataFiles,
+    editDataFile,
+    takeDrafts,
+    publishDrafts,
+    discardDraft,
+    sendDataFileError
+};
@@ -0,0 +1,55 @@
+const { DataFileError, listDrafts, readDraftWithVersion, readDataFile, takeDrafts, publishDrafts } = require('./dataFiles');
+const { getSession, previewTokenExpiry } = require('./auth');
+const { validateData } = require('./validation');
+const { diffJSON, summarizeDiff } = require('./jsonDiff');
+
+// Edits to the website's content (DRAFT_FILES in dataFiles.js) wait in drafts. Whoever has the
+// publish permission makes all of them live at once, or throws them all away.
+
+// Whether a GET should see the drafts: the website opened with a preview link (?preview=<token>) or
+// the admin panel (?draft, signed in). Everyone else gets the published files.
+function wantsDrafts(req) {
+    if (req.query.preview !== undefined) return previewTokenExpiry(req.query.preview) !== null;
+    return req.query.draft !== undefined && Boolean(getSession(req));
+}
+
+// Throws a DataFileError when a draft can't be published as it is
+function checkDraft(filename, data) {
+    const validationError = validateData(filename, data);
+    if (validationError) {
+        throw new DataFileError(`${filename} can't be published: ${validationError}`, 400);
+    }
+}
+
+// The files with pending changes and what changed in each: [{ filename, summary, changes }]
+async function listPendingChanges() {
+    const pending = await Promise.all((await listDrafts()).map(async filename => {
+        const draft = await readDraftWithVersion(filename);
+        if (!draft) return null;
+
+        const published = await readDataFile(filename);
+        const changes = diffJSON(published, draft.data);
+        return { filename, summary: summarizeDiff(changes), changes };
+    }));
+    return pending.filter(Boolean);
+}
+
+// Publishes every draft, each recorded as a revision by `author`. All drafts are checked first and
+// then written together, so one that fails leaves everything unpublished.
+// Resolves to [{ filename, version, revision }].
+async function publishAll(author) {
+    const saved = await publishDrafts(checkDraft, { author, action: 'publish' });
+    return Object.entries(saved).map(([filename, { version, revision }]) => ({ filename, version, revision }));
+}
+
+// Throws every draft away. Resolves to the names of the files that had one.
+async function discardAll() {
+    return takeDrafts(drafts => Object.keys(drafts));
+}
+
+module.exports = {
+    wantsDrafts,
+    listPendingChanges,
+    publishAll,
+    discardAll
+};
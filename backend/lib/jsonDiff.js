@@ -0,0 +1,93 @@
+// Structural diff between two JSON documents.
+// Produces a flat list of { op: 'add' | 'remove' | 'replace', path, oldValue, value }.
+// Arrays whose elements all carry an `id` (menu items, specials, events) are matched by id
+// and use an `[id=3]` path segment, so deleting one item doesn't show every later item as changed.
+// Other arrays are compared by index.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isKeyedArray(value) {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+function walk(before, after, path, changes) {
+    if (deepEqual(before, after)) return;
+
+    if (before === undefined) {
+        changes.push({ op: 'add', path, value: after });
+        return;
+    }
+    if (after === undefined) {
+        changes.push({ op: 'remove', path, oldValue: before });
+        return;
+    }
+
+    if ((isKeyedArray(before) || isKeyedArray(after)) && Array.isArray(before) && Array.isArray(after)) {
+        const beforeById = new Map(before.map(item => [item.id, item]));
+        const afterById = new Map(after.map(item => [item.id, item]));
+
+        before.forEach(item => {
+            walk(item, afterById.get(item.id), `${path}/[id=${item.id}]`, changes);
+        });
+        after.forEach(item => {
+            if (!beforeById.has(item.id)) {
+                walk(undefined, item, `${path}/[id=${item.id}]`, changes);
+            }
+        });
+        return;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const length = Math.max(before.length, after.length);
+        for (let i = 0; i < length; i++) {
+            walk(before[i], after[i], `${path}/${i}`, changes);
+        }
+        return;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => walk(before[key], after[key], `${path}/${key}`, changes));
+        return;
+    }
+
+    changes.push({ op: 'replace', path, oldValue: before, value: after });
+}
+
+function diffJSON(before, after) {
+    const changes = [];
+    walk(before, after, '', changes);
+    return changes;
+}
+
+// Counts for list views, e.g. { added: 1, removed: 0, changed: 2 }
+function summarizeDiff(changes) {
+    return {
+        added: changes.filter(change => change.op === 'add').length,
+        removed: changes.filter(change => change.op === 'remove').length,
+        changed: changes.filter(change => change.op === 'replace').length
+    };
+}
+
+module.exports = {
+    diffJSON,
+    summarizeDiff,
+    deepEqual
+};
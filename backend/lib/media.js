@@ -0,0 +1,232 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { readDataFile } = require('./dataFiles');
+
+// Images are served by the static frontend, so records refer to them as "images/<name>"
+const FRONTEND_DIR = path.join(__dirname, '..', '..', 'frontend');
+const IMAGES_DIR = path.join(FRONTEND_DIR, 'images');
+const THUMBS_DIR = path.join(IMAGES_DIR, 'thumbs');
+// Uploads get their own folder, which git ignores, so they stay out of the site's own images
+const UPLOADS_DIR = path.join(IMAGES_DIR, 'uploads');
+const UPLOADS_PREFIX = 'uploads/';
+
+const MAX_IMAGE_SIZE = (parseFloat(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024;
+const THUMBNAIL_WIDTH = 320;
+
+// Formats sharp detects from the file's content, and the extension each one is saved with
+const IMAGE_FORMATS = {
+    jpeg: '.jpg',
+    png: '.png',
+    webp: '.webp',
+    gif: '.gif'
+};
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+// Data files whose records have an `image`, and the array holding those records
+const IMAGE_COLLECTIONS = {
+    'menu.json': 'items',
+    'events.json': 'events'
+};
+
+class MediaError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MediaError';
+        this.status = status;
+    }
+}
+
+function isImageFile(name) {
+    return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+function toPublicPath(name) {
+    return `images/${name}`;
+}
+
+// "My Photo (1).JPG" -> "my-photo-1"
+function slugify(name) {
+    const slug = path.basename(name, path.extname(name))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'image';
+}
+
+async function fileExists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// `name` is relative to images/, so an upload's thumbnail goes in thumbs/uploads/
+async function createThumbnail(name, source) {
+    const thumbnail = path.join(THUMBS_DIR, name);
+    await fs.mkdir(path.dirname(thumbnail), { recursive: true });
+    await sharp(source)
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .toFile(thumbnail);
+}
+
+// Stores an uploaded image ({ originalname, buffer }) in images/uploads/ with its thumbnail.
+// The type is taken from the file's content, not its name or the browser's content type.
+async function saveImage(file) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+        throw new MediaError('No image uploaded');
+    }
+    if (file.buffer.length > MAX_IMAGE_SIZE) {
+        throw new MediaError(`Images can be at most ${MAX_IMAGE_SIZE / 1024 / 1024} MB`, 413);
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        metadata = {};
+    }
+    const extension = IMAGE_FORMATS[metadata.format];
+    if (!extension) {
+        throw new MediaError('Only JPEG, PNG, WebP and GIF images can be uploaded', 415);
+    }
+
+    // Never overwrite an existing image: burger.jpg, burger-2.jpg, ... The name is only taken
+    // once the exclusive write succeeds, so two uploads of the same name can't get the same file.
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+    const slug = slugify(file.originalname || '');
+    let name;
+    for (let counter = 1; !name; counter++) {
+        const candidate = `${UPLOADS_PREFIX}${slug}${counter > 1 ? `-${counter}` : ''}${extension}`;
+        try {
+            await fs.writeFile(path.join(IMAGES_DIR, candidate), file.buffer, { flag: 'wx' });
+            name = candidate;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+    await createThumbnail(name, file.buffer);
+
+    return describeImage(name, {
+        size: file.buffer.length,
+        width: metadata.width,
+        height: metadata.height
+    });
+}
+
+function describeImage(name, details = {}) {
+    return {
+        name,
+        path: toPublicPath(name),
+        thumbnail: `images/thumbs/${name}`,
+        ...details
+    };
+}
+
+// A data file's records that have an image, from its draft with `draft`; [] when there's no file
+async function readImageRecords(filename, itemsKey, options) {
+    let data;
+    try {
+        data = await readDataFile(filename, options);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return (data[itemsKey] || []).filter(record => typeof record.image === 'string' && record.image);
+}
+
+// Records of each data file that use an image, keyed by image path. Unpublished drafts count too, as
+// the admin panel shows them and publishing puts them live; records only in a draft are marked `draft`.
+async function getImageUsage() {
+    const usage = {};
+    for (const [filename, itemsKey] of Object.entries(IMAGE_COLLECTIONS)) {
+        const published = await readImageRecords(filename, itemsKey);
+        const drafted = (await readImageRecords(filename, itemsKey, { draft: true }))
+            .filter(record => !published.some(other => other.id === record.id && other.image === record.image));
+
+        [...published, ...drafted].forEach(record => {
+            (usage[record.image] = usage[record.image] || []).push({
+                filename,
+                id: record.id,
+                name: record.name,
+                ...(drafted.includes(record) ? { draft: true } : {})
+            });
+        });
+    }
+    return usage;
+}
+
+// Names, relative to images/, of the image files in `dir`; [] when it doesn't exist
+async function listImageFiles(dir, prefix = '') {
+    let files;
+    try {
+        files = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return files
+        .filter(file => file.isFile() && isImageFile(file.name))
+        .map(file => prefix + file.name);
+}
+
+// All images, the site's own and uploaded ones, with their thumbnails (created on the fly for images
+// added by hand) and where they're used
+async function listMedia() {
+    const names = [
+        ...await listImageFiles(IMAGES_DIR),
+        ...await listImageFiles(UPLOADS_DIR, UPLOADS_PREFIX)
+    ];
+
+    const usage = await getImageUsage();
+    const media = [];
+    for (const name of names) {
+        const source = path.join(IMAGES_DIR, name);
+        if (!(await fileExists(path.join(THUMBS_DIR, name)))) {
+            try {
+                await createThumbnail(name, source);
+            } catch (error) {
+                console.error(`Could not create a thumbnail for ${name}:`, error.message);
+            }
+        }
+
+        const stats = await fs.stat(source);
+        media.push(describeImage(name, {
+            size: stats.size,
+            modified: stats.mtime.toISOString(),
+            usedBy: usage[toPublicPath(name)] || []
+        }));
+    }
+
+    return media.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Menu items and events, published or drafted, whose image doesn't exist. Only local paths are
+// checked, not full URLs.
+async function findMissingImages() {
+    const usage = await getImageUsage();
+    const missing = [];
+
+    for (const [image, records] of Object.entries(usage)) {
+        if (/^[a-z]+:\/\//i.test(image)) continue;
+
+        const file = path.resolve(FRONTEND_DIR, image);
+        const insideFrontend = file.startsWith(FRONTEND_DIR + path.sep);
+        if (insideFrontend && await fileExists(file)) continue;
+
+        records.forEach(record => missing.push({ ...record, image }));
+    }
+
+    return missing;
+}
+
+module.exports = {
+    IMAGES_DIR,
+    MAX_IMAGE_SIZE,
+    MediaError,
+    saveImage,
+    listMedia,
+    findMissingImages
+};
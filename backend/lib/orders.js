@@ -0,0 +1,273 @@
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+const { readDataFile } = require('./dataFiles');
+const { validate, summarizeErrors } = require('../../shared/schemaValidator');
+const MenuOptions = require('../../shared/menuOptions');
+
+// Orders hold customers' contact details, so they live outside the public data files
+const ORDERS_DIR = process.env.ORDERS_DIR || path.join(__dirname, '..', 'orders');
+const ORDERS_FILE = path.join(ORDERS_DIR, 'orders.json');
+
+const ORDER_STATUSES = ['received', 'preparing', 'ready', 'collected', 'cancelled'];
+const ORDER_TYPES = ['pickup', 'dine-in'];
+const MAX_QUANTITY = 50;
+
+// Where an order can go from each status. Stepping back one status undoes a mis-tap.
+const STATUS_TRANSITIONS = {
+    received: ['preparing', 'cancelled'],
+    preparing: ['ready', 'received', 'cancelled'],
+    ready: ['collected', 'preparing', 'cancelled'],
+    collected: ['ready'],
+    cancelled: []
+};
+
+// Finished orders stay on the kitchen board this long
+const BOARD_HISTORY = 2 * 60 * 60 * 1000;
+
+// What the public checkout sends. Prices are only the ones the customer saw; the menu decides.
+const ORDER_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['type', 'customer', 'items'],
+    additionalProperties: false,
+    properties: {
+        type: { enum: ORDER_TYPES },
+        customer: {
+            type: 'object',
+            required: ['name', 'phone'],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', maxLength: 100, pattern: '\\S', errorMessage: 'must not be empty' },
+                phone: {
+                    type: 'string',
+                    pattern: '^[0-9+()\\-\\s]{6,20}$',
+                    errorMessage: 'must be a valid phone number'
+                },
+                email: { type: 'string', format: 'email', maxLength: 200 }
+            }
+        },
+        table: { type: 'string', maxLength: 20 },
+        pickupTime: { type: 'string', format: 'time' },
+        notes: { type: 'string', maxLength: 500 },
+        items: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 50,
+            items: {
+                type: 'object',
+                required: ['id', 'quantity'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'integer', minimum: 0 },
+                    quantity: { type: 'integer', minimum: 1, maximum: MAX_QUANTITY },
+                    price: { type: 'number', minimum: 0 },
+                    // Option ids by group id, as in shared/menuOptions.js: { size: ['large'] }
+                    options: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'array',
+                            maxItems: 20,
+                            items: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Orders taken by staff on the phone or at the counter: the phone number is optional and the source is recorded
+const STAFF_ORDER_REQUEST_SCHEMA = {
+    ...ORDER_REQUEST_SCHEMA,
+    properties: {
+        ...ORDER_REQUEST_SCHEMA.properties,
+        source: { enum: ['phone', 'counter'] },
+        customer: { ...ORDER_REQUEST_SCHEMA.properties.customer, required: ['name'] }
+    }
+};
+
+// Emits 'change' with { type: 'created' | 'updated', order } after every saved change, for the live order board
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0);
+
+// In-memory copy of orders.json, loaded once at startup and written through on every change
+let orders = [];
+let writeQueue = Promise.resolve();
+
+class OrderError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'OrderError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// ==================== STORAGE ====================
+
+async function loadOrders() {
+    await fs.mkdir(ORDERS_DIR, { recursive: true });
+
+    try {
+        const content = await fs.readFile(ORDERS_FILE, 'utf8');
+        orders = JSON.parse(content).orders || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        orders = [];
+    }
+    return orders;
+}
+
+// Writes happen one at a time, each with the orders as they were when it was queued
+function saveOrders() {
+    const content = JSON.stringify({ orders }, null, 2);
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(() => writeFileAtomic(ORDERS_FILE, content, { mode: 0o600 }));
+    return writeQueue;
+}
+
+// ==================== ORDERS ====================
+
+function listOrders({ status } = {}) {
+    return status ? orders.filter(order => order.status === status) : [...orders];
+}
+
+function isFinished(order) {
+    return order.status === 'collected' || order.status === 'cancelled';
+}
+
+// Open orders plus the ones finished recently, oldest first
+function listBoardOrders(now = Date.now()) {
+    return orders
+        .filter(order => !isFinished(order) || now - new Date(order.updatedAt).getTime() < BOARD_HISTORY)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getOrder(id) {
+    return orders.find(order => order.id === id) || null;
+}
+
+// Prices every line from menu.json, with the options picked for it. Throws a 409 listing the changes
+// when an item is gone, its options no longer fit the menu, or its price differs from the one the
+// customer saw, so the cart can be updated and confirmed again.
+async function priceOrderItems(requested) {
+    const menu = await readDataFile('menu.json');
+    const lines = [];
+    const changes = [];
+
+    requested.forEach(({ id, quantity, price, options = {} }) => {
+        const item = (menu.items || []).find(menuItem => menuItem.id === id);
+        if (!item) {
+            changes.push({ id, options, unavailable: true });
+            return;
+        }
+        const priced = MenuOptions.priceWithOptions(item, options);
+        if (priced.problems.length > 0) {
+            changes.push({ id, options, name: item.name, unavailable: true, problems: priced.problems });
+            return;
+        }
+        if (price !== undefined && roundMoney(price) !== priced.price) {
+            changes.push({ id, options, name: item.name, price: priced.price, previousPrice: price });
+        }
+
+        // The same item with the same options twice becomes one line
+        const key = MenuOptions.selectionKey(id, options);
+        const existing = lines.find(line => MenuOptions.selectionKey(line.id, line.options) === key);
+        if (existing) {
+            existing.quantity = Math.min(existing.quantity + quantity, MAX_QUANTITY);
+            existing.total = roundMoney(existing.price * existing.quantity);
+            return;
+        }
+
+        const line = { id, name: item.name, price: priced.price, quantity, total: roundMoney(priced.price * quantity) };
+        if (priced.choices.length > 0) {
+            line.options = options;
+            line.choices = priced.choices;
+        }
+        lines.push(line);
+    });
+
+    if (changes.length > 0) {
+        throw new OrderError('Some items in your cart have changed. Please review your order.', 409, { changes });
+    }
+    return lines;
+}
+
+// `staff` is the username when an order is taken by phone or at the counter
+async function createOrder(request, { staff = null } = {}) {
+    const validation = validate(staff ? STAFF_ORDER_REQUEST_SCHEMA : ORDER_REQUEST_SCHEMA, request);
+    if (!validation.valid) {
+        throw new OrderError(summarizeErrors(validation.errors), 400, { errors: validation.errors });
+    }
+
+    const items = await priceOrderItems(request.items);
+    const now = new Date().toISOString();
+    const customer = { name: request.customer.name.trim() };
+    if (request.customer.phone) customer.phone = request.customer.phone.trim();
+    if (request.customer.email) customer.email = request.customer.email.trim();
+
+    const order = {
+        id: orders.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+        status: 'received',
+        source: staff ? (request.source || 'counter') : 'online',
+        type: request.type,
+        customer,
+        items,
+        total: roundMoney(items.reduce((sum, line) => sum + line.total, 0)),
+        notes: (request.notes || '').trim(),
+        createdAt: now,
+        updatedAt: now,
+        history: [staff ? { status: 'received', at: now, by: staff } : { status: 'received', at: now }]
+    };
+    if (request.type === 'dine-in' && request.table) order.table = request.table.trim();
+    if (request.type === 'pickup' && request.pickupTime) order.pickupTime = request.pickupTime;
+
+    orders.push(order);
+    await saveOrders();
+    orderEvents.emit('change', { type: 'created', order });
+    return order;
+}
+
+async function updateOrderStatus(id, status, author) {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw new OrderError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+
+    const order = getOrder(id);
+    if (!order) {
+        throw new OrderError('Order not found', 404);
+    }
+    if (!STATUS_TRANSITIONS[order.status].includes(status)) {
+        throw new OrderError(`Order #${order.id} is ${order.status} and can't be moved to ${status}`, 409, { order });
+    }
+
+    const now = new Date().toISOString();
+    order.status = status;
+    order.updatedAt = now;
+    order.history.push({ status, at: now, by: author });
+
+    await saveOrders();
+    orderEvents.emit('change', { type: 'updated', order });
+    return order;
+}
+
+module.exports = {
+    ORDERS_DIR,
+    ORDER_STATUSES,
+    ORDER_TYPES,
+    STATUS_TRANSITIONS,
+    OrderError,
+    orderEvents,
+    loadOrders,
+    listOrders,
+    listBoardOrders,
+    getOrder,
+    createOrder,
+    updateOrderStatus
+};
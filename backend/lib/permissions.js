@@ -0,0 +1,42 @@
+// Roles and what each one may change. GET routes stay public; these only guard writes.
+const ROLES = ['owner', 'manager', 'staff'];
+
+// Resources are data filenames plus a few named capabilities.
+// '*' grants everything, including the raw JSON editor and contact.json.
+const ROLE_PERMISSIONS = {
+    owner: ['*'],
+    manager: ['menu.json', 'specials.json', 'events.json', 'announcements.json', 'tables.json', 'media', 'orders', 'reservations', 'backup', 'publish', 'schedule'],
+    staff: ['specials.json', 'events.json', 'announcements.json', 'media', 'orders', 'reservations', 'schedule']
+};
+
+function hasPermission(role, resource) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(resource);
+}
+
+function getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+// Express middleware. `resource` is a name or a function deriving it from the request.
+// Must run after requireAuth.
+function requirePermission(resource) {
+    return (req, res, next) => {
+        const name = typeof resource === 'function' ? resource(req) : resource;
+        if (!hasPermission(req.user.role, name)) {
+            return res.status(403).json({
+                success: false,
+                error: `Your role (${req.user.role}) cannot modify ${name}`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    getPermissions,
+    requirePermission
+};
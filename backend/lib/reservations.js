@@ -0,0 +1,356 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+const { readDataFile } = require('./dataFiles');
+const { validate, summarizeErrors } = require('../../shared/schemaValidator');
+const OpeningHours = require('../../shared/openingHours');
+
+// Reservations hold guests' contact details, so like orders they live outside the public data files.
+// The tables, seating hours and booking rules are in the tables.json data file; closures, special
+// hours and the cafe's time zone come from the opening hours in contact.json.
+const RESERVATIONS_DIR = process.env.RESERVATIONS_DIR || path.join(__dirname, '..', 'reservations');
+const RESERVATIONS_FILE = path.join(RESERVATIONS_DIR, 'reservations.json');
+const SETTINGS_FILE = 'tables.json';
+const CONTACT_FILE = 'contact.json';
+
+const RESERVATION_STATUSES = ['pending', 'confirmed', 'seated', 'cancelled'];
+
+// Where a reservation can go from each status. Seated can step back in case the wrong party was seated.
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'seated', 'cancelled'],
+    confirmed: ['seated', 'cancelled'],
+    seated: ['confirmed'],
+    cancelled: []
+};
+
+// Reservations in these statuses hold their table
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'seated'];
+
+// Date.getUTCDay() order
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// What the public booking form sends
+const RESERVATION_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['date', 'time', 'partySize', 'customer'],
+    additionalProperties: false,
+    properties: {
+        date: { type: 'string', format: 'date' },
+        time: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', errorMessage: 'must be a time like 19:30' },
+        partySize: { type: 'integer', minimum: 1, maximum: 50 },
+        customer: {
+            type: 'object',
+            required: ['name', 'phone'],
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', maxLength: 100, pattern: '\\S', errorMessage: 'must not be empty' },
+                phone: {
+                    type: 'string',
+                    pattern: '^[0-9+()\\-\\s]{6,20}$',
+                    errorMessage: 'must be a valid phone number'
+                },
+                email: { type: 'string', format: 'email', maxLength: 200 }
+            }
+        },
+        notes: { type: 'string', maxLength: 500 }
+    }
+};
+
+// In-memory copy of reservations.json, loaded once at startup and written through on every change
+let reservations = [];
+let writeQueue = Promise.resolve();
+
+class ReservationError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'ReservationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// "07:30" -> 450
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// 450 -> "07:30"
+function toTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Dates are plain "YYYY-MM-DD" strings on the cafe's calendar. This is the server's local date, used
+// when contact.json has no opening hours to take the cafe's time zone from.
+function localDate(date = new Date()) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+function addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+}
+
+// Rejects dates like 2025-02-30 that Date would quietly roll over
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const day = new Date(`${date}T00:00:00Z`);
+    return !isNaN(day) && day.toISOString().startsWith(date);
+}
+
+// ==================== STORAGE ====================
+
+async function loadReservations() {
+    await fs.mkdir(RESERVATIONS_DIR, { recursive: true });
+
+    try {
+        const content = await fs.readFile(RESERVATIONS_FILE, 'utf8');
+        reservations = JSON.parse(content).reservations || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        reservations = [];
+    }
+    return reservations;
+}
+
+// Writes happen one at a time, each with the reservations as they were when it was queued
+function saveReservations() {
+    const content = JSON.stringify({ reservations }, null, 2);
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(() => writeFileAtomic(RESERVATIONS_FILE, content, { mode: 0o600 }));
+    return writeQueue;
+}
+
+// ==================== AVAILABILITY ====================
+
+// The cafe's opening hours, or null when contact.json has none
+async function readOpeningHours() {
+    const contact = await readDataFile(CONTACT_FILE);
+    return contact.openingHours || null;
+}
+
+// The date and time of day on the cafe's clock: { date, minutes }
+function cafeNow(openingHours, now = new Date()) {
+    if (openingHours) return OpeningHours.cafeClock(openingHours.timeZone, now);
+    return { date: localDate(now), minutes: now.getHours() * 60 + now.getMinutes() };
+}
+
+// Today's date on the cafe's clock
+async function cafeToday() {
+    return cafeNow(await readOpeningHours()).date;
+}
+
+// The holiday closure covering a date, or null
+function closureOn(openingHours, date) {
+    return openingHours ? OpeningHours.hoursOn(openingHours, date).closure : null;
+}
+
+// The parts of the seating shifts that fall within the open shifts
+function clipShifts(seating, open) {
+    const clipped = [];
+    seating.forEach(shift => {
+        open.forEach(hours => {
+            const start = Math.max(toMinutes(shift.open), toMinutes(hours.open));
+            const end = Math.min(toMinutes(shift.close), toMinutes(hours.close));
+            if (start < end) clipped.push({ open: toTime(start), close: toTime(end) });
+        });
+    });
+    return clipped;
+}
+
+// Start times (in minutes) that can be booked on a date: every `slotMinutes` through each shift,
+// as long as the table is free again by closing time. Only while the cafe is open that day, by its
+// special hours when it has them and its weekly hours otherwise, so nothing on a closure.
+function slotsFor(settings, openingHours, date) {
+    let shifts = settings.seatingHours[WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]] || [];
+    if (openingHours) {
+        shifts = clipShifts(shifts, OpeningHours.hoursOn(openingHours, date).shifts);
+    }
+    const slots = [];
+
+    shifts.forEach(({ open, close }) => {
+        const last = toMinutes(close) - settings.durationMinutes;
+        for (let start = toMinutes(open); start <= last; start += settings.slotMinutes) {
+            slots.push(start);
+        }
+    });
+    return [...new Set(slots)].sort((a, b) => a - b);
+}
+
+// Tables not held by another reservation at any point between start and end
+function freeTables(settings, date, start, end) {
+    const taken = new Set(reservations
+        .filter(reservation => reservation.date === date && ACTIVE_STATUSES.includes(reservation.status))
+        .filter(reservation => toMinutes(reservation.time) < end && start < toMinutes(reservation.endTime))
+        .map(reservation => reservation.table.id));
+
+    return settings.tables.filter(table => !taken.has(table.id));
+}
+
+// The smallest free table the party fits at, so big tables stay free for big parties
+function pickTable(tables, partySize) {
+    return tables
+        .filter(table => table.seats >= partySize)
+        .sort((a, b) => a.seats - b.seats || a.id - b.id)[0] || null;
+}
+
+// Checks the date and party size against the booking rules. `today` is the cafe's date.
+function checkBookingWindow(settings, date, partySize, today) {
+    if (!isValidDate(date)) {
+        throw new ReservationError('Date must look like 2025-01-31');
+    }
+    if (!Number.isInteger(partySize) || partySize < 1) {
+        throw new ReservationError('Party size must be at least 1');
+    }
+    if (partySize > settings.maxPartySize) {
+        throw new ReservationError(`For parties of more than ${settings.maxPartySize}, please call us`);
+    }
+
+    if (date < today) {
+        throw new ReservationError('That date has already passed');
+    }
+    if (date > addDays(today, settings.bookingDaysAhead)) {
+        throw new ReservationError(`Tables can be booked up to ${settings.bookingDaysAhead} days ahead`);
+    }
+}
+
+// Which start times on a date have a table for the party:
+// { date, partySize, slots: [{ time, available }], closure: { reason } or null }.
+// Times that have already passed today on the cafe's clock are never available.
+async function getAvailability(date, partySize) {
+    const settings = await readDataFile(SETTINGS_FILE);
+    const openingHours = await readOpeningHours();
+    const now = cafeNow(openingHours);
+    checkBookingWindow(settings, date, partySize, now.date);
+
+    const earliest = date === now.date ? now.minutes : -1;
+
+    const slots = slotsFor(settings, openingHours, date).map(start => ({
+        time: toTime(start),
+        available: start > earliest &&
+            pickTable(freeTables(settings, date, start, start + settings.durationMinutes), partySize) !== null
+    }));
+
+    const closure = closureOn(openingHours, date);
+    return {
+        date,
+        partySize,
+        durationMinutes: settings.durationMinutes,
+        slots,
+        closure: closure ? { reason: closure.reason || '' } : null
+    };
+}
+
+// ==================== RESERVATIONS ====================
+
+// From a date onwards (today by default) and up to `to`, in the order guests arrive
+function listReservations({ from = localDate(), to, status } = {}) {
+    return reservations
+        .filter(reservation => reservation.date >= from && (!to || reservation.date <= to))
+        .filter(reservation => !status || reservation.status === status)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.id - b.id);
+}
+
+function getReservation(id) {
+    return reservations.find(reservation => reservation.id === id) || null;
+}
+
+async function createReservation(request) {
+    const validation = validate(RESERVATION_REQUEST_SCHEMA, request);
+    if (!validation.valid) {
+        throw new ReservationError(summarizeErrors(validation.errors), 400, { errors: validation.errors });
+    }
+
+    const settings = await readDataFile(SETTINGS_FILE);
+    const openingHours = await readOpeningHours();
+    const now = cafeNow(openingHours);
+    checkBookingWindow(settings, request.date, request.partySize, now.date);
+
+    const closure = closureOn(openingHours, request.date);
+    if (closure) {
+        throw new ReservationError(`We're closed that day${closure.reason ? ` for ${closure.reason}` : ''}. Please pick another date.`);
+    }
+
+    const start = toMinutes(request.time);
+    const passed = request.date === now.date && start <= now.minutes;
+    if (passed || !slotsFor(settings, openingHours, request.date).includes(start)) {
+        throw new ReservationError('We don\'t take bookings at that time. Please pick one of the available times.');
+    }
+
+    // Checking for a table and taking it happen without an await in between, so two guests can't get the same one
+    const end = start + settings.durationMinutes;
+    const table = pickTable(freeTables(settings, request.date, start, end), request.partySize);
+    if (!table) {
+        throw new ReservationError('Sorry, that time has just been booked. Please pick another time.', 409);
+    }
+
+    const createdAt = new Date().toISOString();
+    const customer = { name: request.customer.name.trim(), phone: request.customer.phone.trim() };
+    if (request.customer.email) customer.email = request.customer.email.trim();
+
+    const reservation = {
+        id: reservations.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+        status: 'pending',
+        date: request.date,
+        time: request.time,
+        endTime: toTime(end),
+        partySize: request.partySize,
+        table: { id: table.id, name: table.name },
+        customer,
+        notes: (request.notes || '').trim(),
+        createdAt,
+        updatedAt: createdAt,
+        history: [{ status: 'pending', at: createdAt }]
+    };
+
+    reservations.push(reservation);
+    await saveReservations();
+    return reservation;
+}
+
+async function updateReservationStatus(id, status, author) {
+    if (!RESERVATION_STATUSES.includes(status)) {
+        throw new ReservationError(`Status must be one of: ${RESERVATION_STATUSES.join(', ')}`);
+    }
+
+    const reservation = getReservation(id);
+    if (!reservation) {
+        throw new ReservationError('Reservation not found', 404);
+    }
+    if (!STATUS_TRANSITIONS[reservation.status].includes(status)) {
+        throw new ReservationError(
+            `Reservation #${reservation.id} is ${reservation.status} and can't be moved to ${status}`,
+            409,
+            { reservation }
+        );
+    }
+
+    const now = new Date().toISOString();
+    reservation.status = status;
+    reservation.updatedAt = now;
+    reservation.history.push({ status, at: now, by: author });
+
+    await saveReservations();
+    return reservation;
+}
+
+module.exports = {
+    RESERVATIONS_DIR,
+    RESERVATION_STATUSES,
+    STATUS_TRANSITIONS,
+    ReservationError,
+    localDate,
+    cafeToday,
+    loadReservations,
+    getAvailability,
+    listReservations,
+    getReservation,
+    createReservation,
+    updateReservationStatus
+};
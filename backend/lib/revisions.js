@@ -0,0 +1,146 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+const { diffJSON, summarizeDiff } = require('./jsonDiff');
+
+const REVISIONS_DIR = process.env.REVISIONS_DIR || path.join(__dirname, '..', 'revisions');
+
+// Each data file gets its own folder of numbered snapshots:
+// revisions/menu/000001.json, revisions/menu/000002.json, ...
+// Every snapshot holds the full file contents plus the diff from the revision before it.
+
+function revisionDir(filename) {
+    return path.join(REVISIONS_DIR, filename.replace(/\.json$/, ''));
+}
+
+function revisionPath(filename, number) {
+    return path.join(revisionDir(filename), `${String(number).padStart(6, '0')}.json`);
+}
+
+async function listRevisionNumbers(filename) {
+    try {
+        const entries = await fs.readdir(revisionDir(filename));
+        return entries
+            .filter(entry => /^\d+\.json$/.test(entry))
+            .map(entry => parseInt(entry, 10))
+            .sort((a, b) => a - b);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function getRevision(filename, number) {
+    try {
+        const content = await fs.readFile(revisionPath(filename, number), 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeRevision(revision) {
+    await fs.mkdir(revisionDir(revision.filename), { recursive: true });
+    await writeFileAtomic(
+        revisionPath(revision.filename, revision.revision),
+        JSON.stringify(revision, null, 2)
+    );
+    return revision;
+}
+
+// Records `data` as the next revision of `filename`.
+// `previous` is the file as it was before this save; when the file has no history yet
+// it is stored first as an "initial" revision so the pre-history state can be restored.
+async function recordRevision(filename, data, previous, { author, action = 'save', restoredFrom } = {}) {
+    const numbers = await listRevisionNumbers(filename);
+    let last = numbers.length ? await getRevision(filename, numbers[numbers.length - 1]) : null;
+
+    if (!last && previous !== null && previous !== undefined) {
+        last = await writeRevision({
+            revision: 1,
+            filename,
+            author: 'system',
+            action: 'initial',
+            timestamp: new Date().toISOString(),
+            summary: { added: 0, removed: 0, changed: 0 },
+            diff: [],
+            data: previous
+        });
+    }
+
+    const diff = diffJSON(last ? last.data : undefined, data);
+    const revision = {
+        revision: last ? last.revision + 1 : 1,
+        filename,
+        author: author || 'unknown',
+        action,
+        timestamp: new Date().toISOString(),
+        summary: summarizeDiff(diff),
+        diff,
+        data
+    };
+    if (restoredFrom !== undefined) {
+        revision.restoredFrom = restoredFrom;
+    }
+
+    return writeRevision(revision);
+}
+
+// Newest revision that can still be read, or null. Used to repair a corrupt data file.
+async function getLatestRevision(filename) {
+    const numbers = await listRevisionNumbers(filename);
+
+    for (const number of numbers.reverse()) {
+        try {
+            const revision = await getRevision(filename, number);
+            if (revision) return revision;
+        } catch (error) {
+            console.error(`Skipping unreadable revision ${number} of ${filename}:`, error.message);
+        }
+    }
+
+    return null;
+}
+
+// Revision metadata, newest first (without the snapshot or diff)
+async function listRevisions(filename) {
+    const numbers = await listRevisionNumbers(filename);
+    const revisions = [];
+
+    for (const number of numbers.reverse()) {
+        const revision = await getRevision(filename, number);
+        if (!revision) continue;
+
+        const { data, diff, ...meta } = revision;
+        revisions.push(meta);
+    }
+
+    return revisions;
+}
+
+// Diff between any two revisions (from -> to). Returns null when either doesn't exist.
+async function diffRevisions(filename, from, to) {
+    const [before, after] = await Promise.all([
+        getRevision(filename, from),
+        getRevision(filename, to)
+    ]);
+    if (!before || !after) return null;
+
+    const diff = diffJSON(before.data, after.data);
+    return {
+        from: before.revision,
+        to: after.revision,
+        summary: summarizeDiff(diff),
+        diff
+    };
+}
+
+module.exports = {
+    REVISIONS_DIR,
+    recordRevision,
+    getRevision,
+    getLatestRevision,
+    listRevisions,
+    diffRevisions
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+const { readDataFile } = require('./dataFiles');
+const { validate, summarizeErrors } = require('../../shared/schemaValidator');
+
+// RSVPs hold guests' names and email addresses, so they live outside the public data files.
+// Whether an event takes RSVPs, and how many guests fit, is set on the event in events.json.
+const RSVPS_DIR = process.env.RSVPS_DIR || path.join(__dirname, '..', 'rsvps');
+const RSVPS_FILE = path.join(RSVPS_DIR, 'rsvps.json');
+
+const RSVP_STATUSES = ['going', 'waitlist', 'cancelled'];
+const MAX_GUESTS = 10;
+
+// What the RSVP form on the public site sends
+const RSVP_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['eventId', 'name', 'email', 'guests'],
+    additionalProperties: false,
+    properties: {
+        eventId: { type: 'integer', minimum: 0 },
+        name: { type: 'string', maxLength: 100, pattern: '\\S', errorMessage: 'must not be empty' },
+        email: { type: 'string', format: 'email', maxLength: 200 },
+        phone: {
+            type: 'string',
+            pattern: '^[0-9+()\\-\\s]{6,20}$',
+            errorMessage: 'must be a valid phone number'
+        },
+        guests: { type: 'integer', minimum: 1, maximum: MAX_GUESTS }
+    }
+};
+
+// In-memory copy of rsvps.json, loaded once at startup and written through on every change
+let rsvps = [];
+let writeQueue = Promise.resolve();
+
+class RsvpError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'RsvpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function takesRsvps(event) {
+    return Boolean(event.rsvpRequired) || Number.isInteger(event.capacity);
+}
+
+// ==================== STORAGE ====================
+
+async function loadRsvps() {
+    await fs.mkdir(RSVPS_DIR, { recursive: true });
+
+    try {
+        const content = await fs.readFile(RSVPS_FILE, 'utf8');
+        rsvps = JSON.parse(content).rsvps || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        rsvps = [];
+    }
+    return rsvps;
+}
+
+// Writes happen one at a time, each with the RSVPs as they were when it was queued
+function saveRsvps() {
+    const content = JSON.stringify({ rsvps }, null, 2);
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(() => writeFileAtomic(RSVPS_FILE, content, { mode: 0o600 }));
+    return writeQueue;
+}
+
+// ==================== CAPACITY ====================
+
+function rsvpsFor(eventId, status) {
+    return rsvps.filter(rsvp => rsvp.eventId === eventId && (!status || rsvp.status === status));
+}
+
+function countGuests(list) {
+    return list.reduce((sum, rsvp) => sum + rsvp.guests, 0);
+}
+
+// Going and waitlisted guests and the places left ({ spotsLeft: null } when there's no limit)
+function summarize(event) {
+    const going = countGuests(rsvpsFor(event.id, 'going'));
+    return {
+        eventId: event.id,
+        rsvpRequired: Boolean(event.rsvpRequired),
+        capacity: Number.isInteger(event.capacity) ? event.capacity : null,
+        going,
+        waitlist: countGuests(rsvpsFor(event.id, 'waitlist')),
+        spotsLeft: Number.isInteger(event.capacity) ? Math.max(event.capacity - going, 0) : null
+    };
+}
+
+// Moves waitlisted guests up in the order they signed up, as far as the free places allow.
+// A party too big for the places left is skipped, so it doesn't hold up smaller ones behind it.
+// Returns the RSVPs that were moved up.
+function promoteWaitlist(event) {
+    if (!Number.isInteger(event.capacity)) return [];
+
+    let free = event.capacity - countGuests(rsvpsFor(event.id, 'going'));
+    const promoted = [];
+    rsvpsFor(event.id, 'waitlist').forEach(rsvp => {
+        if (rsvp.guests > free) return;
+        rsvp.status = 'going';
+        rsvp.updatedAt = new Date().toISOString();
+        free -= rsvp.guests;
+        promoted.push(rsvp);
+    });
+    return promoted;
+}
+
+async function getEvent(eventId) {
+    const data = await readDataFile('events.json');
+    const event = (data.events || []).find(candidate => candidate.id === eventId);
+    if (!event) {
+        throw new RsvpError('Event not found', 404);
+    }
+    return event;
+}
+
+// ==================== RSVPS ====================
+
+// Counts for every event that takes RSVPs, keyed by event id
+async function getSummaries() {
+    const data = await readDataFile('events.json');
+    return Object.fromEntries((data.events || [])
+        .filter(takesRsvps)
+        .map(event => [event.id, summarize(event)]));
+}
+
+// The RSVPs of one event (or all of them), in the order they came in
+function listRsvps({ eventId } = {}) {
+    return rsvps
+        .filter(rsvp => eventId === undefined || rsvp.eventId === eventId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id);
+}
+
+// Guests get a place while there's room and go on the waitlist after that.
+// Returns the RSVP with the token the guest can cancel it with.
+async function createRsvp(request) {
+    const validation = validate(RSVP_REQUEST_SCHEMA, request);
+    if (!validation.valid) {
+        throw new RsvpError(summarizeErrors(validation.errors), 400, { errors: validation.errors });
+    }
+
+    const event = await getEvent(request.eventId);
+    if (!takesRsvps(event)) {
+        throw new RsvpError('This event doesn\'t take RSVPs. Just come along!');
+    }
+
+    const email = request.email.trim().toLowerCase();
+    const existing = rsvpsFor(event.id).find(rsvp => rsvp.email === email && rsvp.status !== 'cancelled');
+    if (existing) {
+        throw new RsvpError(`${email} is already ${existing.status === 'going' ? 'on the guest list' : 'on the waitlist'} for this event`, 409);
+    }
+
+    // Anyone already waiting goes first, in case places opened up since (e.g. the capacity was raised)
+    promoteWaitlist(event);
+    const summary = summarize(event);
+    const fits = summary.spotsLeft === null || request.guests <= summary.spotsLeft;
+
+    const now = new Date().toISOString();
+    const rsvp = {
+        id: rsvps.reduce((max, other) => Math.max(max, other.id), 0) + 1,
+        eventId: event.id,
+        eventName: event.name,
+        status: fits ? 'going' : 'waitlist',
+        name: request.name.trim(),
+        email,
+        guests: request.guests,
+        token: crypto.randomBytes(16).toString('hex'),
+        createdAt: now,
+        updatedAt: now
+    };
+    if (request.phone) rsvp.phone = request.phone.trim();
+
+    rsvps.push(rsvp);
+    await saveRsvps();
+    return rsvp;
+}
+
+async function cancelRsvp(rsvp) {
+    if (rsvp.status === 'cancelled') return rsvp;
+
+    rsvp.status = 'cancelled';
+    rsvp.updatedAt = new Date().toISOString();
+
+    // The event may have been deleted since; then there's nobody to move up
+    try {
+        promoteWaitlist(await getEvent(rsvp.eventId));
+    } catch (error) {
+        if (!(error instanceof RsvpError)) throw error;
+    }
+
+    await saveRsvps();
+    return rsvp;
+}
+
+// Guests cancel with the token they got when they signed up
+async function cancelRsvpByToken(token) {
+    const rsvp = typeof token === 'string' && token ? rsvps.find(candidate => candidate.token === token) : null;
+    if (!rsvp) {
+        throw new RsvpError('RSVP not found', 404);
+    }
+    return cancelRsvp(rsvp);
+}
+
+// Staff can cancel an RSVP, or let someone in from the waitlist even when the event is full
+async function updateRsvpStatus(id, status) {
+    const rsvp = rsvps.find(candidate => candidate.id === id);
+    if (!rsvp) {
+        throw new RsvpError('RSVP not found', 404);
+    }
+    if (status === 'cancelled') {
+        return cancelRsvp(rsvp);
+    }
+    if (status !== 'going') {
+        throw new RsvpError('Status must be going or cancelled');
+    }
+    if (rsvp.status !== 'waitlist') {
+        throw new RsvpError(`RSVP #${rsvp.id} is ${rsvp.status}; only waitlisted RSVPs can be moved to going`, 409);
+    }
+
+    rsvp.status = 'going';
+    rsvp.updatedAt = new Date().toISOString();
+    await saveRsvps();
+    return rsvp;
+}
+
+// The public view of an RSVP: no contact details or token
+function publicRsvp(rsvp) {
+    const { id, eventId, eventName, status, name, guests } = rsvp;
+    return { id, eventId, eventName, status, name, guests };
+}
+
+module.exports = {
+    RSVPS_DIR,
+    RSVP_STATUSES,
+    MAX_GUESTS,
+    RsvpError,
+    loadRsvps,
+    getSummaries,
+    listRsvps,
+    createRsvp,
+    cancelRsvpByToken,
+    updateRsvpStatus,
+    publicRsvp
+};
@@ -0,0 +1,328 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+const { DataFileError, listDrafts, readDataFileWithVersion, takeDrafts, editDataFile, writeDataFiles } = require('./dataFiles');
+const { validateData } = require('./validation');
+const { diffJSON, summarizeDiff } = require('./jsonDiff');
+const { validate, summarizeErrors } = require('../../shared/schemaValidator');
+
+// Scheduled changes: the drafts as they were when someone scheduled them, published together at
+// `publishAt` (a seasonal menu prepared days ahead). They're kept in their own file so the timer is
+// set again after a restart, and one that came due while the server was down goes live at startup.
+const SCHEDULES_DIR = process.env.SCHEDULES_DIR || path.join(__dirname, '..', 'schedules');
+const SCHEDULES_FILE = path.join(SCHEDULES_DIR, 'schedules.json');
+
+// 'pending' until it goes live ('published') or can't ('failed', with the reason in `error`)
+const SCHEDULE_STATUSES = ['pending', 'published', 'failed'];
+
+// How long published changes stay listed, so the admin panel can show what went live recently
+const KEEP_PUBLISHED_DAYS = 30;
+
+// Longest the timer waits before looking again, so a far-off change isn't thrown by clock changes
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+// What the admin panel sends to schedule the drafts or change a scheduled change
+const SCHEDULE_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['title', 'publishAt'],
+    additionalProperties: false,
+    properties: {
+        title: { type: 'string', maxLength: 100, pattern: '\\S', errorMessage: 'must not be empty' },
+        publishAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+// In-memory copy of schedules.json, loaded once at startup and written through on every change
+let schedules = [];
+let writeQueue = Promise.resolve();
+let timer = null;
+// The due changes being published, so the timer and a restart never publish one twice
+let running = null;
+
+class ScheduleError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'ScheduleError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ==================== STORAGE ====================
+
+async function loadSchedules() {
+    await fs.mkdir(SCHEDULES_DIR, { recursive: true });
+
+    try {
+        const content = await fs.readFile(SCHEDULES_FILE, 'utf8');
+        schedules = JSON.parse(content).schedules || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        schedules = [];
+    }
+
+    const cutoff = Date.now() - KEEP_PUBLISHED_DAYS * 24 * 60 * 60 * 1000;
+    schedules = schedules.filter(schedule => schedule.status !== 'published' || new Date(schedule.publishedAt).getTime() > cutoff);
+
+    await publishDue();
+    return schedules;
+}
+
+// Writes happen one at a time, each with the schedules as they were when it was queued
+function saveSchedules() {
+    const content = JSON.stringify({ schedules }, null, 2);
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(() => writeFileAtomic(SCHEDULES_FILE, content));
+    return writeQueue;
+}
+
+// ==================== TIMER ====================
+
+// Wakes up when the next pending change is due
+function setTimer() {
+    clearTimeout(timer);
+    timer = null;
+
+    const times = schedules
+        .filter(schedule => schedule.status === 'pending')
+        .map(schedule => new Date(schedule.publishAt).getTime());
+    if (!times.length) return;
+
+    const delay = Math.min(Math.max(Math.min(...times) - Date.now(), 0), MAX_TIMER_DELAY);
+    timer = setTimeout(() => publishDue(), delay);
+    timer.unref();
+}
+
+// Publishes every pending change that is due, oldest first, then sets the timer for the next one
+function publishDue() {
+    if (running) return running;
+
+    running = (async () => {
+        const now = Date.now();
+        const due = schedules
+            .filter(schedule => schedule.status === 'pending' && new Date(schedule.publishAt).getTime() <= now)
+            .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+
+        for (const schedule of due) {
+            await publishSchedule(schedule);
+        }
+    })().catch(error => {
+        console.error('Error publishing scheduled changes:', error);
+    }).finally(() => {
+        running = null;
+        setTimer();
+    });
+    return running;
+}
+
+// Checks every file like a manual save would and only then publishes them, all in one write, so a
+// change that fails goes live in none of its files. It also fails when a file was changed after it
+// was scheduled, rather than undoing that change. The revisions are recorded as made by whoever
+// scheduled it.
+async function publishSchedule(schedule) {
+    const problems = Object.entries(schedule.files)
+        .map(([filename, data]) => {
+            const validationError = validateData(filename, data);
+            return validationError && `${filename}: ${validationError}`;
+        })
+        .filter(Boolean);
+
+    try {
+        if (problems.length) {
+            throw new ScheduleError(`Can't be published: ${problems.join('; ')}`);
+        }
+        await writeDataFiles(schedule.files, {
+            author: schedule.createdBy,
+            action: 'scheduled',
+            baseVersions: schedule.baseVersions
+        }).catch(error => {
+            if (!(error instanceof DataFileError && error.details && error.details.stale)) throw error;
+            throw new ScheduleError(`Can't be published: ${error.details.stale.join(', ')} changed after it was scheduled, `
+                + 'and publishing would undo that. Use Edit changes to bring it up to date.');
+        });
+        schedule.status = 'published';
+        schedule.publishedAt = new Date().toISOString();
+        delete schedule.error;
+        console.log(`Scheduled change "${schedule.title}" published ${Object.keys(schedule.files).join(', ')}`);
+    } catch (error) {
+        // Marked as failed rather than left pending, so the timer doesn't retry it over and over
+        if (!(error instanceof ScheduleError)) console.error(`Error publishing "${schedule.title}":`, error);
+        schedule.status = 'failed';
+        schedule.error = error instanceof ScheduleError ? error.message : 'Failed to write the changes';
+        console.error(`Scheduled change "${schedule.title}" failed. ${schedule.error}`);
+    }
+
+    schedule.updatedAt = new Date().toISOString();
+    await saveSchedules();
+}
+
+// ==================== CHANGES ====================
+
+function checkRequest(request) {
+    const validation = validate(SCHEDULE_REQUEST_SCHEMA, request);
+    if (!validation.valid) {
+        throw new ScheduleError(summarizeErrors(validation.errors), 400, { errors: validation.errors });
+    }
+    if (new Date(request.publishAt).getTime() <= Date.now()) {
+        throw new ScheduleError('publishAt must be in the future', 400, {
+            errors: [{ path: 'publishAt', message: 'must be in the future' }]
+        });
+    }
+}
+
+function getSchedule(id) {
+    const schedule = schedules.find(candidate => candidate.id === id);
+    if (!schedule) {
+        throw new ScheduleError('Scheduled change not found', 404);
+    }
+    return schedule;
+}
+
+// What a change does to each file compared to what is published now. `outdated` means the
+// published file changed since it was scheduled, so it will fail rather than undo that change.
+async function describeFiles(schedule) {
+    return Promise.all(Object.entries(schedule.files).map(async ([filename, data]) => {
+        if (schedule.status === 'published') return { filename };
+
+        const published = await readDataFileWithVersion(filename);
+        const changes = diffJSON(published.data, data);
+        return {
+            filename,
+            summary: summarizeDiff(changes),
+            changes,
+            outdated: published.version !== schedule.baseVersions[filename]
+        };
+    }));
+}
+
+// Every scheduled change, soonest first, without the file contents
+async function listSchedules() {
+    const sorted = [...schedules].sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+    return Promise.all(sorted.map(async schedule => {
+        const { files, baseVersions, ...rest } = schedule;
+        return { ...rest, files: await describeFiles(schedule) };
+    }));
+}
+
+// Moves all drafts into a change published at `publishAt` and clears them, so later edits start a
+// new set of drafts. The drafts are checked now as well, so a broken one is caught straight away.
+async function scheduleDrafts(request, author) {
+    checkRequest(request);
+
+    const schedule = await takeDrafts(async drafts => {
+        const files = {};
+        const baseVersions = {};
+        for (const [filename, draft] of Object.entries(drafts)) {
+            const validationError = validateData(filename, draft.data);
+            if (validationError) {
+                throw new ScheduleError(`${filename} can't be scheduled: ${validationError}`);
+            }
+            files[filename] = draft.data;
+            baseVersions[filename] = draft.publishedVersion;
+        }
+
+        if (!Object.keys(files).length) {
+            throw new ScheduleError('There are no unpublished changes to schedule');
+        }
+
+        const now = new Date().toISOString();
+        const created = {
+            id: schedules.reduce((max, other) => Math.max(max, other.id), 0) + 1,
+            title: request.title.trim(),
+            publishAt: new Date(request.publishAt).toISOString(),
+            status: 'pending',
+            files,
+            baseVersions,
+            createdBy: author,
+            createdAt: now,
+            updatedBy: author,
+            updatedAt: now
+        };
+
+        // The drafts are only cleared once the change is saved
+        schedules.push(created);
+        try {
+            await saveSchedules();
+        } catch (error) {
+            schedules = schedules.filter(candidate => candidate !== created);
+            throw error;
+        }
+        return created;
+    });
+
+    setTimer();
+    return schedule;
+}
+
+// Renames or moves a change that hasn't gone live yet. A failed one is tried again at the new time.
+async function updateSchedule(id, request, author) {
+    const schedule = getSchedule(id);
+    if (schedule.status === 'published') {
+        throw new ScheduleError(`"${schedule.title}" has already been published`, 409);
+    }
+    checkRequest(request);
+
+    schedule.title = request.title.trim();
+    schedule.publishAt = new Date(request.publishAt).toISOString();
+    schedule.status = 'pending';
+    delete schedule.error;
+    schedule.updatedBy = author;
+    schedule.updatedAt = new Date().toISOString();
+
+    await saveSchedules();
+    setTimer();
+    return schedule;
+}
+
+// Puts a change's files back as drafts and takes it off the list. Refused while any of its files has
+// drafts of its own, which would otherwise be overwritten.
+async function moveToDrafts(schedule) {
+    const filenames = Object.keys(schedule.files);
+    const drafted = (await listDrafts()).filter(filename => filenames.includes(filename));
+    if (drafted.length) {
+        throw new ScheduleError(`${drafted.join(', ')} already ${drafted.length > 1 ? 'have' : 'has'} unpublished changes. Publish or discard them first.`, 409);
+    }
+
+    for (const [filename, data] of Object.entries(schedule.files)) {
+        await editDataFile(filename, () => data);
+    }
+    schedules = schedules.filter(candidate => candidate !== schedule);
+    await saveSchedules();
+    setTimer();
+    return schedule;
+}
+
+// Stops a waiting change from going live. What it would have published goes back to the drafts
+// rather than being thrown away, so it can still be published or discarded there.
+async function cancelSchedule(id) {
+    const schedule = getSchedule(id);
+    if (schedule.status !== 'pending') {
+        throw new ScheduleError(schedule.status === 'published'
+            ? `"${schedule.title}" has already been published`
+            : `"${schedule.title}" isn't waiting to be published. Use Edit changes to move it back to drafts.`, 409);
+    }
+    return moveToDrafts(schedule);
+}
+
+// Turns a change back into drafts to edit it in the admin panel; it can then be scheduled again
+async function reopenSchedule(id) {
+    const schedule = getSchedule(id);
+    if (schedule.status === 'published') {
+        throw new ScheduleError(`"${schedule.title}" has already been published`, 409);
+    }
+    return moveToDrafts(schedule);
+}
+
+module.exports = {
+    SCHEDULES_DIR,
+    SCHEDULE_STATUSES,
+    ScheduleError,
+    loadSchedules,
+    getSchedule,
+    listSchedules,
+    scheduleDrafts,
+    updateSchedule,
+    cancelSchedule,
+    reopenSchedule
+};
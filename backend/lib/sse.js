@@ -0,0 +1,40 @@
+// Server-Sent Events: keeps a response open and writes named events to it.
+// A comment line goes out every `heartbeat` ms so proxies don't drop an idle connection, and the
+// stream is closed at the same time once `isValid` returns false (e.g. the session has expired).
+// Returns { send(event, data), close() }; `onClose` runs once however the stream ends.
+function openEventStream(req, res, { heartbeat = 25000, isValid = () => true, onClose } = {}) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Browsers reconnect by themselves; ask them to wait a few seconds first
+    res.write('retry: 5000\n\n');
+
+    let closed = false;
+    const timer = setInterval(() => {
+        if (!isValid()) return close();
+        res.write(': keep-alive\n\n');
+    }, heartbeat);
+
+    function send(event, data) {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function close() {
+        if (closed) return;
+        closed = true;
+        clearInterval(timer);
+        res.end();
+        if (onClose) onClose();
+    }
+
+    req.on('close', close);
+    return { send, close };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,56 @@
+const { createJsonFileStore } = require('./jsonFileStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+// Where the data documents (menu.json, specials.json, ...) are persisted.
+// Chosen with STORAGE_BACKEND: 'json' (default, files in backend/data/) or 'sqlite'.
+//
+// Every store implements the same interface; contents are passed around as JSON strings so a
+// document's version (its content hash) is the same whichever backend holds it.
+//   type, location              backend name and where it keeps its data
+//   list()                      names of all stored documents
+//   read(name)                  the document's contents, or null if it doesn't exist
+//   write(name, content)        replaces a document atomically
+//   writeAll([{name, content}]) replaces several documents, all of them or none
+//   remove(name)                deletes a document; removing one that doesn't exist does nothing
+//   keepCorruptCopy(name, content)
+//                               keeps unreadable contents for inspection before they are repaired
+//   close()
+const STORES = {
+    json: createJsonFileStore,
+    sqlite: createSqliteStore
+};
+
+let store = null;
+let draftStore = null;
+
+function createStore(type, options) {
+    const factory = STORES[type];
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${type}". Use one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    return factory(options);
+}
+
+// The store selected by configuration, created on first use
+function getStore() {
+    if (!store) {
+        store = createStore(process.env.STORAGE_BACKEND || 'json');
+    }
+    return store;
+}
+
+// Where admin edits wait until they're published: the same backend as the published documents,
+// kept apart from them (backend/drafts/, or a drafts table next to the documents)
+function getDraftStore() {
+    if (!draftStore) {
+        draftStore = createStore(process.env.STORAGE_BACKEND || 'json', { drafts: true });
+    }
+    return draftStore;
+}
+
+module.exports = {
+    STORAGE_TYPES: Object.keys(STORES),
+    createStore,
+    getStore,
+    getDraftStore
+};
@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeTempFile, writeFileAtomic } = require('../atomicFile');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+const DRAFTS_DIR = process.env.DRAFTS_DIR || path.join(__dirname, '..', '..', 'drafts');
+
+// The original layout: one pretty-printed file per document in backend/data/ (drafts in backend/drafts/)
+function createJsonFileStore({ drafts = false, dir = drafts ? DRAFTS_DIR : DATA_DIR } = {}) {
+    const filePath = (name) => path.join(dir, name);
+
+    return {
+        type: 'json',
+        location: dir,
+
+        async list() {
+            try {
+                const entries = await fs.readdir(dir);
+                return entries.filter(entry => entry.endsWith('.json') && !entry.startsWith('.')).sort();
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+        },
+
+        async read(name) {
+            try {
+                return await fs.readFile(filePath(name), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async write(name, content) {
+            await fs.mkdir(dir, { recursive: true });
+            await writeFileAtomic(filePath(name), content);
+        },
+
+        // Every file is written to a temporary file before any is renamed into place, so a failed
+        // write changes none of them. If a rename fails, the files already renamed are put back.
+        async writeAll(documents) {
+            await fs.mkdir(dir, { recursive: true });
+            const staged = [];
+            try {
+                for (const { name, content } of documents) {
+                    const previous = await this.read(name);
+                    staged.push({ name, previous, tempFile: await writeTempFile(filePath(name), content) });
+                }
+
+                const renamed = [];
+                try {
+                    for (const document of staged) {
+                        await fs.rename(document.tempFile, filePath(document.name));
+                        renamed.push(document);
+                    }
+                } catch (error) {
+                    for (const { name, previous } of renamed.reverse()) {
+                        await (previous === null ? this.remove(name) : this.write(name, previous));
+                    }
+                    throw error;
+                }
+            } finally {
+                await Promise.all(staged.map(({ tempFile }) => fs.rm(tempFile, { force: true })));
+            }
+        },
+
+        async remove(name) {
+            try {
+                await fs.unlink(filePath(name));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        // Kept next to the original as <name>.json.corrupt-<timestamp>
+        async keepCorruptCopy(name, content) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            await fs.writeFile(`${filePath(name)}.corrupt-${stamp}`, content, 'utf8');
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { DATA_DIR, DRAFTS_DIR, createJsonFileStore };
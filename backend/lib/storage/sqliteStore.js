@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, '..', '..', 'db', 'bonparte.db');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS drafts (
+        name TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS corrupt_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        content TEXT NOT NULL,
+        found_at TEXT NOT NULL
+    );
+`;
+
+// Each document is a row in an embedded SQLite database (backend/db/bonparte.db by default), in the
+// documents table or, for the draft store, the drafts table.
+// The database is opened on first use so requiring this module stays cheap.
+function createSqliteStore({ file = SQLITE_FILE, drafts = false } = {}) {
+    const table = drafts ? 'drafts' : 'documents';
+    let db = null;
+    let statements = null;
+
+    function open() {
+        if (statements) return statements;
+
+        // An optional dependency, so installs that only use JSON files don't need to build it
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error(`The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+        }
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.pragma('synchronous = FULL');
+        db.exec(SCHEMA);
+
+        statements = {
+            list: db.prepare(`SELECT name FROM ${table} ORDER BY name`),
+            read: db.prepare(`SELECT content FROM ${table} WHERE name = ?`),
+            write: db.prepare(`
+                INSERT INTO ${table} (name, content, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at
+            `),
+            remove: db.prepare(`DELETE FROM ${table} WHERE name = ?`),
+            keepCorrupt: db.prepare('INSERT INTO corrupt_documents (name, content, found_at) VALUES (?, ?, ?)')
+        };
+        statements.writeAll = db.transaction(documents => {
+            const now = new Date().toISOString();
+            for (const { name, content } of documents) {
+                statements.write.run(name, content, now);
+            }
+        });
+
+        return statements;
+    }
+
+    return {
+        type: 'sqlite',
+        location: file,
+
+        async list() {
+            return open().list.all().map(row => row.name);
+        },
+
+        async read(name) {
+            const row = open().read.get(name);
+            return row ? row.content : null;
+        },
+
+        async write(name, content) {
+            open().write.run(name, content, new Date().toISOString());
+        },
+
+        // All documents are written in one transaction: either every one is saved or none is
+        async writeAll(documents) {
+            open().writeAll(documents);
+        },
+
+        async remove(name) {
+            open().remove.run(name);
+        },
+
+        async keepCorruptCopy(name, content) {
+            open().keepCorrupt.run(name, content, new Date().toISOString());
+        },
+
+        async close() {
+            if (db) db.close();
+            db = null;
+            statements = null;
+        }
+    };
+}
+
+module.exports = { SQLITE_FILE, createSqliteStore };
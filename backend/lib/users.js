@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomicFile');
+const { ROLES } = require('./permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_DIR = process.env.AUTH_DIR || path.join(__dirname, '..', 'auth');
+const USERS_FILE = path.join(AUTH_DIR, 'users.json');
+const LEGACY_CREDENTIALS_FILE = path.join(AUTH_DIR, 'admin.json');
+
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MIN_PASSWORD_LENGTH = 8;
+
+// In-memory copy of users.json, loaded at startup and again before every change (see changeUsers)
+let users = [];
+// Tail of the queue of changes to users.json
+let changeQueue = Promise.resolve();
+
+// ==================== PASSWORDS ====================
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const key = await scrypt(password, salt, 64);
+    return { salt, hash: key.toString('hex') };
+}
+
+async function verifyPassword(password, salt, expectedHash) {
+    const { hash } = await hashPassword(password, salt);
+    const actual = Buffer.from(hash, 'hex');
+    const expected = Buffer.from(expectedHash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// ==================== STORAGE ====================
+
+async function loadUsers() {
+    await fs.mkdir(AUTH_DIR, { recursive: true });
+
+    try {
+        const content = await fs.readFile(USERS_FILE, 'utf8');
+        users = JSON.parse(content).users || [];
+        return users;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    users = [];
+
+    // Upgrade the single-admin credentials file to an owner account
+    try {
+        const legacy = JSON.parse(await fs.readFile(LEGACY_CREDENTIALS_FILE, 'utf8'));
+        users.push({
+            username: legacy.username,
+            role: 'owner',
+            salt: legacy.salt,
+            passwordHash: legacy.passwordHash,
+            disabled: false,
+            createdAt: legacy.updatedAt || new Date().toISOString()
+        });
+        await saveUsers();
+        await fs.unlink(LEGACY_CREDENTIALS_FILE);
+        console.log(`🔐 Migrated admin account "${legacy.username}" to owner role`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    return users;
+}
+
+async function saveUsers() {
+    await fs.mkdir(AUTH_DIR, { recursive: true });
+    await writeFileAtomic(USERS_FILE, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+}
+
+// Runs `change()` on the users as users.json has them now and saves them if it changed anything.
+// Changes run one at a time, and each rereads the file first, so a change made outside the server
+// (the set-password script) isn't overwritten with the server's older copy.
+function changeUsers(change) {
+    const run = changeQueue.then(async () => {
+        try {
+            users = JSON.parse(await fs.readFile(USERS_FILE, 'utf8')).users || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const before = JSON.stringify(users);
+        const result = await change();
+        if (JSON.stringify(users) !== before) await saveUsers();
+        return result;
+    });
+    changeQueue = run.catch(() => {});
+    return run;
+}
+
+// ==================== QUERIES ====================
+
+function normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+function findUser(username) {
+    const name = normalizeUsername(username);
+    return users.find(user => user.username === name) || null;
+}
+
+function hasUsers() {
+    return users.length > 0;
+}
+
+// An owner who can sign in: not disabled and past the invite (has a password)
+function isActiveOwner(user) {
+    return user.role === 'owner' && !user.disabled && Boolean(user.passwordHash);
+}
+
+function countActiveOwners() {
+    return users.filter(isActiveOwner).length;
+}
+
+// Strips hashes and invite tokens before sending a user to the client
+function toPublicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        disabled: !!user.disabled,
+        pending: !user.passwordHash,
+        createdAt: user.createdAt,
+        invitedBy: user.invitedBy || null,
+        lastLoginAt: user.lastLoginAt || null
+    };
+}
+
+function listUsers() {
+    return users.map(toPublicUser);
+}
+
+// ==================== MUTATIONS ====================
+
+// Returns the user when the credentials are valid and the account is active, otherwise null
+function verifyCredentials(username, password) {
+    return changeUsers(async () => {
+        const user = findUser(username);
+        if (!user || user.disabled || !user.passwordHash) return null;
+
+        const valid = await verifyPassword(password, user.salt, user.passwordHash);
+        if (!valid) return null;
+
+        user.lastLoginAt = new Date().toISOString();
+        return user;
+    });
+}
+
+// Hashes and stores a new password, which also ends any pending invite
+async function applyPassword(user, password) {
+    const { salt, hash } = await hashPassword(password);
+    user.salt = salt;
+    user.passwordHash = hash;
+    delete user.inviteTokenHash;
+    delete user.inviteExpiresAt;
+    return user;
+}
+
+// Sets a password, creating the account as an owner if it doesn't exist (used by setup and the CLI)
+function setPassword(username, password) {
+    return changeUsers(() => {
+        const name = normalizeUsername(username);
+        let user = findUser(name);
+        if (!user) {
+            user = { username: name, role: 'owner', disabled: false, createdAt: new Date().toISOString() };
+            users.push(user);
+        }
+        return applyPassword(user, password);
+    });
+}
+
+// Creates a pending account and returns a one-time invite token for setting the password
+function inviteUser(username, role, invitedBy) {
+    return changeUsers(() => {
+        const name = normalizeUsername(username);
+        if (!/^[a-z0-9._-]{3,32}$/.test(name)) {
+            throw new UserError('Username must be 3-32 characters (letters, numbers, dots, dashes or underscores)');
+        }
+        if (!ROLES.includes(role)) {
+            throw new UserError(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (findUser(name)) {
+            throw new UserError('A user with that username already exists', 409);
+        }
+
+        const user = {
+            username: name,
+            role,
+            disabled: false,
+            createdAt: new Date().toISOString(),
+            invitedBy
+        };
+        users.push(user);
+
+        const inviteToken = issueInvite(user);
+        return { user, inviteToken };
+    });
+}
+
+// Generates a fresh invite token for a pending account
+function renewInvite(username) {
+    return changeUsers(() => {
+        const user = findUser(username);
+        if (!user) throw new UserError('User not found', 404);
+        if (user.passwordHash) throw new UserError('User has already accepted their invite');
+
+        const inviteToken = issueInvite(user);
+        return { user, inviteToken };
+    });
+}
+
+function issueInvite(user) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    user.inviteTokenHash = hashToken(token);
+    user.inviteExpiresAt = new Date(Date.now() + INVITE_TTL).toISOString();
+    return token;
+}
+
+async function acceptInvite(token, password) {
+    const passwordError = validatePassword(password);
+    if (passwordError) throw new UserError(passwordError);
+
+    return changeUsers(() => {
+        const tokenHash = hashToken(String(token || ''));
+        const user = users.find(u => u.inviteTokenHash === tokenHash);
+        if (!user || new Date(user.inviteExpiresAt).getTime() < Date.now()) {
+            throw new UserError('Invite link is invalid or has expired', 404);
+        }
+        if (user.disabled) {
+            throw new UserError('This account has been disabled', 403);
+        }
+
+        return applyPassword(user, password);
+    });
+}
+
+// Changes role and/or disabled state, refusing changes that would leave no active owner
+function updateUser(username, changes) {
+    return changeUsers(() => {
+        const user = findUser(username);
+        if (!user) throw new UserError('User not found', 404);
+
+        if (changes.role !== undefined && !ROLES.includes(changes.role)) {
+            throw new UserError(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+
+        const wasActiveOwner = isActiveOwner(user);
+        const losesOwner = (changes.role !== undefined && changes.role !== 'owner') || changes.disabled === true;
+        if (wasActiveOwner && losesOwner && countActiveOwners() <= 1) {
+            throw new UserError('There must be at least one active owner');
+        }
+
+        if (changes.role !== undefined) user.role = changes.role;
+        if (changes.disabled !== undefined) user.disabled = !!changes.disabled;
+        user.updatedAt = new Date().toISOString();
+        return user;
+    });
+}
+
+class UserError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UserError';
+        this.status = status;
+    }
+}
+
+module.exports = {
+    AUTH_DIR,
+    UserError,
+    loadUsers,
+    findUser,
+    hasUsers,
+    listUsers,
+    toPublicUser,
+    validatePassword,
+    verifyCredentials,
+    setPassword,
+    inviteUser,
+    renewInvite,
+    acceptInvite,
+    updateUser
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { validate, summarizeErrors } = require('../../shared/schemaValidator');
+const Specials = require('../../shared/specials');
+const MenuOptions = require('../../shared/menuOptions');
+const Dietary = require('../../shared/dietary');
+const OpeningHours = require('../../shared/openingHours');
+const Announcements = require('../../shared/announcements');
+
+// JSON Schemas for the data files, shared with the admin panel (served at /api/schemas)
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'shared', 'schemas');
+
+// menu.json -> shared/schemas/menu.schema.json, loaded once at startup
+const schemas = Object.fromEntries(
+    fs.readdirSync(SCHEMA_DIR)
+        .filter(file => file.endsWith('.schema.json'))
+        .map(file => [
+            file.replace('.schema.json', '.json'),
+            JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'))
+        ])
+);
+
+// Checks a schema can't express, by file. They run once the schema passes and report errors the same way.
+const RULES = {
+    'announcements.json': Announcements.findProblems,
+    'contact.json': OpeningHours.findProblems,
+    'menu.json': data => [...MenuOptions.findProblems(data), ...Dietary.findProblems(data)],
+    'specials.json': Specials.findProblems
+};
+
+function getSchema(filename) {
+    return schemas[filename] || null;
+}
+
+function listSchemas() {
+    return { ...schemas };
+}
+
+// Checks data against its file's schema and rules. Returns { valid, errors: [{ path, message }] }.
+// Files without a schema are not validated.
+function validateDocument(filename, data) {
+    const schema = getSchema(filename);
+    if (!schema) return { valid: true, errors: [] };
+
+    const result = validate(schema, data);
+    if (!result.valid || !RULES[filename]) return result;
+
+    const errors = RULES[filename](data);
+    return { valid: errors.length === 0, errors };
+}
+
+// Structure checks run before any data file is written.
+// Returns a readable summary of the problems, or null when the data is valid.
+function validateData(filename, data) {
+    const result = validateDocument(filename, data);
+    return result.valid ? null : summarizeErrors(result.errors);
+}
+
+module.exports = {
+    SCHEMA_DIR,
+    getSchema,
+    listSchemas,
+    validateDocument,
+    validateData
+};
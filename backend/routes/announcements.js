@@ -0,0 +1,9 @@
+const { createCollectionRouter } = require('./collection');
+
+// Announcements: /api/announcements, /api/announcements/:id (?severity=warning)
+module.exports = createCollectionRouter({
+    filename: 'announcements.json',
+    itemsKey: 'announcements',
+    label: 'Announcement',
+    filters: ['severity']
+});
@@ -0,0 +1,111 @@
+const express = require('express');
+const auth = require('../lib/auth');
+const users = require('../lib/users');
+const { getPermissions } = require('../lib/permissions');
+
+const router = express.Router();
+
+// User details sent to the admin panel, including what it may show
+function sessionUser(user) {
+    return {
+        ...users.toPublicUser(user),
+        permissions: getPermissions(user.role)
+    };
+}
+
+// Log in and start a session
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Username and password are required'
+            });
+        }
+
+        if (auth.isLockedOut(req.ip)) {
+            return res.status(429).json({
+                success: false,
+                error: 'Too many failed login attempts. Please try again later.'
+            });
+        }
+
+        const user = await users.verifyCredentials(username, password);
+        if (!user) {
+            auth.recordFailedLogin(req.ip);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid username or password'
+            });
+        }
+
+        auth.clearFailedLogins(req.ip);
+        const { token, session } = auth.createSession(user.username);
+        auth.setSessionCookie(req, res, token);
+
+        console.log(`${user.role} "${user.username}" logged in`);
+
+        res.json({
+            success: true,
+            message: 'Logged in successfully',
+            token,
+            user: sessionUser(user),
+            expiresAt: new Date(session.expiresAt).toISOString()
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in'
+        });
+    }
+});
+
+// End the current session
+router.post('/logout', (req, res) => {
+    auth.destroySession(req);
+    auth.clearSessionCookie(res);
+    res.json({ success: true, message: 'Logged out successfully' });
+});
+
+// Current session info (used by the admin panel on load)
+router.get('/session', auth.requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: sessionUser(req.user),
+        expiresAt: new Date(req.session.expiresAt).toISOString()
+    });
+});
+
+// Set a password from an invite link and log straight in
+router.post('/accept-invite', async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+        const user = await users.acceptInvite(token, password);
+
+        const { token: sessionToken, session } = auth.createSession(user.username);
+        auth.setSessionCookie(req, res, sessionToken);
+
+        console.log(`${user.role} "${user.username}" accepted their invite`);
+
+        res.json({
+            success: true,
+            message: 'Password set successfully',
+            token: sessionToken,
+            user: sessionUser(user),
+            expiresAt: new Date(session.expiresAt).toISOString()
+        });
+    } catch (error) {
+        if (error instanceof users.UserError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Error accepting invite:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to accept invite'
+        });
+    }
+});
+
+module.exports = router;
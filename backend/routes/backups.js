@@ -0,0 +1,134 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const backups = require('../lib/backups');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('backup'));
+
+router.param('id', (req, res, next, id) => {
+    if (!backups.isValidBackupId(id)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid backup id'
+        });
+    }
+    next();
+});
+
+// List backups and the automatic backup schedule
+router.get('/', async (req, res) => {
+    try {
+        const list = await backups.listBackups();
+        res.json({
+            success: true,
+            backups: list,
+            schedule: backups.getScheduleInfo()
+        });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list backups'
+        });
+    }
+});
+
+// Create a manual backup
+router.post('/', async (req, res) => {
+    try {
+        const backup = await backups.createBackup({ type: 'manual', author: req.user.username });
+        res.status(201).json({
+            success: true,
+            message: 'Backup created successfully',
+            backup,
+            backupPath: backup.path
+        });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create backup'
+        });
+    }
+});
+
+// Download a backup as a zip archive
+router.get('/:id/download', async (req, res) => {
+    try {
+        const backup = await backups.getBackup(req.params.id);
+        if (!backup) {
+            return res.status(404).json({
+                success: false,
+                error: 'Backup not found'
+            });
+        }
+
+        res.attachment(`bonparte-backup-${backup.id}.zip`);
+        await backups.streamBackupArchive(backup.id, res);
+    } catch (error) {
+        console.error(`Error downloading backup ${req.params.id}:`, error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to download backup'
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// Restore every file from a backup. Replaces contact.json too, so only the owner may do it.
+router.post('/:id/restore', requirePermission('backup-restore'), async (req, res) => {
+    try {
+        const result = await backups.restoreBackup(req.params.id, req.user.username);
+
+        console.log(`${req.user.username} restored backup ${req.params.id}`);
+
+        res.json({
+            success: true,
+            message: `Restored ${result.files.length} file(s) from backup`,
+            files: result.files,
+            safetyBackupId: result.safetyBackupId
+        });
+    } catch (error) {
+        if (error instanceof backups.BackupError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                details: error.details
+            });
+        }
+        console.error(`Error restoring backup ${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore backup'
+        });
+    }
+});
+
+// Delete a backup. Like restoring, only the owner may, so the backup made before a restore (or
+// anyone else's) can't be removed by a manager.
+router.delete('/:id', requirePermission('backup-restore'), async (req, res) => {
+    try {
+        const deleted = await backups.deleteBackup(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Backup not found'
+            });
+        }
+
+        res.json({ success: true, message: 'Backup deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting backup ${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete backup'
+        });
+    }
+});
+
+module.exports = router;
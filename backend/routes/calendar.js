@@ -0,0 +1,66 @@
+const express = require('express');
+const { readDataFile } = require('../lib/dataFiles');
+const { buildCalendar } = require('../lib/calendar');
+
+const router = express.Router();
+
+const CALENDAR_NAME = 'The Bonparte Cafe Events';
+
+async function sendCalendar(req, res, events, filename) {
+    const contact = await readDataFile('contact.json').catch(() => ({}));
+    const calendar = buildCalendar(events, {
+        name: CALENDAR_NAME,
+        siteUrl: `${req.protocol}://${req.get('host')}`,
+        location: (contact.address || '').replace(/\n/g, ', '),
+        timeZone: contact.openingHours ? contact.openingHours.timeZone : undefined
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (filename) res.attachment(filename);
+    res.send(calendar);
+}
+
+// The subscription feed with every scheduled event: webcal://<host>/api/events.ics
+router.get('/events.ics', async (req, res) => {
+    try {
+        const data = await readDataFile('events.json');
+        await sendCalendar(req, res, data.events || []);
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build calendar'
+        });
+    }
+});
+
+// One event to add to a calendar: /api/events/3.ics
+router.get('/events/:id(\\d+).ics', async (req, res) => {
+    try {
+        const data = await readDataFile('events.json');
+        const event = (data.events || []).find(candidate => candidate.id === parseInt(req.params.id, 10));
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found'
+            });
+        }
+        if (!event.schedule) {
+            return res.status(404).json({
+                success: false,
+                error: 'This event has no schedule to add to a calendar'
+            });
+        }
+
+        const slug = event.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `event-${event.id}`;
+        await sendCalendar(req, res, [event], `${slug}.ics`);
+    } catch (error) {
+        console.error('Error building event calendar:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build calendar'
+        });
+    }
+});
+
+module.exports = router;
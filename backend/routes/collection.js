@@ -0,0 +1,223 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const { DataFileError, readDataFileWithVersion, editDataFile, sendDataFileError } = require('../lib/dataFiles');
+const { wantsDrafts } = require('../lib/drafts');
+const { validateDocument } = require('../lib/validation');
+const { summarizeErrors } = require('../../shared/schemaValidator');
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseId(value) {
+    return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+// The id for a new item. The file keeps the next free one in `nextId`, so the id of a deleted item is
+// never handed out again (RSVPs and specials refer to items by id). Files that don't have it yet
+// start after the highest id in use.
+function nextId(data, items) {
+    const stored = Number.isInteger(data.nextId) ? data.nextId : 1;
+    return items.reduce((max, item) => Math.max(max, Number.isInteger(item.id) ? item.id + 1 : 0), stored);
+}
+
+// CRUD routes for one array of items inside a data file, e.g. the `items` of menu.json:
+//   GET    /          list, optionally filtered by the `filters` fields (?category=Burgers)
+//   GET    /:id       one item
+//   POST   /          create; the server assigns the id                   201 + Location
+//   PUT    /:id       replace an item
+//   PATCH  /:id       change some fields of an item
+//   DELETE /:id                                                           204
+// Writes need the role's permission for the file. They accept If-Match with the file's version
+// (409 when it is stale) and send the new version back as the ETag.
+// Changes to the website's content go into the file's draft (see editDataFile); GETs answer with the
+// published file, or the draft for the admin panel (?draft) and preview links (?preview=<token>).
+function createCollectionRouter({ filename, itemsKey, label, filters = [] }) {
+    const router = express.Router();
+    const canWrite = [requireAuth, requirePermission(filename)];
+    const noun = label.toLowerCase();
+
+    function itemsOf(data) {
+        if (!data || !Array.isArray(data[itemsKey])) {
+            throw new DataFileError(`${filename} has no ${itemsKey} list`, 500);
+        }
+        return data[itemsKey];
+    }
+
+    function findIndex(items, id) {
+        const index = id === null ? -1 : items.findIndex(item => item.id === id);
+        if (index === -1) {
+            throw new DataFileError(`${label} not found`, 404);
+        }
+        return index;
+    }
+
+    // Validates the whole file after a change. Errors about the changed item are reported relative
+    // to it ("price" rather than "items[3].price") so they map straight onto form fields.
+    function validateChange(data, index) {
+        const validation = validateDocument(filename, data);
+        if (validation.valid) return;
+
+        const prefix = `${itemsKey}[${index}]`;
+        const errors = validation.errors.map(error => {
+            if (error.path === prefix) return { ...error, path: '' };
+            if (error.path.startsWith(`${prefix}.`)) return { ...error, path: error.path.slice(prefix.length + 1) };
+            return error;
+        });
+        throw new DataFileError(summarizeErrors(errors), 400, { errors });
+    }
+
+    function writeOptions(req, action) {
+        return { author: req.user.username, action, ifMatch: req.headers['if-match'] };
+    }
+
+    function sendError(res, error, action) {
+        if (error instanceof DataFileError) {
+            return sendDataFileError(res, filename, error);
+        }
+        console.error(`Error trying to ${action} ${noun} in ${filename}:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action} ${noun}`
+        });
+    }
+
+    function requireObjectBody(req, res, next) {
+        if (!isPlainObject(req.body)) {
+            return res.status(400).json({
+                success: false,
+                error: `${label} data must be an object`
+            });
+        }
+        next();
+    }
+
+    router.get('/', async (req, res) => {
+        try {
+            const { data, version } = await readDataFileWithVersion(filename, { draft: wantsDrafts(req) });
+            let items = itemsOf(data);
+
+            filters.forEach(field => {
+                if (req.query[field] !== undefined) {
+                    // A list field matches when it contains the value (?days=Monday)
+                    items = items.filter(item => (Array.isArray(item[field])
+                        ? item[field].map(String).includes(req.query[field])
+                        : String(item[field]) === req.query[field]));
+                }
+            });
+
+            res.set('ETag', `"${version}"`);
+            res.json({ success: true, [itemsKey]: items, version });
+        } catch (error) {
+            sendError(res, error, 'list');
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const { data, version } = await readDataFileWithVersion(filename, { draft: wantsDrafts(req) });
+            const items = itemsOf(data);
+            const item = items[findIndex(items, parseId(req.params.id))];
+
+            res.set('ETag', `"${version}"`);
+            res.json({ success: true, item, version });
+        } catch (error) {
+            sendError(res, error, 'load');
+        }
+    });
+
+    router.post('/', ...canWrite, requireObjectBody, async (req, res) => {
+        try {
+            let created;
+            const saved = await editDataFile(filename, ({ data }) => {
+                const items = itemsOf(data);
+                // Ids are always assigned here, whatever the client sent
+                const { id, ...fields } = req.body;
+                created = { id: nextId(data, items), ...fields };
+                items.push(created);
+                data.nextId = created.id + 1;
+                validateChange(data, items.length - 1);
+                return data;
+            }, writeOptions(req, 'create'));
+
+            console.log(`${req.user.username} created ${noun} ${created.id} in ${filename}`);
+
+            // A new item in a draft is only there when the draft is asked for
+            res.status(201)
+                .location(`${req.baseUrl}/${created.id}${saved.draft ? '?draft' : ''}`)
+                .set('ETag', `"${saved.version}"`)
+                .json({
+                    success: true,
+                    message: `${label} created`,
+                    item: created,
+                    version: saved.version,
+                    revision: saved.revision,
+                    draft: saved.draft
+                });
+        } catch (error) {
+            sendError(res, error, 'create');
+        }
+    });
+
+    // PUT replaces the item, PATCH keeps the fields that aren't sent
+    function updateRoute(replace) {
+        return async (req, res) => {
+            try {
+                const id = parseId(req.params.id);
+                // The id in the URL wins over any id in the body
+                const { id: ignored, ...fields } = req.body;
+                let updated;
+                const saved = await editDataFile(filename, ({ data }) => {
+                    const items = itemsOf(data);
+                    const index = findIndex(items, id);
+                    updated = replace
+                        ? { id, ...fields }
+                        : { ...items[index], ...fields, id };
+                    items[index] = updated;
+                    validateChange(data, index);
+                    return data;
+                }, writeOptions(req, 'update'));
+
+                res.set('ETag', `"${saved.version}"`);
+                res.json({
+                    success: true,
+                    message: `${label} updated`,
+                    item: updated,
+                    version: saved.version,
+                    revision: saved.revision,
+                    draft: saved.draft
+                });
+            } catch (error) {
+                sendError(res, error, 'update');
+            }
+        };
+    }
+
+    router.put('/:id', ...canWrite, requireObjectBody, updateRoute(true));
+    router.patch('/:id', ...canWrite, requireObjectBody, updateRoute(false));
+
+    router.delete('/:id', ...canWrite, async (req, res) => {
+        try {
+            const id = parseId(req.params.id);
+            const saved = await editDataFile(filename, ({ data }) => {
+                const items = itemsOf(data);
+                const index = findIndex(items, id);
+                data.nextId = nextId(data, items);
+                items.splice(index, 1);
+                return data;
+            }, writeOptions(req, 'delete'));
+
+            console.log(`${req.user.username} deleted ${noun} ${id} from ${filename}`);
+
+            res.set('ETag', `"${saved.version}"`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'delete');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCollectionRouter };
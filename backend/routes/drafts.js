@@ -0,0 +1,106 @@
+const express = require('express');
+const { requireAuth, createPreviewToken, previewTokenExpiry } = require('../lib/auth');
+const { hasPermission, requirePermission } = require('../lib/permissions');
+const { DataFileError, listDrafts, sendDataFileError } = require('../lib/dataFiles');
+const drafts = require('../lib/drafts');
+
+const router = express.Router();
+
+// Whether a preview link still works, for the website to check before showing drafts
+router.get('/preview', (req, res) => {
+    const expiresAt = previewTokenExpiry(req.query.token);
+    res.json({
+        success: true,
+        valid: expiresAt !== null,
+        expiresAt: expiresAt && new Date(expiresAt).toISOString()
+    });
+});
+
+router.use(requireAuth);
+
+// Publishing or discarding acts on every file with a draft, so the user needs permission for each
+// of them as well. Sends a 403 and resolves to false when they don't have it.
+async function checkDraftPermissions(req, res) {
+    const forbidden = (await listDrafts()).filter(filename => !hasPermission(req.user.role, filename));
+    if (forbidden.length) {
+        res.status(403).json({
+            success: false,
+            error: `Your role (${req.user.role}) cannot modify ${forbidden.join(', ')}`
+        });
+        return false;
+    }
+    return true;
+}
+
+// Files with unpublished changes, and what changed in each
+router.get('/', async (req, res) => {
+    try {
+        res.json({ success: true, drafts: await drafts.listPendingChanges() });
+    } catch (error) {
+        console.error('Error listing drafts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list drafts'
+        });
+    }
+});
+
+// A link showing the website with the drafts applied: /index.html?preview=<token>
+router.post('/preview', (req, res) => {
+    const { token, expiresAt } = createPreviewToken();
+    res.status(201).json({
+        success: true,
+        token,
+        url: `/index.html?preview=${encodeURIComponent(token)}`,
+        expiresAt: new Date(expiresAt).toISOString()
+    });
+});
+
+// Make every draft live
+router.post('/publish', requirePermission('publish'), async (req, res) => {
+    try {
+        if (!(await checkDraftPermissions(req, res))) return;
+
+        const published = await drafts.publishAll(req.user.username);
+        console.log(`${req.user.username} published ${published.map(entry => entry.filename).join(', ') || 'nothing'}`);
+
+        res.json({
+            success: true,
+            message: published.length ? 'Changes published' : 'Nothing to publish',
+            published
+        });
+    } catch (error) {
+        if (error instanceof DataFileError) {
+            return sendDataFileError(res, 'drafts', error);
+        }
+        console.error('Error publishing drafts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to publish changes'
+        });
+    }
+});
+
+// Throw every draft away
+router.delete('/', requirePermission('publish'), async (req, res) => {
+    try {
+        if (!(await checkDraftPermissions(req, res))) return;
+
+        const discarded = await drafts.discardAll();
+        console.log(`${req.user.username} discarded drafts of ${discarded.join(', ') || 'nothing'}`);
+
+        res.json({
+            success: true,
+            message: discarded.length ? 'Changes discarded' : 'Nothing to discard',
+            discarded
+        });
+    } catch (error) {
+        console.error('Error discarding drafts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to discard changes'
+        });
+    }
+});
+
+module.exports = router;
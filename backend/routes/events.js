@@ -0,0 +1,9 @@
+const { createCollectionRouter } = require('./collection');
+
+// Events: /api/events, /api/events/:id (?featured=true filters the list)
+module.exports = createCollectionRouter({
+    filename: 'events.json',
+    itemsKey: 'events',
+    label: 'Event',
+    filters: ['featured']
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+const multer = require('multer');
+const { requireAuth } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const media = require('../lib/media');
+
+const router = express.Router();
+
+// Uploads are kept in memory until their content has been checked
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: media.MAX_IMAGE_SIZE, files: 1 }
+});
+
+function receiveImage(req, res, next) {
+    upload.single('image')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge
+                    ? `Images can be at most ${media.MAX_IMAGE_SIZE / 1024 / 1024} MB`
+                    : `Upload failed: ${error.message}`
+            });
+        }
+        next(error);
+    });
+}
+
+router.use(requireAuth);
+
+// Every image with its thumbnail and the menu items and events using it
+router.get('/', async (req, res) => {
+    try {
+        res.json({ success: true, media: await media.listMedia() });
+    } catch (error) {
+        console.error('Error listing media:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list media'
+        });
+    }
+});
+
+// Menu items and events pointing at images that don't exist
+router.get('/missing', async (req, res) => {
+    try {
+        res.json({ success: true, missing: await media.findMissingImages() });
+    } catch (error) {
+        console.error('Error checking images:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check images'
+        });
+    }
+});
+
+// Upload one image as multipart form data in the "image" field
+router.post('/', requirePermission('media'), receiveImage, async (req, res) => {
+    try {
+        const image = await media.saveImage(req.file);
+        console.log(`${req.user.username} uploaded ${image.path}`);
+
+        res.status(201).location(`/${image.path}`).json({
+            success: true,
+            message: 'Image uploaded',
+            image
+        });
+    } catch (error) {
+        if (error instanceof media.MediaError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error uploading image:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload image'
+        });
+    }
+});
+
+module.exports = router;
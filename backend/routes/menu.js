@@ -0,0 +1,222 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const { DataFileError, readDataFile, readDataFileWithVersion, editDataFile, sendDataFileError } = require('../lib/dataFiles');
+const { wantsDrafts } = require('../lib/drafts');
+const { validateDocument } = require('../lib/validation');
+const { summarizeErrors } = require('../../shared/schemaValidator');
+const { createCollectionRouter } = require('./collection');
+
+const FILENAME = 'menu.json';
+
+const router = express.Router();
+const canWrite = [requireAuth, requirePermission(FILENAME)];
+
+function menuOf(data) {
+    if (!data || !Array.isArray(data.categories) || !Array.isArray(data.items)) {
+        throw new DataFileError(`${FILENAME} has no categories or items list`, 500);
+    }
+    return data;
+}
+
+function categoryName(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Validates the whole menu after a change to its categories, like the item routes do
+function validateMenu(menu) {
+    const validation = validateDocument(FILENAME, menu);
+    if (!validation.valid) {
+        throw new DataFileError(summarizeErrors(validation.errors), 400, { errors: validation.errors });
+    }
+    return menu;
+}
+
+// Specials that let the guest pick from a category. Checked on the drafts, which are what gets
+// published along with the menu.
+async function specialsPickingFrom(category) {
+    let specials;
+    try {
+        specials = await readDataFile('specials.json', { draft: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return (specials.specials || []).filter(special => (special.picks || []).some(pick => pick.category === category));
+}
+
+// Renaming or deleting a category would leave those specials picking from one that's gone
+async function checkNotPicked(category, change) {
+    const specials = await specialsPickingFrom(category);
+    if (specials.length) {
+        throw new DataFileError(
+            `Category "${category}" can't be ${change} while ${specials.map(special => special.name).join(', ')} `
+            + `${specials.length > 1 ? 'pick' : 'picks'} from it. Change ${specials.length > 1 ? 'those specials' : 'that special'} first.`,
+            409
+        );
+    }
+}
+
+function writeOptions(req, action) {
+    return { author: req.user.username, action, ifMatch: req.headers['if-match'] };
+}
+
+function sendError(res, error, action) {
+    if (error instanceof DataFileError) {
+        return sendDataFileError(res, FILENAME, error);
+    }
+    console.error(`Error trying to ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+}
+
+// The whole menu: categories and items
+router.get('/', async (req, res) => {
+    try {
+        const { data, version } = await readDataFileWithVersion(FILENAME, { draft: wantsDrafts(req) });
+        const { categories, items } = menuOf(data);
+
+        res.set('ETag', `"${version}"`);
+        res.json({ success: true, categories, items, version });
+    } catch (error) {
+        sendError(res, error, 'load menu');
+    }
+});
+
+// Menu items: /api/menu/items, /api/menu/items/:id (?category= and ?dietary=vegan filter the list)
+router.use('/items', createCollectionRouter({
+    filename: FILENAME,
+    itemsKey: 'items',
+    label: 'Menu item',
+    filters: ['category', 'dietary']
+}));
+
+// ==================== CATEGORIES ====================
+// Categories are plain names, so the name is also the id in the URL: /api/menu/categories/Burgers
+
+router.get('/categories', async (req, res) => {
+    try {
+        const { data, version } = await readDataFileWithVersion(FILENAME, { draft: wantsDrafts(req) });
+
+        res.set('ETag', `"${version}"`);
+        res.json({ success: true, categories: menuOf(data).categories, version });
+    } catch (error) {
+        sendError(res, error, 'load categories');
+    }
+});
+
+router.post('/categories', ...canWrite, async (req, res) => {
+    const name = categoryName(req.body && req.body.name);
+    if (!name) {
+        return res.status(400).json({
+            success: false,
+            error: 'Category name is required'
+        });
+    }
+
+    try {
+        const saved = await editDataFile(FILENAME, ({ data }) => {
+            const menu = menuOf(data);
+            if (menu.categories.includes(name)) {
+                throw new DataFileError(`Category "${name}" already exists`, 409);
+            }
+            menu.categories.push(name);
+            return validateMenu(menu);
+        }, writeOptions(req, 'create category'));
+
+        res.status(201)
+            .location(`${req.baseUrl}/categories/${encodeURIComponent(name)}`)
+            .set('ETag', `"${saved.version}"`)
+            .json({
+                success: true,
+                message: 'Category created',
+                category: name,
+                version: saved.version,
+                revision: saved.revision,
+                draft: saved.draft
+            });
+    } catch (error) {
+        sendError(res, error, 'create category');
+    }
+});
+
+// Renames a category and moves its items along with it. Refused while a special picks from it.
+router.put('/categories/:name', ...canWrite, async (req, res) => {
+    const name = categoryName(req.body && req.body.name);
+    if (!name) {
+        return res.status(400).json({
+            success: false,
+            error: 'Category name is required'
+        });
+    }
+
+    try {
+        if (name !== req.params.name) await checkNotPicked(req.params.name, 'renamed');
+
+        let moved = 0;
+        const saved = await editDataFile(FILENAME, ({ data }) => {
+            const menu = menuOf(data);
+            const index = menu.categories.indexOf(req.params.name);
+            if (index === -1) {
+                throw new DataFileError('Category not found', 404);
+            }
+            if (name !== req.params.name && menu.categories.includes(name)) {
+                throw new DataFileError(`Category "${name}" already exists`, 409);
+            }
+
+            menu.categories[index] = name;
+            menu.items.forEach(item => {
+                if (item.category === req.params.name) {
+                    item.category = name;
+                    moved++;
+                }
+            });
+            return validateMenu(menu);
+        }, writeOptions(req, 'rename category'));
+
+        res.set('ETag', `"${saved.version}"`);
+        res.json({
+            success: true,
+            message: 'Category renamed',
+            category: name,
+            itemsMoved: moved,
+            version: saved.version,
+            revision: saved.revision,
+            draft: saved.draft
+        });
+    } catch (error) {
+        sendError(res, error, 'rename category');
+    }
+});
+
+// Only empty categories that no special picks from can be deleted, so no item is left without one
+router.delete('/categories/:name', ...canWrite, async (req, res) => {
+    try {
+        await checkNotPicked(req.params.name, 'deleted');
+
+        const saved = await editDataFile(FILENAME, ({ data }) => {
+            const menu = menuOf(data);
+            const index = menu.categories.indexOf(req.params.name);
+            if (index === -1) {
+                throw new DataFileError('Category not found', 404);
+            }
+
+            const used = menu.items.filter(item => item.category === req.params.name).length;
+            if (used > 0) {
+                throw new DataFileError(`Category "${req.params.name}" still has ${used} item(s)`, 409);
+            }
+
+            menu.categories.splice(index, 1);
+            return validateMenu(menu);
+        }, writeOptions(req, 'delete category'));
+
+        res.set('ETag', `"${saved.version}"`);
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'delete category');
+    }
+});
+
+module.exports = router;
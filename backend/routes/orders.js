@@ -0,0 +1,111 @@
+const express = require('express');
+const { requireAuth, getSession } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const orders = require('../lib/orders');
+const { openEventStream } = require('../lib/sse');
+
+const router = express.Router();
+
+function sendOrderError(res, error, action) {
+    if (error instanceof orders.OrderError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...error.details
+        });
+    }
+    console.error(`Error trying to ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+}
+
+router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Order not found'
+        });
+    }
+    req.orderId = parseInt(id, 10);
+    next();
+});
+
+// Place an order from the public site. Prices come from the menu, not from the request.
+router.post('/', async (req, res) => {
+    try {
+        const order = await orders.createOrder(req.body);
+        console.log(`New ${order.type} order #${order.id} for ${order.customer.name} ($${order.total.toFixed(2)})`);
+
+        res.status(201).location(`${req.baseUrl}/${order.id}`).json({
+            success: true,
+            message: 'Order placed',
+            order
+        });
+    } catch (error) {
+        sendOrderError(res, error, 'place order');
+    }
+});
+
+// Everything below is for staff
+router.use(requireAuth, requirePermission('orders'));
+
+// All orders, newest first (?status=received filters them)
+router.get('/', (req, res) => {
+    const list = orders.listOrders({ status: req.query.status })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ success: true, orders: list, statuses: orders.ORDER_STATUSES });
+});
+
+// Live feed for the kitchen board: a "board" event with the open and recently finished orders,
+// then an "order" event ({ type: 'created' | 'updated', order }) for every change
+router.get('/stream', (req, res) => {
+    const onChange = (change) => stream.send('order', change);
+    const stream = openEventStream(req, res, {
+        isValid: () => Boolean(getSession(req)),
+        onClose: () => orders.orderEvents.off('change', onChange)
+    });
+
+    stream.send('board', { orders: orders.listBoardOrders(), statuses: orders.ORDER_STATUSES });
+    orders.orderEvents.on('change', onChange);
+});
+
+// An order taken by phone or at the counter ("source": "phone" | "counter"); the phone number is optional
+router.post('/staff', async (req, res) => {
+    try {
+        const order = await orders.createOrder(req.body, { staff: req.user.username });
+        console.log(`${req.user.username} took ${order.source} order #${order.id} for ${order.customer.name}`);
+
+        res.status(201).location(`${req.baseUrl}/${order.id}`).json({
+            success: true,
+            message: 'Order added',
+            order
+        });
+    } catch (error) {
+        sendOrderError(res, error, 'add order');
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const order = orders.getOrder(req.orderId);
+    if (!order) {
+        return res.status(404).json({
+            success: false,
+            error: 'Order not found'
+        });
+    }
+    res.json({ success: true, order });
+});
+
+// Move an order along: { "status": "preparing" } (see STATUS_TRANSITIONS in lib/orders.js)
+router.patch('/:id', async (req, res) => {
+    try {
+        const order = await orders.updateOrderStatus(req.orderId, req.body && req.body.status, req.user.username);
+        res.json({ success: true, message: `Order #${order.id} is ${order.status}`, order });
+    } catch (error) {
+        sendOrderError(res, error, 'update order');
+    }
+});
+
+module.exports = router;
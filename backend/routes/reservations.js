@@ -0,0 +1,107 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const reservations = require('../lib/reservations');
+
+const router = express.Router();
+
+function sendReservationError(res, error, action) {
+    if (error instanceof reservations.ReservationError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...error.details
+        });
+    }
+    console.error(`Error trying to ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+}
+
+router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Reservation not found'
+        });
+    }
+    req.reservationId = parseInt(id, 10);
+    next();
+});
+
+// Free start times for a party: /api/reservations/availability?date=2025-06-14&party=4
+router.get('/availability', async (req, res) => {
+    try {
+        const availability = await reservations.getAvailability(req.query.date, parseInt(req.query.party, 10));
+        res.json({ success: true, ...availability });
+    } catch (error) {
+        sendReservationError(res, error, 'check availability');
+    }
+});
+
+// Book a table from the public site. The server picks the table; a taken time answers 409.
+router.post('/', async (req, res) => {
+    try {
+        const reservation = await reservations.createReservation(req.body);
+        console.log(`New reservation #${reservation.id} for ${reservation.customer.name}, ` +
+            `${reservation.partySize} on ${reservation.date} at ${reservation.time} (${reservation.table.name})`);
+
+        res.status(201).location(`${req.baseUrl}/${reservation.id}`).json({
+            success: true,
+            message: 'Reservation received',
+            reservation
+        });
+    } catch (error) {
+        sendReservationError(res, error, 'book table');
+    }
+});
+
+// Everything below is for staff
+router.use(requireAuth, requirePermission('reservations'));
+
+// Reservations from today on (?from=2025-06-01&to=2025-06-07&status=pending narrow them down)
+router.get('/', async (req, res) => {
+    try {
+        const list = reservations.listReservations({
+            from: req.query.from || await reservations.cafeToday(),
+            to: req.query.to || undefined,
+            status: req.query.status || undefined
+        });
+        res.json({ success: true, reservations: list, statuses: reservations.RESERVATION_STATUSES });
+    } catch (error) {
+        sendReservationError(res, error, 'list reservations');
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const reservation = reservations.getReservation(req.reservationId);
+    if (!reservation) {
+        return res.status(404).json({
+            success: false,
+            error: 'Reservation not found'
+        });
+    }
+    res.json({ success: true, reservation });
+});
+
+// Confirm, seat or cancel: { "status": "confirmed" } (see STATUS_TRANSITIONS in lib/reservations.js)
+router.patch('/:id', async (req, res) => {
+    try {
+        const reservation = await reservations.updateReservationStatus(
+            req.reservationId,
+            req.body && req.body.status,
+            req.user.username
+        );
+        res.json({
+            success: true,
+            message: `Reservation #${reservation.id} is ${reservation.status}`,
+            reservation
+        });
+    } catch (error) {
+        sendReservationError(res, error, 'update reservation');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const { isValidFilename, editDataFile } = require('../lib/dataFiles');
+const revisions = require('../lib/revisions');
+const { validateData } = require('../lib/validation');
+
+const router = express.Router();
+
+// History is only visible to logged-in admins
+router.use(requireAuth);
+
+router.param('filename', (req, res, next, filename) => {
+    if (!isValidFilename(filename)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid filename'
+        });
+    }
+    next();
+});
+
+function parseRevisionNumber(value) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// List revisions for a file, newest first
+router.get('/:filename', async (req, res) => {
+    try {
+        const list = await revisions.listRevisions(req.params.filename);
+        res.json({ success: true, filename: req.params.filename, revisions: list });
+    } catch (error) {
+        console.error(`Error listing revisions for ${req.params.filename}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list revisions'
+        });
+    }
+});
+
+// Diff between two revisions: /api/revisions/menu.json/diff?from=3&to=5
+router.get('/:filename/diff', async (req, res) => {
+    try {
+        const from = parseRevisionNumber(req.query.from);
+        const to = parseRevisionNumber(req.query.to);
+        if (!from || !to) {
+            return res.status(400).json({
+                success: false,
+                error: 'Both "from" and "to" revision numbers are required'
+            });
+        }
+
+        const result = await revisions.diffRevisions(req.params.filename, from, to);
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        res.json({ success: true, filename: req.params.filename, ...result });
+    } catch (error) {
+        console.error(`Error diffing revisions for ${req.params.filename}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compare revisions'
+        });
+    }
+});
+
+// A single revision, including its snapshot and the diff from the revision before it
+router.get('/:filename/:revision', async (req, res) => {
+    try {
+        const number = parseRevisionNumber(req.params.revision);
+        const revision = number && await revisions.getRevision(req.params.filename, number);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        res.json({ success: true, revision });
+    } catch (error) {
+        console.error(`Error reading revision for ${req.params.filename}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read revision'
+        });
+    }
+});
+
+// Restore a revision. The restore itself is saved as a new revision, so it can be undone too.
+router.post('/:filename/:revision/restore', requirePermission(req => req.params.filename), async (req, res) => {
+    try {
+        const filename = req.params.filename;
+        const number = parseRevisionNumber(req.params.revision);
+        const revision = number && await revisions.getRevision(filename, number);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        // Old snapshots may predate newer validation rules
+        const validationError = validateData(filename, revision.data);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: `Revision ${number} cannot be restored: ${validationError}`
+            });
+        }
+
+        // Like any other edit, a restored website file waits in its draft until it's published
+        const restored = await editDataFile(filename, () => revision.data, {
+            author: req.user.username,
+            action: 'restore',
+            restoredFrom: number
+        });
+
+        console.log(`${req.user.username} restored ${filename} to revision ${number}`);
+
+        res.json({
+            success: true,
+            message: restored.draft ? `Restored revision ${number} as a draft` : `Restored revision ${number}`,
+            filename,
+            revision: restored.revision,
+            version: restored.version,
+            draft: restored.draft,
+            data: revision.data
+        });
+    } catch (error) {
+        console.error(`Error restoring revision for ${req.params.filename}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore revision'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { requirePermission } = require('../lib/permissions');
+const rsvps = require('../lib/rsvps');
+
+const router = express.Router();
+
+function sendRsvpError(res, error, action) {
+    if (error instanceof rsvps.RsvpError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...error.details
+        });
+    }
+    console.error(`Error trying to ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+}
+
+// Quotes a CSV field when needed; a leading =, +, - or @ is defused so spreadsheets don't run it as a formula
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Guests going, on the waitlist and places left, for every event that takes RSVPs
+router.get('/summary', async (req, res) => {
+    try {
+        res.json({ success: true, events: await rsvps.getSummaries() });
+    } catch (error) {
+        sendRsvpError(res, error, 'load RSVPs');
+    }
+});
+
+// RSVP from the public site: { eventId, name, email, phone?, guests }.
+// Answers with the status ("going" or "waitlist") and a token to cancel with.
+router.post('/', async (req, res) => {
+    try {
+        const rsvp = await rsvps.createRsvp(req.body);
+        console.log(`RSVP #${rsvp.id}: ${rsvp.name} (${rsvp.guests}) ${rsvp.status} for ${rsvp.eventName}`);
+
+        res.status(201).json({
+            success: true,
+            message: rsvp.status === 'going' ? 'You\'re on the guest list' : 'The event is full, so you\'re on the waitlist',
+            rsvp: rsvps.publicRsvp(rsvp),
+            token: rsvp.token
+        });
+    } catch (error) {
+        sendRsvpError(res, error, 'RSVP');
+    }
+});
+
+// Cancel from the public site: { token }
+router.post('/cancel', async (req, res) => {
+    try {
+        const rsvp = await rsvps.cancelRsvpByToken(req.body && req.body.token);
+        res.json({ success: true, message: 'RSVP cancelled', rsvp: rsvps.publicRsvp(rsvp) });
+    } catch (error) {
+        sendRsvpError(res, error, 'cancel RSVP');
+    }
+});
+
+// Everything below is for staff who run events
+router.use(requireAuth, requirePermission('events.json'));
+
+function eventIdOf(req) {
+    return /^\d+$/.test(req.query.eventId || '') ? parseInt(req.query.eventId, 10) : undefined;
+}
+
+// All RSVPs (?eventId=3 for one event), oldest first
+router.get('/', (req, res) => {
+    const list = rsvps.listRsvps({ eventId: eventIdOf(req) }).map(({ token, ...rsvp }) => rsvp);
+    res.json({ success: true, rsvps: list, statuses: rsvps.RSVP_STATUSES });
+});
+
+// The attendee list as a spreadsheet: /api/rsvps/export?eventId=3
+router.get('/export', (req, res) => {
+    const eventId = eventIdOf(req);
+    const list = rsvps.listRsvps({ eventId }).filter(rsvp => rsvp.status !== 'cancelled');
+
+    const rows = [
+        ['Event', 'Status', 'Name', 'Email', 'Phone', 'Guests', 'Signed up'],
+        ...list.map(rsvp => [rsvp.eventName, rsvp.status, rsvp.name, rsvp.email, rsvp.phone, rsvp.guests, rsvp.createdAt])
+    ];
+    const csv = rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(eventId === undefined ? 'rsvps.csv' : `rsvps-event-${eventId}.csv`);
+    res.send(csv);
+});
+
+// { "status": "cancelled" }, or { "status": "going" } to let someone in from the waitlist
+router.patch('/:id', async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'RSVP not found'
+        });
+    }
+
+    try {
+        const { token, ...rsvp } = await rsvps.updateRsvpStatus(parseInt(req.params.id, 10), req.body && req.body.status);
+        res.json({ success: true, message: `RSVP #${rsvp.id} is ${rsvp.status}`, rsvp });
+    } catch (error) {
+        sendRsvpError(res, error, 'update RSVP');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { hasPermission, requirePermission } = require('../lib/permissions');
+const { listDrafts } = require('../lib/dataFiles');
+const schedules = require('../lib/schedules');
+
+const router = express.Router();
+
+function sendScheduleError(res, error, action) {
+    if (error instanceof schedules.ScheduleError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...error.details
+        });
+    }
+    console.error(`Error trying to ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+}
+
+function scheduleIdOf(req) {
+    return /^\d+$/.test(req.params.id) ? parseInt(req.params.id, 10) : null;
+}
+
+// The file contents stay on the server; the list describes what each change does instead
+function describe({ files, baseVersions, ...schedule }) {
+    return { ...schedule, files: Object.keys(files) };
+}
+
+router.use(requireAuth);
+
+// Every scheduled change, soonest first, with what it changes in each file
+router.get('/', async (req, res) => {
+    try {
+        res.json({ success: true, schedules: await schedules.listSchedules(), statuses: schedules.SCHEDULE_STATUSES });
+    } catch (error) {
+        sendScheduleError(res, error, 'list scheduled changes');
+    }
+});
+
+// Publish all current drafts later: { title, publishAt }. Scheduling is publishing, so it needs the
+// same permissions, for each drafted file too; staff can then rename or cancel it.
+router.post('/', requirePermission('publish'), async (req, res) => {
+    try {
+        const forbidden = (await listDrafts()).filter(filename => !hasPermission(req.user.role, filename));
+        if (forbidden.length) {
+            return res.status(403).json({
+                success: false,
+                error: `Your role (${req.user.role}) cannot modify ${forbidden.join(', ')}`
+            });
+        }
+
+        const schedule = await schedules.scheduleDrafts(req.body || {}, req.user.username);
+        console.log(`${req.user.username} scheduled "${schedule.title}" for ${schedule.publishAt}`);
+
+        res.status(201)
+            .location(`/api/schedules/${schedule.id}`)
+            .json({ success: true, message: 'Changes scheduled', schedule: describe(schedule) });
+    } catch (error) {
+        sendScheduleError(res, error, 'schedule changes');
+    }
+});
+
+// Rename or move a change that hasn't gone live: { title, publishAt }. Moving it decides when it
+// goes live, which is publishing, so that needs the publish permission; others can only rename it.
+router.put('/:id', requirePermission('schedule'), async (req, res) => {
+    try {
+        const { publishAt } = req.body || {};
+        const current = schedules.getSchedule(scheduleIdOf(req));
+        const moves = publishAt !== undefined && new Date(publishAt).getTime() !== new Date(current.publishAt).getTime();
+        if (moves && !hasPermission(req.user.role, 'publish')) {
+            return res.status(403).json({
+                success: false,
+                error: `Your role (${req.user.role}) cannot change when a scheduled change goes live`
+            });
+        }
+
+        const schedule = await schedules.updateSchedule(scheduleIdOf(req), req.body || {}, req.user.username);
+        res.json({ success: true, message: 'Scheduled change updated', schedule: describe(schedule) });
+    } catch (error) {
+        sendScheduleError(res, error, 'update scheduled change');
+    }
+});
+
+// Cancelling or reopening a change puts its files back as drafts, which are edits to those files, so
+// the user needs permission for each of them. Sends a 403 and returns false when they don't have it.
+function checkFilePermissions(req, res) {
+    const forbidden = Object.keys(schedules.getSchedule(scheduleIdOf(req)).files)
+        .filter(filename => !hasPermission(req.user.role, filename));
+    if (forbidden.length) {
+        res.status(403).json({
+            success: false,
+            error: `Your role (${req.user.role}) cannot modify ${forbidden.join(', ')}`
+        });
+        return false;
+    }
+    return true;
+}
+
+// Stop a waiting change from going live; its changes go back to the drafts
+router.delete('/:id', requirePermission('schedule'), async (req, res) => {
+    try {
+        if (!checkFilePermissions(req, res)) return;
+
+        const schedule = await schedules.cancelSchedule(scheduleIdOf(req));
+        console.log(`${req.user.username} cancelled scheduled change "${schedule.title}"`);
+        res.json({ success: true, message: 'Scheduled change cancelled and moved back to drafts', schedule: describe(schedule) });
+    } catch (error) {
+        sendScheduleError(res, error, 'cancel scheduled change');
+    }
+});
+
+// Turn a change back into drafts to edit it
+router.post('/:id/reopen', requirePermission('schedule'), async (req, res) => {
+    try {
+        if (!checkFilePermissions(req, res)) return;
+
+        const schedule = await schedules.reopenSchedule(scheduleIdOf(req));
+        console.log(`${req.user.username} moved scheduled change "${schedule.title}" back to drafts`);
+        res.json({ success: true, message: 'Moved back to drafts', schedule: describe(schedule) });
+    } catch (error) {
+        sendScheduleError(res, error, 'move scheduled change back to drafts');
+    }
+});
+
+module.exports = router;
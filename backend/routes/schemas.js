@@ -0,0 +1,24 @@
+const express = require('express');
+const { getSchema, listSchemas } = require('../lib/validation');
+
+const router = express.Router();
+
+// All data file schemas, keyed by filename
+router.get('/', (req, res) => {
+    res.json({ success: true, schemas: listSchemas() });
+});
+
+// The schema for one data file: /api/schemas/menu.json
+router.get('/:filename', (req, res) => {
+    const schema = getSchema(req.params.filename);
+    if (!schema) {
+        return res.status(404).json({
+            success: false,
+            error: 'No schema for this file'
+        });
+    }
+
+    res.json({ success: true, filename: req.params.filename, schema });
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { readDataFile } = require('../lib/dataFiles');
+const { createCollectionRouter } = require('./collection');
+const Specials = require('../../shared/specials');
+
+const router = express.Router();
+
+// Specials linked to menu items or categories that have since been deleted. The website hides them
+// until they're fixed: [{ id, name, missing: ['item #4', 'category Tea'] }]
+// Checked on the drafts, which is what the admin panel is editing.
+router.get('/broken-links', requireAuth, async (req, res) => {
+    try {
+        const [specials, menu] = await Promise.all([
+            readDataFile('specials.json', { draft: true }),
+            readDataFile('menu.json', { draft: true })
+        ]);
+        res.json({ success: true, broken: Specials.findBrokenLinks(specials.specials || [], menu) });
+    } catch (error) {
+        console.error('Error checking special links:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check special links'
+        });
+    }
+});
+
+// Specials: /api/specials, /api/specials/:id (?days=Monday lists those that run on Mondays)
+router.use('/', createCollectionRouter({
+    filename: 'specials.json',
+    itemsKey: 'specials',
+    label: 'Special',
+    filters: ['days']
+}));
+
+module.exports = router;
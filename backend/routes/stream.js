@@ -0,0 +1,18 @@
+const express = require('express');
+const { dataFileEvents } = require('../lib/dataFiles');
+const { openEventStream } = require('../lib/sse');
+
+const router = express.Router();
+
+// Live feed for the website: a "change" event ({ filename: 'menu.json', version }) whenever a data
+// file is saved, so the page reloads just that part. Data files are public, so no login is needed.
+router.get('/', (req, res) => {
+    const onChange = (change) => stream.send('change', change);
+    const stream = openEventStream(req, res, {
+        onClose: () => dataFileEvents.off('change', onChange)
+    });
+
+    dataFileEvents.on('change', onChange);
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const auth = require('../lib/auth');
+const users = require('../lib/users');
+const { requirePermission } = require('../lib/permissions');
+
+const router = express.Router();
+
+// Only the owner manages accounts
+router.use(auth.requireAuth, requirePermission('users'));
+
+function handleError(res, error, fallback) {
+    if (error instanceof users.UserError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+// List all users
+router.get('/', (req, res) => {
+    res.json({ success: true, users: users.listUsers() });
+});
+
+// Invite a new user. Returns a one-time token the admin panel turns into a link.
+router.post('/', async (req, res) => {
+    try {
+        const { username, role } = req.body || {};
+        const { user, inviteToken } = await users.inviteUser(username, role, req.user.username);
+
+        console.log(`${req.user.username} invited "${user.username}" as ${user.role}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'User invited successfully',
+            user: users.toPublicUser(user),
+            inviteToken
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to invite user');
+    }
+});
+
+// Issue a new invite token for a user who hasn't set a password yet
+router.post('/:username/invite', async (req, res) => {
+    try {
+        const { user, inviteToken } = await users.renewInvite(req.params.username);
+        res.json({
+            success: true,
+            message: 'Invite renewed',
+            user: users.toPublicUser(user),
+            inviteToken
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to renew invite');
+    }
+});
+
+// Change a user's role or enable/disable their account
+router.put('/:username', async (req, res) => {
+    try {
+        const { role, disabled } = req.body || {};
+        const user = await users.updateUser(req.params.username, { role, disabled });
+
+        // Disabled users are logged out everywhere straight away
+        if (user.disabled) {
+            auth.destroyUserSessions(user.username);
+        }
+
+        console.log(`${req.user.username} updated "${user.username}" (role: ${user.role}, disabled: ${user.disabled})`);
+
+        res.json({
+            success: true,
+            message: 'User updated successfully',
+            user: users.toPublicUser(user)
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to update user');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+// Copies the data files and their unpublished drafts between the JSON file store (backend/data/ and
+// backend/drafts/) and the SQLite database.
+// Usage: npm run migrate-storage -- import [--force]   backend/data/*.json -> SQLite
+//        npm run migrate-storage -- export [--force]   SQLite -> backend/data/*.json
+// Existing documents and drafts that differ are only overwritten (or discarded) with --force.
+// Afterwards set STORAGE_BACKEND=sqlite (or json) and restart the server.
+const { createStore } = require('../lib/storage');
+const { isValidFilename, isDraftFile } = require('../lib/dataFiles');
+const { validateData } = require('../lib/validation');
+
+const DIRECTIONS = {
+    import: { from: 'json', to: 'sqlite' },
+    export: { from: 'sqlite', to: 'json' }
+};
+
+// The documents of `source` that can be copied to `target`, and what's wrong with the rest
+async function prepareCopy(source, target, names, { force, label }) {
+    const documents = [];
+    const problems = [];
+    for (const name of names) {
+        const content = await source.read(name);
+        try {
+            const validationError = validateData(name, JSON.parse(content));
+            if (validationError) {
+                problems.push(`${label}${name}: ${validationError}`);
+                continue;
+            }
+        } catch (error) {
+            problems.push(`${label}${name}: invalid JSON (${error.message})`);
+            continue;
+        }
+
+        const existing = await target.read(name);
+        if (existing !== null && existing !== content && !force) {
+            problems.push(`${label}${name}: already exists in ${target.type} with different contents (use --force to overwrite)`);
+            continue;
+        }
+
+        documents.push({ name, content });
+    }
+    return { documents, problems };
+}
+
+async function main() {
+    const direction = DIRECTIONS[process.argv[2]];
+    const force = process.argv.includes('--force');
+
+    if (!direction) {
+        console.error('Usage: npm run migrate-storage -- <import|export> [--force]');
+        process.exit(1);
+    }
+
+    const source = createStore(direction.from);
+    const target = createStore(direction.to);
+    // Drafts waiting to be published move along with the published documents
+    const sourceDrafts = createStore(direction.from, { drafts: true });
+    const targetDrafts = createStore(direction.to, { drafts: true });
+
+    try {
+        const names = (await source.list()).filter(isValidFilename);
+        if (names.length === 0) {
+            console.error(`Nothing to copy: ${source.location} has no data files`);
+            process.exitCode = 1;
+            return;
+        }
+        const draftNames = (await sourceDrafts.list()).filter(isDraftFile);
+
+        // Check everything before writing anything
+        const published = await prepareCopy(source, target, names, { force, label: '' });
+        const drafts = await prepareCopy(sourceDrafts, targetDrafts, draftNames, { force, label: 'draft of ' });
+        const problems = [...published.problems, ...drafts.problems];
+
+        // A draft only the target has would turn up again after switching
+        const staleDrafts = (await targetDrafts.list()).filter(name => isDraftFile(name) && !draftNames.includes(name));
+        if (!force) {
+            staleDrafts.forEach(name => problems.push(`draft of ${name}: only exists in ${target.type} (use --force to discard it)`));
+        }
+
+        if (problems.length) {
+            console.error('Nothing was copied:');
+            problems.forEach(problem => console.error(`  - ${problem}`));
+            process.exitCode = 1;
+            return;
+        }
+
+        await target.writeAll(published.documents);
+        await targetDrafts.writeAll(drafts.documents);
+        for (const name of staleDrafts) {
+            await targetDrafts.remove(name);
+        }
+
+        console.log(`✅ Copied ${published.documents.length} file(s) and ${drafts.documents.length} draft(s) from ${source.type} (${source.location}) to ${target.type} (${target.location})`);
+        published.documents.forEach(({ name }) => console.log(`   ${name}`));
+        drafts.documents.forEach(({ name }) => console.log(`   ${name} (draft)`));
+        console.log(`Set STORAGE_BACKEND=${target.type} and restart the server to use it.`);
+    } finally {
+        await source.close();
+        await target.close();
+        await sourceDrafts.close();
+        await targetDrafts.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Failed to migrate storage:', error);
+    process.exit(1);
+});
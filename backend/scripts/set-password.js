@@ -0,0 +1,40 @@
+// Sets a user's password, creating them as an owner if they don't exist.
+// Usage: npm run set-password -- <username> <password>
+const readline = require('readline');
+const users = require('../lib/users');
+
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim());
+        });
+    });
+}
+
+async function main() {
+    await users.loadUsers();
+
+    const username = process.argv[2] || await ask('Username: ');
+    const password = process.argv[3] || await ask('New password: ');
+
+    if (!username || !password) {
+        console.error('Username and password are required');
+        process.exit(1);
+    }
+
+    const passwordError = users.validatePassword(password);
+    if (passwordError) {
+        console.error(passwordError);
+        process.exit(1);
+    }
+
+    const user = await users.setPassword(username, password);
+    console.log(`✅ Password updated for "${user.username}" (${user.role}). Restart the server to end existing sessions.`);
+}
+
+main().catch(error => {
+    console.error('Failed to set password:', error);
+    process.exit(1);
+});
@@ -1,11 +1,38 @@
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
+const { initAuth, requireAuth } = require('./lib/auth');
+const { requirePermission } = require('./lib/permissions');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const revisionRoutes = require('./routes/revisions');
+const backupRoutes = require('./routes/backups');
+const schemaRoutes = require('./routes/schemas');
+const menuRoutes = require('./routes/menu');
+const specialRoutes = require('./routes/specials');
+const eventRoutes = require('./routes/events');
+const announcementRoutes = require('./routes/announcements');
+const calendarRoutes = require('./routes/calendar');
+const mediaRoutes = require('./routes/media');
+const orderRoutes = require('./routes/orders');
+const reservationRoutes = require('./routes/reservations');
+const rsvpRoutes = require('./routes/rsvps');
+const streamRoutes = require('./routes/stream');
+const draftRoutes = require('./routes/drafts');
+const scheduleRoutes = require('./routes/schedules');
+const { createBackup, startBackupSchedule } = require('./lib/backups');
+const { loadOrders } = require('./lib/orders');
+const { loadReservations } = require('./lib/reservations');
+const { loadRsvps } = require('./lib/rsvps');
+const { loadSchedules } = require('./lib/schedules');
+const { DataFileError, readDataFileWithVersion, editDataFile, sendDataFileError } = require('./lib/dataFiles');
+const { wantsDrafts } = require('./lib/drafts');
+const { getStore } = require('./lib/storage');
+const { validateDocument } = require('./lib/validation');
+const { summarizeErrors } = require('../shared/schemaValidator');
 
 const app = express();
 const PORT = 3000;
-const DATA_DIR = path.join(__dirname, 'data');
 
 // Middleware
 app.use(cors());
@@ -15,6 +42,9 @@ app.use(express.urlencoded({ extended: true }));
 // Serve frontend files
 app.use(express.static(path.join(__dirname, '../frontend')));
 
+// Code and schemas used by both the server and the browser
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // ==================== API ENDPOINTS ====================
 
 // Health check
@@ -22,24 +52,84 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'OK', message: 'Cafe API is running' });
 });
 
-// Get all data files
+// Admin login, logout and session
+app.use('/api/auth', authRoutes);
+
+// Admin user management (owner only)
+app.use('/api/users', userRoutes);
+
+// Revision history and rollback for data files
+app.use('/api/revisions', revisionRoutes);
+
+// Backup listing, download, restore and deletion
+app.use('/api/backups', backupRoutes);
+
+// JSON Schemas for the data files
+app.use('/api/schemas', schemaRoutes);
+
+// Events as iCalendar files: the /api/events.ics feed and /api/events/:id.ics downloads.
+// Mounted ahead of the events resource, whose /:id would otherwise take "3.ics".
+app.use('/api', calendarRoutes);
+
+// Menu items and categories, specials, events and announcements as REST resources
+app.use('/api/menu', menuRoutes);
+app.use('/api/specials', specialRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/announcements', announcementRoutes);
+
+// Image uploads, the media library and the missing image check
+app.use('/api/media', mediaRoutes);
+
+// Online orders: placed from the public site, handled by staff
+app.use('/api/orders', orderRoutes);
+
+// Table reservations: availability and booking from the public site, handled by staff
+app.use('/api/reservations', reservationRoutes);
+
+// Event RSVPs with capacity and a waitlist
+app.use('/api/rsvps', rsvpRoutes);
+
+// Live updates for the website when a data file changes
+app.use('/api/stream', streamRoutes);
+
+// Unpublished changes: preview links, publishing and discarding them
+app.use('/api/drafts', draftRoutes);
+
+// Drafts set to go live at a later date and time
+app.use('/api/schedules', scheduleRoutes);
+
+// Files whose items can be updated or deleted one at a time, and the array holding them
+const ITEM_COLLECTIONS = {
+    'menu.json': 'items',
+    'specials.json': 'specials',
+    'events.json': 'events',
+    'announcements.json': 'announcements'
+};
+
+// Write permission for a data file is granted per role
+const requireFilePermission = requirePermission(req => req.params.filename);
+
+// Get all data files (with ?draft or ?preview=<token>, the drafts where there are any)
 app.get('/api/data', async (req, res) => {
     try {
-        const files = ['menu', 'specials', 'events', 'contact'];
+        const files = ['menu', 'specials', 'events', 'announcements', 'contact', 'tables'];
+        const draft = wantsDrafts(req);
         const data = {};
+        const versions = {};
         
         for (const file of files) {
-            const filepath = path.join(DATA_DIR, `${file}.json`);
             try {
-                const content = await fs.readFile(filepath, 'utf8');
-                data[file] = JSON.parse(content);
+                const current = await readDataFileWithVersion(`${file}.json`, { draft });
+                data[file] = current.data;
+                versions[file] = current.version;
             } catch (error) {
                 console.error(`Error reading ${file}.json:`, error);
                 data[file] = null;
+                versions[file] = null;
             }
         }
         
-        res.json({ success: true, data });
+        res.json({ success: true, data, versions });
     } catch (error) {
         console.error('Error getting all data:', error);
         res.status(500).json({ 
@@ -60,11 +150,10 @@ app.get('/api/data/:filename', async (req, res) => {
             });
         }
         
-        const filepath = path.join(DATA_DIR, filename);
-        const content = await fs.readFile(filepath, 'utf8');
-        const data = JSON.parse(content);
+        const { data, version } = await readDataFileWithVersion(filename, { draft: wantsDrafts(req) });
         
-        res.json({ success: true, data });
+        res.set('ETag', `"${version}"`);
+        res.json({ success: true, data, version });
     } catch (error) {
         console.error(`Error reading ${req.params.filename}:`, error);
         
@@ -83,7 +172,7 @@ app.get('/api/data/:filename', async (req, res) => {
 });
 
 // Save data to specific file
-app.post('/api/data/:filename', async (req, res) => {
+app.post('/api/data/:filename', requireAuth, requireFilePermission, async (req, res) => {
     try {
         const filename = req.params.filename;
         if (!filename.match(/^[a-zA-Z0-9_-]+\.json$/)) {
@@ -101,29 +190,40 @@ app.post('/api/data/:filename', async (req, res) => {
             });
         }
         
-        const filepath = path.join(DATA_DIR, filename);
-        
-        // Validate data structure based on filename
-        const validationError = validateData(filename, data);
-        if (validationError) {
+        // Validate data against the file's schema
+        const validation = validateDocument(filename, data);
+        if (!validation.valid) {
             return res.status(400).json({ 
                 success: false, 
-                error: validationError 
+                error: summarizeErrors(validation.errors),
+                errors: validation.errors
             });
         }
         
-        // Write to file with pretty formatting
-        await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+        // Write to file (or its draft) with pretty formatting and record a revision.
+        // Rejected if someone else changed the file since the client loaded it.
+        const saved = await editDataFile(filename, () => data, {
+            author: req.user.username,
+            action: 'save',
+            ifMatch: req.headers['if-match']
+        });
         
-        console.log(`Successfully saved ${filename}`);
+        console.log(`Successfully saved ${filename}${saved.draft ? ' as a draft' : ''}`);
         
+        res.set('ETag', `"${saved.version}"`);
         res.json({ 
             success: true, 
-            message: 'Data saved successfully',
+            message: saved.draft ? 'Draft saved' : 'Data saved successfully',
             filename: filename,
+            version: saved.version,
+            revision: saved.revision,
+            draft: saved.draft,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
+        if (error instanceof DataFileError) {
+            return sendDataFileError(res, req.params.filename, error);
+        }
         console.error(`Error saving ${req.params.filename}:`, error);
         res.status(500).json({ 
             success: false, 
@@ -132,8 +232,8 @@ app.post('/api/data/:filename', async (req, res) => {
     }
 });
 
-// Update specific item in data
-app.put('/api/data/:filename/:id', async (req, res) => {
+// Update specific item in data (kept for older clients; see /api/menu, /api/specials and /api/events)
+app.put('/api/data/:filename/:id', requireAuth, requireFilePermission, async (req, res) => {
     try {
         const filename = req.params.filename;
         const id = parseInt(req.params.id);
@@ -146,46 +246,48 @@ app.put('/api/data/:filename/:id', async (req, res) => {
             });
         }
         
-        const filepath = path.join(DATA_DIR, filename);
-        const content = await fs.readFile(filepath, 'utf8');
-        const data = JSON.parse(content);
-        
         // Determine data structure based on filename
-        let items;
-        if (filename === 'menu.json') {
-            items = data.items;
-        } else if (filename === 'specials.json') {
-            items = data.specials;
-        } else if (filename === 'events.json') {
-            items = data.events;
-        } else {
+        const itemsKey = ITEM_COLLECTIONS[filename];
+        if (!itemsKey) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'Cannot update this file type' 
             });
         }
         
-        // Find and update item
-        const itemIndex = items.findIndex(item => item.id === id);
-        if (itemIndex === -1) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Item not found' 
-            });
-        }
-        
-        // Merge updates with existing item
-        items[itemIndex] = { ...items[itemIndex], ...updateData };
-        
-        // Save updated data
-        await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+        // Find and update the item while holding the file's lock, so concurrent edits can't interleave
+        let updatedItem;
+        const saved = await editDataFile(filename, ({ data }) => {
+            const items = data ? data[itemsKey] : null;
+            const itemIndex = items ? items.findIndex(item => item.id === id) : -1;
+            if (itemIndex === -1) {
+                throw new DataFileError('Item not found', 404);
+            }
+            
+            // Merge updates with existing item, then check the result
+            items[itemIndex] = { ...items[itemIndex], ...updateData };
+            updatedItem = items[itemIndex];
+            
+            const validation = validateDocument(filename, data);
+            if (!validation.valid) {
+                throw new DataFileError(summarizeErrors(validation.errors), 400, { errors: validation.errors });
+            }
+            return data;
+        }, { author: req.user.username, action: 'update', ifMatch: req.headers['if-match'] });
         
+        res.set('ETag', `"${saved.version}"`);
         res.json({ 
             success: true, 
             message: 'Item updated successfully',
-            item: items[itemIndex]
+            version: saved.version,
+            revision: saved.revision,
+            draft: saved.draft,
+            item: updatedItem
         });
     } catch (error) {
+        if (error instanceof DataFileError) {
+            return sendDataFileError(res, req.params.filename, error);
+        }
         console.error(`Error updating item in ${req.params.filename}:`, error);
         res.status(500).json({ 
             success: false, 
@@ -194,8 +296,8 @@ app.put('/api/data/:filename/:id', async (req, res) => {
     }
 });
 
-// Delete specific item
-app.delete('/api/data/:filename/:id', async (req, res) => {
+// Delete specific item (kept for older clients)
+app.delete('/api/data/:filename/:id', requireAuth, requireFilePermission, async (req, res) => {
     try {
         const filename = req.params.filename;
         const id = parseInt(req.params.id);
@@ -207,52 +309,42 @@ app.delete('/api/data/:filename/:id', async (req, res) => {
             });
         }
         
-        const filepath = path.join(DATA_DIR, filename);
-        const content = await fs.readFile(filepath, 'utf8');
-        const data = JSON.parse(content);
-        
         // Determine data structure based on filename
-        let items, itemsKey;
-        if (filename === 'menu.json') {
-            itemsKey = 'items';
-            items = data.items;
-        } else if (filename === 'specials.json') {
-            itemsKey = 'specials';
-            items = data.specials;
-        } else if (filename === 'events.json') {
-            itemsKey = 'events';
-            items = data.events;
-        } else {
+        const itemsKey = ITEM_COLLECTIONS[filename];
+        if (!itemsKey) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'Cannot delete from this file type' 
             });
         }
         
-        // Find and remove item
-        const itemIndex = items.findIndex(item => item.id === id);
-        if (itemIndex === -1) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'Item not found' 
-            });
-        }
-        
-        const deletedItem = items[itemIndex];
-        items.splice(itemIndex, 1);
-        
-        // Update the data object
-        data[itemsKey] = items;
-        
-        // Save updated data
-        await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+        // Find and remove the item while holding the file's lock
+        let deletedItem;
+        const saved = await editDataFile(filename, ({ data }) => {
+            const items = data ? data[itemsKey] : null;
+            const itemIndex = items ? items.findIndex(item => item.id === id) : -1;
+            if (itemIndex === -1) {
+                throw new DataFileError('Item not found', 404);
+            }
+            
+            deletedItem = items[itemIndex];
+            items.splice(itemIndex, 1);
+            return data;
+        }, { author: req.user.username, action: 'delete', ifMatch: req.headers['if-match'] });
         
+        res.set('ETag', `"${saved.version}"`);
         res.json({ 
             success: true, 
             message: 'Item deleted successfully',
+            version: saved.version,
+            revision: saved.revision,
+            draft: saved.draft,
             deletedItem: deletedItem
         });
     } catch (error) {
+        if (error instanceof DataFileError) {
+            return sendDataFileError(res, req.params.filename, error);
+        }
         console.error(`Error deleting item from ${req.params.filename}:`, error);
         res.status(500).json({ 
             success: false, 
@@ -261,28 +353,15 @@ app.delete('/api/data/:filename/:id', async (req, res) => {
     }
 });
 
-// Backup data
-app.post('/api/backup', async (req, res) => {
+// Backup data (kept for older clients; /api/backups is the full backup API)
+app.post('/api/backup', requireAuth, requirePermission('backup'), async (req, res) => {
     try {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupDir = path.join(__dirname, 'backups', timestamp);
-        
-        await fs.mkdir(backupDir, { recursive: true });
-        
-        const files = await fs.readdir(DATA_DIR);
-        
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const source = path.join(DATA_DIR, file);
-                const dest = path.join(backupDir, file);
-                await fs.copyFile(source, dest);
-            }
-        }
+        const backup = await createBackup({ type: 'manual', author: req.user.username });
         
         res.json({ 
             success: true, 
             message: 'Backup created successfully',
-            backupPath: backupDir
+            backupPath: backup.path
         });
     } catch (error) {
         console.error('Error creating backup:', error);
@@ -293,68 +372,6 @@ app.post('/api/backup', async (req, res) => {
     }
 });
 
-// ==================== HELPER FUNCTIONS ====================
-
-function validateData(filename, data) {
-    switch(filename) {
-        case 'menu.json':
-            if (!data.categories || !Array.isArray(data.categories)) {
-                return 'Menu data must have a categories array';
-            }
-            if (!data.items || !Array.isArray(data.items)) {
-                return 'Menu data must have an items array';
-            }
-            // Validate each item
-            for (const item of data.items) {
-                if (!item.id || !item.name || !item.category || !item.price || !item.description || !item.image) {
-                    return 'Each menu item must have id, name, category, price, description, and image';
-                }
-            }
-            break;
-            
-        case 'specials.json':
-            if (!data.specials || !Array.isArray(data.specials)) {
-                return 'Specials data must have a specials array';
-            }
-            // Validate each special
-            for (const special of data.specials) {
-                if (!special.id || !special.day || !special.name || !special.items || !special.price || !special.discount || !special.description) {
-                    return 'Each special must have id, day, name, items, price, discount, and description';
-                }
-            }
-            break;
-            
-        case 'events.json':
-            if (!data.events || !Array.isArray(data.events)) {
-                return 'Events data must have an events array';
-            }
-            // Validate each event
-            for (const event of data.events) {
-                if (!event.id || !event.name || !event.date || !event.description || !event.image || !event.tag) {
-                    return 'Each event must have id, name, date, description, image, and tag';
-                }
-            }
-            break;
-            
-        case 'contact.json':
-            if (!data.address || !data.phone || !data.email || !data.workingHours || !data.socialMedia) {
-                return 'Contact data must have address, phone, email, workingHours, and socialMedia';
-            }
-            if (!data.workingHours.weekdays || !data.workingHours.weekends) {
-                return 'Contact data must have weekdays and weekends in workingHours';
-            }
-            if (!data.socialMedia.facebook || !data.socialMedia.instagram || !data.socialMedia.twitter || !data.socialMedia.tripadvisor) {
-                return 'Contact data must have all social media links';
-            }
-            break;
-            
-        default:
-            return null; // No validation for unknown files
-    }
-    
-    return null; // Validation passed
-}
-
 // ==================== ERROR HANDLING ====================
 
 // 404 handler for API routes
@@ -376,18 +393,34 @@ app.use((err, req, res, next) => {
 
 // ==================== START SERVER ====================
 
-app.listen(PORT, () => {
-    console.log(`=========================================`);
-    console.log(`🚀 The Bonparte Cafe Server`);
-    console.log(`=========================================`);
-    console.log(`📁 Frontend: http://localhost:${PORT}`);
-    console.log(`⚙️  Admin Panel: http://localhost:${PORT}/admin.html`);
-    console.log(`📊 API: http://localhost:${PORT}/api/health`);
-    console.log(`📁 Data directory: ${DATA_DIR}`);
-    console.log(`=========================================`);
-    console.log(`Server started successfully! 🎉`);
-    console.log(`Press Ctrl+C to stop the server`);
-    console.log(`=========================================`);
+initAuth().then(async () => {
+    // Fail at startup rather than on the first request if the storage backend can't be opened
+    const store = getStore();
+    await store.list();
+    
+    await loadOrders();
+    await loadReservations();
+    await loadRsvps();
+    // Publishes changes that came due while the server was down, then waits for the next one
+    await loadSchedules();
+    await startBackupSchedule();
+    
+    app.listen(PORT, () => {
+        console.log(`=========================================`);
+        console.log(`🚀 The Bonparte Cafe Server`);
+        console.log(`=========================================`);
+        console.log(`📁 Frontend: http://localhost:${PORT}`);
+        console.log(`⚙️  Admin Panel: http://localhost:${PORT}/admin.html`);
+        console.log(`📊 API: http://localhost:${PORT}/api/health`);
+        console.log(`📁 Data storage: ${store.type} (${store.location})`);
+        console.log(`=========================================`);
+        console.log(`Server started successfully! 🎉`);
+        console.log(`Press Ctrl+C to stop the server`);
+        console.log(`=========================================`);
+    });
+}).catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
 
 // Handle graceful shutdown
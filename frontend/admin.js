@@ -1,3 +1,175 @@
+// Permission each admin section needs (see backend/lib/permissions.js)
+const SECTION_PERMISSIONS = {
+    menu: 'menu.json',
+    specials: 'specials.json',
+    events: 'events.json',
+    announcements: 'announcements.json',
+    orders: 'orders',
+    reservations: 'reservations',
+    contact: 'contact.json',
+    schedules: 'schedule',
+    json: 'json-editor',
+    backups: 'backup',
+    users: 'users'
+};
+
+// How the draft bar names the files that wait for publishing (DRAFT_FILES in backend/lib/dataFiles.js)
+const DRAFT_LABELS = {
+    'menu.json': 'menu',
+    'specials.json': 'specials',
+    'events.json': 'events',
+    'contact.json': 'contact details',
+    'announcements.json': 'announcements'
+};
+
+// REST resource holding the items of each file (see backend/routes)
+const ITEM_RESOURCES = {
+    'menu.json': '/api/menu/items',
+    'specials.json': '/api/specials',
+    'events.json': '/api/events',
+    'announcements.json': '/api/announcements'
+};
+
+// Columns of the kitchen board and the order statuses each one shows
+const ORDER_COLUMNS = [
+    { title: 'New', statuses: ['received'] },
+    { title: 'Preparing', statuses: ['preparing'] },
+    { title: 'Ready', statuses: ['ready'] },
+    { title: 'Done', statuses: ['collected', 'cancelled'] }
+];
+
+// Buttons on an order card for each status (the server checks the same moves, see backend/lib/orders.js)
+const ORDER_ACTIONS = {
+    received: [
+        { status: 'preparing', label: 'Start', style: 'btn-save' },
+        { status: 'cancelled', label: 'Cancel', style: 'btn-delete' }
+    ],
+    preparing: [
+        { status: 'ready', label: 'Ready', style: 'btn-save' },
+        { status: 'received', label: 'Back', style: 'btn-cancel' },
+        { status: 'cancelled', label: 'Cancel', style: 'btn-delete' }
+    ],
+    ready: [
+        { status: 'collected', label: 'Collected', style: 'btn-save' },
+        { status: 'preparing', label: 'Back', style: 'btn-cancel' },
+        { status: 'cancelled', label: 'Cancel', style: 'btn-delete' }
+    ],
+    collected: [
+        { status: 'ready', label: 'Undo', style: 'btn-cancel' }
+    ]
+};
+
+// Buttons for each reservation status (the server checks the same moves, see backend/lib/reservations.js)
+const RESERVATION_ACTIONS = {
+    pending: [
+        { status: 'confirmed', label: 'Confirm', icon: 'fa-check', style: 'btn-edit' },
+        { status: 'seated', label: 'Seat', icon: 'fa-chair', style: 'btn-edit' },
+        { status: 'cancelled', label: 'Cancel', icon: 'fa-times', style: 'btn-delete' }
+    ],
+    confirmed: [
+        { status: 'seated', label: 'Seat', icon: 'fa-chair', style: 'btn-edit' },
+        { status: 'cancelled', label: 'Cancel', icon: 'fa-times', style: 'btn-delete' }
+    ],
+    seated: [
+        { status: 'confirmed', label: 'Undo', icon: 'fa-undo', style: 'btn-edit' }
+    ]
+};
+
+// Keys of tables.json seatingHours and of contact.json's weekly opening hours, in the order the admin forms show them
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Checks the schemas can't express, the same ones the server runs (see backend/lib/validation.js)
+const DATA_RULES = {
+    'announcements.json': Announcements.findProblems,
+    'contact.json': OpeningHours.findProblems,
+    'menu.json': data => [...MenuOptions.findProblems(data), ...Dietary.findProblems(data)],
+    'specials.json': Specials.findProblems
+};
+
+// Form inputs for each field of the object a form edits, used to show schema errors next to the right input
+const FORM_FIELDS = {
+    menuForm: {
+        name: 'itemName',
+        category: 'itemCategory',
+        price: 'itemPrice',
+        description: 'itemDescription',
+        image: 'itemImage',
+        dietary: 'itemDietary',
+        allergens: 'itemAllergens',
+        spiceLevel: 'itemSpiceLevel',
+        optionGroups: 'itemOptionGroups'
+    },
+    specialForm: {
+        picks: 'specialPicks',
+        discountPercent: 'specialDiscountPercent',
+        days: 'specialDays',
+        startDate: 'specialStartDate',
+        endDate: 'specialEndDate',
+        startTime: 'specialStartTime',
+        endTime: 'specialEndTime',
+        name: 'specialName',
+        items: 'specialItems',
+        price: 'specialPrice',
+        discount: 'specialDiscount',
+        description: 'specialDescription'
+    },
+    eventForm: {
+        name: 'eventName',
+        date: 'eventDate',
+        description: 'eventDescription',
+        image: 'eventImage',
+        tag: 'eventTag',
+        featured: 'eventFeatured',
+        capacity: 'eventCapacity',
+        rsvpRequired: 'eventRsvpRequired',
+        schedule: 'eventScheduleType',
+        'schedule.date': 'eventScheduleDate',
+        'schedule.weekdays': 'eventScheduleWeekdays',
+        'schedule.dayOfMonth': 'eventScheduleDayOfMonth',
+        'schedule.week': 'eventScheduleWeek',
+        'schedule.weekday': 'eventScheduleWeekday',
+        'schedule.startTime': 'eventStartTime',
+        'schedule.endTime': 'eventEndTime',
+        'schedule.startDate': 'eventScheduleStartDate',
+        'schedule.endDate': 'eventScheduleEndDate',
+        'schedule.exceptions': 'eventScheduleExceptions'
+    },
+    announcementForm: {
+        message: 'announcementMessage',
+        severity: 'announcementSeverity',
+        startsAt: 'announcementStartsAt',
+        endsAt: 'announcementEndsAt',
+        link: 'announcementLinkUrl',
+        'link.url': 'announcementLinkUrl',
+        'link.label': 'announcementLinkLabel'
+    },
+    tablesForm: {
+        slotMinutes: 'tablesSlotMinutes',
+        durationMinutes: 'tablesDurationMinutes',
+        maxPartySize: 'tablesMaxPartySize',
+        bookingDaysAhead: 'tablesBookingDaysAhead'
+    },
+    contactForm: {
+        address: 'contactAddress',
+        phone: 'contactPhone',
+        email: 'contactEmail',
+        'openingHours.timeZone': 'contactTimeZone',
+        'openingHours.weekly.monday': 'hoursMonday',
+        'openingHours.weekly.tuesday': 'hoursTuesday',
+        'openingHours.weekly.wednesday': 'hoursWednesday',
+        'openingHours.weekly.thursday': 'hoursThursday',
+        'openingHours.weekly.friday': 'hoursFriday',
+        'openingHours.weekly.saturday': 'hoursSaturday',
+        'openingHours.weekly.sunday': 'hoursSunday',
+        'openingHours.closures': 'contactClosures',
+        'openingHours.specialHours': 'contactSpecialHours',
+        'socialMedia.facebook': 'socialFacebook',
+        'socialMedia.instagram': 'socialInstagram',
+        'socialMedia.twitter': 'socialTwitter',
+        'socialMedia.tripadvisor': 'socialTripadvisor'
+    }
+};
+
 // Complete AdminPanel class with backend API integration
 class AdminPanel {
     constructor() {
@@ -6,11 +178,48 @@ class AdminPanel {
             menu: null,
             specials: null,
             events: null,
-            contact: null
+            announcements: null,
+            contact: null,
+            tables: null
         };
         this.editingItem = null;
         this.editingSpecial = null;
         this.editingEvent = null;
+        this.editingAnnouncement = null;
+        this.session = null;
+        this.users = null;
+        this.historyFilename = null;
+        // Server copy of each file as last loaded or saved, used as the common base when merging a conflict
+        this.baseData = {};
+        this.jsonEditorState = null;
+        this.conflictResolver = null;
+        // JSON Schemas for the data files, from /api/schemas (the server enforces the same ones)
+        this.schemas = {};
+        // Media library, the image input it is picking for, and records whose image file is missing
+        this.media = [];
+        this.mediaTarget = null;
+        this.missingImages = [];
+        this.brokenSpecialLinks = [];
+        // Unpublished changes to the website's content: [{ filename, summary, changes }]
+        this.drafts = [];
+        // Drafts set to go live later, and the one being renamed or moved
+        this.schedules = [];
+        this.editingSchedule = null;
+        // Guests going and waitlisted for each event that takes RSVPs, by event id
+        this.rsvpSummary = {};
+        // Kitchen board: orders by id from the live stream, ones that just came in, and the phone/counter order being taken
+        this.orders = new Map();
+        this.orderStream = null;
+        this.orderTimer = null;
+        this.newOrders = new Set();
+        this.orderSound = localStorage.getItem('admin_order_sound') === 'on';
+        this.audioContext = null;
+        this.staffOrderLines = [];
+        this.pageTitle = document.title;
+        // Reservations: the day shown, the Monday of its week and that week's bookings
+        this.reservationsDate = null;
+        this.reservationsWeekStart = null;
+        this.reservations = [];
         this.init();
     }
 
@@ -21,6 +230,15 @@ class AdminPanel {
         const isHealthy = await this.api.checkHealth();
         if (!isHealthy) {
             this.showToast('⚠️ Server connection failed. Working in offline mode.', 'warning');
+        } else {
+            // Require a valid session before showing anything
+            this.session = await this.api.getSession();
+            if (!this.session) {
+                this.api.redirectToLogin();
+                return;
+            }
+            this.initSession();
+            await this.loadSchemas();
         }
         
         // Initialize navigation
@@ -35,13 +253,46 @@ class AdminPanel {
         // Load initial JSON file
         await this.loadSelectedJSON();
         
+        if (this.session) {
+            await this.loadMissingImages();
+            await this.loadBrokenSpecialLinks();
+            await this.loadDrafts();
+        }
+        
+        // Keep the kitchen board live whichever section is open, so new orders are never missed
+        this.connectOrders();
+        
         console.log('Admin panel initialized successfully');
         this.showToast('Admin panel ready!', 'success');
     }
 
+    // Whether the logged-in user's role may use a resource. Without a session (offline) nothing is hidden.
+    hasPermission(resource) {
+        if (!this.session) return true;
+        const permissions = this.session.user.permissions;
+        return permissions.includes('*') || permissions.includes(resource);
+    }
+
     initNavigation() {
         const navButtons = document.querySelectorAll('.admin-nav-btn');
-        const sections = document.querySelectorAll('.admin-section');
+        
+        // Hide sections the current role can't use
+        navButtons.forEach(button => {
+            const permission = SECTION_PERMISSIONS[button.dataset.section];
+            if (permission && !this.hasPermission(permission)) {
+                button.style.display = 'none';
+                document.getElementById(`${button.dataset.section}Section`).remove();
+            }
+        });
+        
+        // Open the first section that is still available
+        const firstButton = Array.from(navButtons).find(btn => btn.style.display !== 'none');
+        if (firstButton && !firstButton.classList.contains('active')) {
+            navButtons.forEach(btn => btn.classList.remove('active'));
+            firstButton.classList.add('active');
+            document.querySelectorAll('.admin-section').forEach(section => section.classList.remove('active'));
+            document.getElementById(`${firstButton.dataset.section}Section`).classList.add('active');
+        }
         
         navButtons.forEach(button => {
             button.addEventListener('click', () => {
@@ -52,7 +303,7 @@ class AdminPanel {
                 button.classList.add('active');
                 
                 // Show selected section
-                sections.forEach(section => section.classList.remove('active'));
+                document.querySelectorAll('.admin-section').forEach(section => section.classList.remove('active'));
                 document.getElementById(`${sectionId}Section`).classList.add('active');
                 
                 // Refresh data for the section
@@ -61,22 +312,37 @@ class AdminPanel {
         });
     }
 
+    initSession() {
+        const usernameLabel = document.getElementById('adminUsername');
+        if (usernameLabel) {
+            usernameLabel.textContent = `${this.session.user.username} (${this.session.user.role})`;
+        }
+
+        // Send the user back to the login screen as soon as the session expires
+        const remaining = new Date(this.session.expiresAt).getTime() - Date.now();
+        setTimeout(() => this.api.redirectToLogin(true), Math.max(remaining, 0));
+    }
+
     async loadAllData() {
         try {
             console.log('Loading all data from server...');
             
-            // Load all data at once
-            const response = await fetch('/api/data');
+            // Load all data at once, with unpublished changes applied
+            const response = await fetch('/api/data?draft');
             const result = await response.json();
             
             if (result.success && result.data) {
                 this.currentData = result.data;
+                Object.keys(result.data).forEach(key => {
+                    this.api.setVersion(`${key}.json`, result.versions && result.versions[key]);
+                    this.setBaseData(`${key}.json`, result.data[key]);
+                });
                 console.log('Data loaded successfully:', this.currentData);
             } else {
                 throw new Error('Failed to load data from server');
             }
             
-            this.refreshSectionData('menu');
+            this.refreshSectionData(this.getActiveSection());
             
         } catch (error) {
             console.error('Error loading data:', error);
@@ -91,7 +357,9 @@ class AdminPanel {
             { key: 'menu', filename: 'menu.json' },
             { key: 'specials', filename: 'specials.json' },
             { key: 'events', filename: 'events.json' },
-            { key: 'contact', filename: 'contact.json' }
+            { key: 'announcements', filename: 'announcements.json' },
+            { key: 'contact', filename: 'contact.json' },
+            { key: 'tables', filename: 'tables.json' }
         ];
         
         for (const file of files) {
@@ -99,13 +367,19 @@ class AdminPanel {
                 const data = await this.api.fetchData(file.filename);
                 if (data) {
                     this.currentData[file.key] = data;
+                    this.setBaseData(file.filename, data);
                 }
             } catch (error) {
                 console.error(`Error loading ${file.filename}:`, error);
             }
         }
         
-        this.refreshSectionData('menu');
+        this.refreshSectionData(this.getActiveSection());
+    }
+
+    getActiveSection() {
+        const activeButton = document.querySelector('.admin-nav-btn.active');
+        return activeButton ? activeButton.dataset.section : 'menu';
     }
 
     refreshSectionData(section) {
@@ -118,10 +392,34 @@ class AdminPanel {
                 break;
             case 'events':
                 this.renderEventsTable();
+                this.loadRsvpSummary();
+                break;
+            case 'announcements':
+                this.renderAnnouncementsTable();
+                break;
+            case 'orders':
+                this.renderOrderBoard();
+                this.updateOrderSoundButton();
+                break;
+            case 'reservations':
+                this.loadReservations();
+                this.loadTablesForm();
+                break;
+            case 'tables':
+                this.loadTablesForm();
                 break;
             case 'contact':
                 this.loadContactForm();
                 break;
+            case 'schedules':
+                this.loadSchedules();
+                break;
+            case 'backups':
+                this.loadBackups();
+                break;
+            case 'users':
+                this.loadUsers();
+                break;
         }
     }
 
@@ -133,6 +431,17 @@ class AdminPanel {
                 e.preventDefault();
                 this.saveMenuItem();
             });
+            menuForm.addEventListener('input', () => this.updateItemPricePreview());
+            this.updateAllergenInputs();
+        }
+
+        // Category form
+        const categoryForm = document.getElementById('categoryForm');
+        if (categoryForm) {
+            categoryForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addCategory();
+            });
         }
 
         // Specials form
@@ -142,6 +451,10 @@ class AdminPanel {
                 e.preventDefault();
                 this.saveSpecial();
             });
+            specialForm.addEventListener('input', () => this.updateSpecialPricePreview());
+            specialForm.addEventListener('change', () => this.updateSpecialPricePreview());
+            this.fillSpecialPicks([]);
+            this.updateSpecialMode();
         }
 
         // Events form
@@ -152,6 +465,20 @@ class AdminPanel {
                 this.saveEvent();
             });
         }
+        const eventSchedule = document.getElementById('eventSchedule');
+        if (eventSchedule) {
+            eventSchedule.addEventListener('change', () => this.fillEventDateFromSchedule());
+            this.updateScheduleEditor();
+        }
+
+        // Announcements form
+        const announcementForm = document.getElementById('announcementForm');
+        if (announcementForm) {
+            announcementForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveAnnouncement();
+            });
+        }
 
         // Contact form
         const contactForm = document.getElementById('contactForm');
@@ -161,6 +488,69 @@ class AdminPanel {
                 this.saveContact();
             });
         }
+
+        // Image previews and uploads from the media library
+        ['itemImage', 'eventImage'].forEach(inputId => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.addEventListener('input', () => this.updateImagePreview(inputId));
+                this.updateImagePreview(inputId);
+            }
+        });
+
+        const mediaUpload = document.getElementById('mediaUpload');
+        if (mediaUpload) {
+            mediaUpload.addEventListener('change', () => {
+                if (mediaUpload.files.length) this.uploadMedia(mediaUpload.files[0]);
+                mediaUpload.value = '';
+            });
+        }
+
+        // Phone / counter order form
+        const staffOrderForm = document.getElementById('staffOrderForm');
+        if (staffOrderForm) {
+            staffOrderForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveStaffOrder();
+            });
+        }
+
+        // Reservations day and status pickers, and the tables form
+        const reservationsDate = document.getElementById('reservationsDate');
+        if (reservationsDate) {
+            reservationsDate.addEventListener('change', () => this.showReservationsFor(reservationsDate.value));
+        }
+
+        const reservationsStatus = document.getElementById('reservationsStatus');
+        if (reservationsStatus) {
+            reservationsStatus.addEventListener('change', () => this.renderReservations());
+        }
+
+        const tablesForm = document.getElementById('tablesForm');
+        if (tablesForm) {
+            tablesForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveTables();
+            });
+        }
+
+        // Scheduled publishing form
+        const scheduleForm = document.getElementById('scheduleForm');
+        if (scheduleForm) {
+            scheduleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSchedule();
+            });
+        }
+
+        // Invite user form
+        const inviteForm = document.getElementById('inviteForm');
+        if (inviteForm) {
+            inviteForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.inviteUser();
+            });
+        }
     }
 
     // ==================== MENU MANAGEMENT ====================
@@ -169,6 +559,7 @@ class AdminPanel {
         if (!container || !this.currentData.menu) return;
 
         const items = this.currentData.menu.items;
+        this.renderCategories();
         
         let html = `
             <div class="table-header">
@@ -177,6 +568,9 @@ class AdminPanel {
                     <button class="btn-refresh" onclick="admin.refreshMenuData()">
                         <i class="fas fa-sync-alt"></i> Refresh
                     </button>
+                    <button class="btn-refresh" onclick="admin.openHistory('menu.json')">
+                        <i class="fas fa-history"></i> History
+                    </button>
                 </div>
             </div>
             <table class="data-table">
@@ -198,11 +592,11 @@ class AdminPanel {
             html += `
                 <tr>
                     <td>${item.id}</td>
-                    <td><strong>${item.name}</strong></td>
+                    <td><strong>${item.name}</strong>${this.dietaryCell(item)}</td>
                     <td><span class="item-category">${item.category}</span></td>
-                    <td>$${item.price.toFixed(2)}</td>
+                    <td>$${item.price.toFixed(2)}${this.optionGroupsCell(item)}</td>
                     <td>${item.description.substring(0, 50)}...</td>
-                    <td>${item.image.split('/').pop()}</td>
+                    <td>${this.imageCell('menu.json', item)}</td>
                     <td class="action-buttons">
                         <button class="btn-edit" onclick="admin.editMenuItem(${item.id})">
                             <i class="fas fa-edit"></i> Edit
@@ -227,51 +621,39 @@ class AdminPanel {
         const form = document.getElementById('menuForm');
         if (!form) return;
 
+        // No id: new items get theirs from the server
         const itemData = {
-            id: this.editingItem ? this.editingItem.id : this.getNextId(this.currentData.menu.items),
             name: document.getElementById('itemName').value.trim(),
             category: document.getElementById('itemCategory').value,
             price: parseFloat(document.getElementById('itemPrice').value),
             description: document.getElementById('itemDescription').value.trim(),
             image: document.getElementById('itemImage').value.trim()
         };
-
-        // Validation
-        if (!itemData.name || !itemData.category || !itemData.price || !itemData.description || !itemData.image) {
-            this.showToast('Please fill all required fields', 'error');
-            return;
+        const dietary = [...document.querySelectorAll('.item-dietary:checked')].map(input => input.value);
+        const spiceLevel = parseInt(document.getElementById('itemSpiceLevel').value, 10);
+        if (dietary.length) itemData.dietary = dietary;
+        if (document.getElementById('itemAllergensKnown').checked) {
+            itemData.allergens = [...document.querySelectorAll('.item-allergen:checked')].map(input => input.value);
         }
+        if (spiceLevel) itemData.spiceLevel = spiceLevel;
+        const optionGroups = this.readOptionGroups();
+        if (optionGroups.length) itemData.optionGroups = optionGroups;
+        const id = this.editingItem ? this.editingItem.id : null;
 
-        if (itemData.price <= 0) {
-            this.showToast('Price must be greater than 0', 'error');
-            return;
-        }
+        if (!this.validateItemForm('menuForm', 'menu.json', 'items', itemData, id)) return;
 
         try {
-            if (this.editingItem) {
-                // Update existing item
-                const index = this.currentData.menu.items.findIndex(item => item.id === this.editingItem.id);
-                if (index !== -1) {
-                    this.currentData.menu.items[index] = itemData;
-                }
-            } else {
-                // Add new item
-                this.currentData.menu.items.push(itemData);
-            }
+            const result = await this.saveItemWithConflictCheck('menu.json', 'items', itemData, id);
+            if (result.cancelled) return;
 
-            // Save to server
-            const result = await this.api.saveData('menu.json', this.currentData.menu);
+            this.showToast(this.editingItem ? 'Menu item updated!' : 'Menu item added!');
+            this.resetMenuForm();
+            this.renderMenuTable();
+            this.loadMissingImages();
+            this.loadBrokenSpecialLinks(true);
             
-            if (result.success) {
-                this.showToast(this.editingItem ? 'Menu item updated!' : 'Menu item added!');
-                this.resetMenuForm();
-                this.renderMenuTable();
-                
-                // Refresh main website data
-                this.refreshMainWebsite();
-            } else {
-                throw new Error(result.error || 'Failed to save menu item');
-            }
+            // Refresh main website data
+            this.refreshMainWebsite();
             
         } catch (error) {
             console.error('Error saving menu item:', error);
@@ -290,6 +672,17 @@ class AdminPanel {
         document.getElementById('itemPrice').value = item.price;
         document.getElementById('itemDescription').value = item.description;
         document.getElementById('itemImage').value = item.image;
+        this.updateImagePreview('itemImage');
+        document.querySelectorAll('.item-dietary').forEach(input => {
+            input.checked = (item.dietary || []).includes(input.value);
+        });
+        document.getElementById('itemAllergensKnown').checked = Array.isArray(item.allergens);
+        document.querySelectorAll('.item-allergen').forEach(input => {
+            input.checked = (item.allergens || []).includes(input.value);
+        });
+        this.updateAllergenInputs();
+        document.getElementById('itemSpiceLevel').value = item.spiceLevel || 0;
+        this.fillOptionGroups(item.optionGroups || []);
         
         const submitBtn = document.querySelector('#menuForm .btn-save');
         if (submitBtn) {
@@ -301,19 +694,153 @@ class AdminPanel {
         document.getElementById('menuForm').scrollIntoView({ behavior: 'smooth' });
     }
 
+    // Allergens can only be ticked once someone has checked them
+    updateAllergenInputs() {
+        const known = document.getElementById('itemAllergensKnown');
+        if (!known) return;
+        document.querySelectorAll('.item-allergen').forEach(input => {
+            input.disabled = !known.checked;
+        });
+    }
+
+    // Under the name in the menu table: 'Vegetarian, Halal · Medium · allergens not checked'
+    dietaryCell(item) {
+        const notes = [];
+        const tags = (item.dietary || []).map(tag => (Dietary.DIETARY[tag] ? Dietary.DIETARY[tag].label : tag));
+        if (tags.length) notes.push(tags.join(', '));
+        if (item.spiceLevel) notes.push(Dietary.SPICE_LEVELS[item.spiceLevel]);
+        if (!Array.isArray(item.allergens)) notes.push('allergens not checked');
+        return notes.length ? `<div class="cell-note">${this.escapeHTML(notes.join(' · '))}</div>` : '';
+    }
+
+    // ==================== OPTION GROUPS ====================
+    // Sizes, add-ons and required choices on a menu item (see shared/menuOptions.js). Ids are made
+    // from the names; an existing group or option keeps its id when renamed, so carts and orders that
+    // refer to it still match.
+    optionId(name, taken, fallback) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+        let id = base;
+        for (let n = 2; taken.includes(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    addOptionGroup(group = null) {
+        const list = document.getElementById('itemOptionGroups');
+        if (!list) return;
+
+        const editor = document.createElement('div');
+        editor.className = 'option-group-editor';
+        if (group) editor.dataset.id = group.id;
+        editor.innerHTML = `
+            <div class="option-group-row">
+                <input type="text" class="form-control option-group-name" placeholder="Group name, e.g. Size" maxlength="50"
+                    value="${group ? this.escapeHTML(group.name) : ''}">
+                <input type="number" class="form-control option-group-min" min="0" step="1" title="Fewest the guest must pick (0 for optional)"
+                    value="${group ? group.min || 0 : 0}">
+                <input type="number" class="form-control option-group-max" min="1" step="1" title="Most the guest can pick"
+                    value="${group ? group.max : 1}">
+                <button type="button" class="btn-delete" title="Remove group"
+                    onclick="this.closest('.option-group-editor').remove(); admin.updateItemPricePreview()">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+            <p class="schedule-hint">Name, fewest and most picks. A fewest of 1 makes the choice required.</p>
+            <div class="option-rows"></div>
+            <button type="button" class="btn-refresh" onclick="admin.addOption(this.closest('.option-group-editor'))">
+                <i class="fas fa-plus"></i> Add Option
+            </button>
+        `;
+        list.appendChild(editor);
+        ((group && group.options) || [null]).forEach(option => this.addOption(editor, option));
+    }
+
+    addOption(editor, option = null) {
+        const row = document.createElement('div');
+        row.className = 'option-row';
+        if (option) row.dataset.id = option.id;
+        row.innerHTML = `
+            <input type="text" class="form-control option-name" placeholder="Option, e.g. Large" maxlength="50"
+                value="${option ? this.escapeHTML(option.name) : ''}">
+            <input type="number" class="form-control option-delta" step="0.01" title="Price change ($)"
+                value="${option && option.priceDelta ? option.priceDelta : 0}">
+            <button type="button" class="btn-delete" title="Remove option"
+                onclick="this.parentElement.remove(); admin.updateItemPricePreview()">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        editor.querySelector('.option-rows').appendChild(row);
+        this.updateItemPricePreview();
+    }
+
+    fillOptionGroups(groups) {
+        const list = document.getElementById('itemOptionGroups');
+        if (!list) return;
+        list.innerHTML = '';
+        groups.forEach(group => this.addOptionGroup(group));
+        this.updateItemPricePreview();
+    }
+
+    readOptionGroups() {
+        const groupIds = [];
+        return [...document.querySelectorAll('#itemOptionGroups .option-group-editor')].map((editor, index) => {
+            const name = editor.querySelector('.option-group-name').value.trim();
+            const id = editor.dataset.id || this.optionId(name, groupIds, `group-${index + 1}`);
+            groupIds.push(id);
+
+            const optionIds = [];
+            const options = [...editor.querySelectorAll('.option-row')].map((row, optionIndex) => {
+                const optionName = row.querySelector('.option-name').value.trim();
+                const option = { id: row.dataset.id || this.optionId(optionName, optionIds, `option-${optionIndex + 1}`), name: optionName };
+                optionIds.push(option.id);
+                const delta = parseFloat(row.querySelector('.option-delta').value);
+                if (delta) option.priceDelta = delta;
+                return option;
+            });
+
+            return {
+                id,
+                name,
+                min: parseInt(editor.querySelector('.option-group-min').value, 10) || 0,
+                max: parseInt(editor.querySelector('.option-group-max').value, 10),
+                options
+            };
+        });
+    }
+
+    // The price the website will show for the item with the options as they are in the form
+    updateItemPricePreview() {
+        const preview = document.getElementById('itemPricePreview');
+        if (!preview) return;
+
+        const optionGroups = this.readOptionGroups();
+        const price = parseFloat(document.getElementById('itemPrice').value);
+        if (!optionGroups.length || Number.isNaN(price)) {
+            preview.textContent = 'Sizes, add-ons or choices such as a sauce. Price changes are added to the item\'s price; use a negative one for a smaller size.';
+            return;
+        }
+
+        const lowest = MenuOptions.fromPrice({ price, optionGroups });
+        preview.textContent = `Shown on the website as ${lowest.from ? 'from ' : ''}$${lowest.price.toFixed(2)}`;
+    }
+
+    // Under the price in the menu table: 'Size, Extras'
+    optionGroupsCell(item) {
+        if (!item.optionGroups || !item.optionGroups.length) return '';
+        return `<div class="cell-note">${item.optionGroups.map(group => this.escapeHTML(group.name)).join(', ')}</div>`;
+    }
+
     async deleteMenuItem(itemId) {
         if (!confirm('Are you sure you want to delete this menu item?')) return;
 
         try {
             // Delete from server
-            const result = await this.api.deleteItem('menu.json', itemId);
+            const result = await this.deleteWithConflictCheck('menu.json', 'items', itemId);
+            if (result.cancelled) return;
             
             if (result.success) {
-                // Update local data
-                this.currentData.menu.items = this.currentData.menu.items.filter(item => item.id !== itemId);
-                
                 this.showToast('Menu item deleted!');
                 this.renderMenuTable();
+                this.loadBrokenSpecialLinks(true);
                 
                 // Refresh main website data
                 this.refreshMainWebsite();
@@ -327,6 +854,121 @@ class AdminPanel {
         }
     }
 
+    // Category list and the category options of the menu form
+    renderCategories() {
+        const categories = this.currentData.menu.categories || [];
+
+        const select = document.getElementById('itemCategory');
+        if (select) {
+            const selected = select.value;
+            select.innerHTML = '<option value="">Select Category</option>' + categories
+                .map(category => `<option value="${this.escapeHTML(category)}">${this.escapeHTML(category)}</option>`)
+                .join('');
+            select.value = selected;
+        }
+
+        const list = document.getElementById('categoryList');
+        if (!list) return;
+
+        list.innerHTML = categories.map((category, index) => {
+            const count = this.currentData.menu.items.filter(item => item.category === category).length;
+            return `
+                <div class="category-chip">
+                    <span>${this.escapeHTML(category)} (${count})</span>
+                    <button class="btn-edit" onclick="admin.renameCategory(${index})" title="Rename">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn-delete" onclick="admin.deleteCategory(${index})" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // The server checks names and whether a category is in use against its own copy,
+    // so after a conflict the change is simply retried on the latest menu.
+    async writeCategory(write) {
+        try {
+            return await write();
+        } catch (error) {
+            if (!error.conflict) throw error;
+
+            this.api.setVersion('menu.json', error.currentVersion);
+            this.currentData.menu = error.currentData;
+            this.setBaseData('menu.json', error.currentData);
+            return write();
+        }
+    }
+
+    async addCategory() {
+        const input = document.getElementById('categoryName');
+        const name = input.value.trim();
+        if (!name) {
+            this.showToast('Please enter a category name', 'error');
+            return;
+        }
+
+        try {
+            await this.writeCategory(() => this.api.createCategory(name));
+            this.currentData.menu.categories.push(name);
+            this.setBaseData('menu.json', this.currentData.menu);
+
+            input.value = '';
+            this.showToast(`Category "${name}" added!`);
+            this.renderMenuTable();
+            this.refreshMainWebsite();
+        } catch (error) {
+            console.error('Error adding category:', error);
+            this.showToast(`Failed to add category: ${error.message}`, 'error');
+        }
+    }
+
+    async renameCategory(index) {
+        const name = this.currentData.menu.categories[index];
+        const newName = (prompt(`Rename category "${name}" to:`, name) || '').trim();
+        if (!newName || newName === name) return;
+
+        try {
+            await this.writeCategory(() => this.api.renameCategory(name, newName));
+
+            // Its items move along with it
+            const menu = this.currentData.menu;
+            menu.categories = menu.categories.map(category => category === name ? newName : category);
+            menu.items.forEach(item => {
+                if (item.category === name) item.category = newName;
+            });
+            this.setBaseData('menu.json', menu);
+
+            this.showToast(`Category renamed to "${newName}"`);
+            this.renderMenuTable();
+            this.loadBrokenSpecialLinks(true);
+            this.refreshMainWebsite();
+        } catch (error) {
+            console.error('Error renaming category:', error);
+            this.showToast(`Failed to rename category: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteCategory(index) {
+        const name = this.currentData.menu.categories[index];
+        if (!confirm(`Are you sure you want to delete the category "${name}"?`)) return;
+
+        try {
+            await this.writeCategory(() => this.api.deleteCategory(name));
+            this.currentData.menu.categories = this.currentData.menu.categories.filter(category => category !== name);
+            this.setBaseData('menu.json', this.currentData.menu);
+
+            this.showToast(`Category "${name}" deleted!`);
+            this.renderMenuTable();
+            this.loadBrokenSpecialLinks(true);
+            this.refreshMainWebsite();
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            this.showToast(`Failed to delete category: ${error.message}`, 'error');
+        }
+    }
+
     // ==================== SPECIALS MANAGEMENT ====================
     renderSpecialsTable() {
         const container = document.getElementById('specialsTableContainer');
@@ -341,12 +983,15 @@ class AdminPanel {
                     <button class="btn-refresh" onclick="admin.refreshSpecialsData()">
                         <i class="fas fa-sync-alt"></i> Refresh
                     </button>
+                    <button class="btn-refresh" onclick="admin.openHistory('specials.json')">
+                        <i class="fas fa-history"></i> History
+                    </button>
                 </div>
             </div>
             <table class="data-table">
                 <thead>
                     <tr>
-                        <th>Day</th>
+                        <th>When</th>
                         <th>Combo Name</th>
                         <th>Items</th>
                         <th>Price</th>
@@ -358,13 +1003,16 @@ class AdminPanel {
         `;
 
         specials.forEach(special => {
+            const priced = Specials.priceSpecial(special, this.currentData.menu);
             html += `
                 <tr>
-                    <td><strong>${special.day}</strong></td>
+                    <td>${this.specialWhenCell(special)}</td>
                     <td>${special.name}</td>
-                    <td>${special.items}</td>
-                    <td>$${special.price.toFixed(2)}</td>
-                    <td><span class="special-discount">${special.discount}</span></td>
+                    <td>${priced ? this.specialPicksCell(special, priced) : special.items}</td>
+                    <td>${priced
+                        ? `${priced.from ? 'from ' : ''}$${priced.price.toFixed(2)}<div class="cell-note">was $${priced.original.toFixed(2)}</div>`
+                        : `$${special.price.toFixed(2)}`}</td>
+                    <td><span class="special-discount">${priced ? `${special.discountPercent}%` : special.discount}</span></td>
                     <td class="action-buttons">
                         <button class="btn-edit" onclick="admin.editSpecial(${special.id})">
                             <i class="fas fa-edit"></i> Edit
@@ -385,56 +1033,188 @@ class AdminPanel {
         container.innerHTML = html;
     }
 
+    // The linked items, with a warning when some are no longer on the menu
+    specialPicksCell(special, priced) {
+        const broken = this.brokenSpecialLinks.find(entry => entry.id === special.id);
+        const names = this.escapeHTML(Specials.describePicks(priced));
+        if (!broken) return names;
+        return `
+            ${names}
+            <div class="missing-image"><i class="fas fa-exclamation-triangle"></i>
+                ${this.escapeHTML(broken.missing.join(', '))} no longer on the menu; hidden on the website</div>
+        `;
+    }
+
+    // Specials linked to menu items or categories that are gone, as the server sees them.
+    // After a menu change, newly broken specials are also announced.
+    async loadBrokenSpecialLinks(announce = false) {
+        const before = this.brokenSpecialLinks.map(entry => entry.id);
+        try {
+            this.brokenSpecialLinks = await this.api.getBrokenSpecialLinks();
+        } catch (error) {
+            console.error('Error checking special links:', error);
+            return;
+        }
+
+        const newlyBroken = this.brokenSpecialLinks.filter(entry => !before.includes(entry.id));
+        if (announce && newlyBroken.length) {
+            const names = newlyBroken.map(entry => `"${entry.name}"`).join(', ');
+            this.showToast(`No longer on the menu but part of ${names}. Hidden on the website until you fix it.`, 'warning');
+        }
+        this.renderSpecialsTable();
+    }
+
+    // Shows the inputs for a special linked to the menu or one described in text
+    updateSpecialMode() {
+        const mode = document.getElementById('specialMode').value;
+        document.querySelectorAll('#specialForm [data-special-mode]').forEach(element => {
+            element.style.display = element.dataset.specialMode === mode ? '' : 'none';
+        });
+        this.updateSpecialPricePreview();
+    }
+
+    // Options for a pick: a choice from each category, then the category's items
+    specialPickOptions() {
+        const { categories = [], items = [] } = this.currentData.menu || {};
+        return categories.map(category => `
+            <optgroup label="${this.escapeHTML(category)}">
+                <option value="category:${this.escapeHTML(category)}">Choice of ${this.escapeHTML(category)}</option>
+                ${items.filter(item => item.category === category).map(item => `
+                    <option value="item:${item.id}">${this.escapeHTML(item.name)} ($${item.price.toFixed(2)})</option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+    }
+
+    addSpecialPick(pick = null) {
+        const list = document.getElementById('specialPicks');
+        if (!list) return;
+
+        const row = document.createElement('div');
+        row.className = 'pick-row';
+        row.innerHTML = `
+            <select class="form-control pick-choice">${this.specialPickOptions()}</select>
+            <input type="number" class="form-control pick-quantity" min="1" max="10" value="${pick && pick.quantity ? pick.quantity : 1}" title="Quantity">
+            <button type="button" class="btn-delete" title="Remove item"
+                onclick="this.parentElement.remove(); admin.updateSpecialPricePreview()">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        if (pick) {
+            // A pick whose item or category is gone keeps its value, so saving doesn't quietly change it
+            const value = pick.itemId !== undefined ? `item:${pick.itemId}` : `category:${pick.category}`;
+            const select = row.querySelector('.pick-choice');
+            if (![...select.options].some(option => option.value === value)) {
+                select.insertAdjacentHTML('afterbegin',
+                    `<option value="${this.escapeHTML(value)}">Not on the menu (${this.escapeHTML(value.replace(':', ' '))})</option>`);
+            }
+            select.value = value;
+        }
+        list.appendChild(row);
+        this.updateSpecialPricePreview();
+    }
+
+    fillSpecialPicks(picks) {
+        const list = document.getElementById('specialPicks');
+        if (!list) return;
+        list.innerHTML = '';
+        (picks.length ? picks : [null]).forEach(pick => this.addSpecialPick(pick));
+    }
+
+    readSpecialPicks() {
+        return [...document.querySelectorAll('#specialPicks .pick-row')].map(row => {
+            const [kind, value] = row.querySelector('.pick-choice').value.split(/:(.*)/);
+            const pick = kind === 'item' ? { itemId: parseInt(value, 10) } : { category: value };
+            const quantity = parseInt(row.querySelector('.pick-quantity').value, 10);
+            if (quantity > 1) pick.quantity = quantity;
+            return pick;
+        });
+    }
+
+    // What the picks cost now and with the discount, worked out like the website does
+    updateSpecialPricePreview() {
+        const preview = document.getElementById('specialPricePreview');
+        if (!preview) return;
+
+        const picks = this.readSpecialPicks();
+        const discountPercent = parseFloat(document.getElementById('specialDiscountPercent').value) || 0;
+        if (!picks.length) {
+            preview.textContent = 'Add the items that make up the deal.';
+            return;
+        }
+
+        const priced = Specials.priceSpecial({ picks, discountPercent }, this.currentData.menu);
+        const from = priced.from ? 'from ' : '';
+        preview.textContent = `Menu price ${from}$${priced.original.toFixed(2)}, ` +
+            `special price ${from}$${priced.price.toFixed(2)} with ${discountPercent}% off` +
+            (priced.from ? ' (choices count at their cheapest item)' : '') +
+            (priced.missing.length ? `. Not on the menu: ${priced.missing.join(', ')}` : '');
+    }
+
+    // Days and times, the date range, and whether the website shows the special today
+    specialWhenCell(special) {
+        const times = Specials.describeTimes(special);
+        const dates = [
+            special.startDate ? `from ${special.startDate}` : '',
+            special.endDate ? `until ${special.endDate}` : ''
+        ].filter(Boolean).join(' ');
+
+        let note = '';
+        const now = this.cafeNow();
+        if (!Specials.isCurrent(special, now)) {
+            note = special.endDate && special.endDate < EventSchedule.toDateString(now)
+                ? 'Over, hidden on the website'
+                : 'Not started, hidden on the website';
+        }
+
+        return `
+            <strong>${Specials.describeDays(special)}</strong>
+            ${times ? `<div>${times}</div>` : ''}
+            ${dates ? `<div class="cell-note">${dates}</div>` : ''}
+            ${note ? `<div class="cell-note">${note}</div>` : ''}
+        `;
+    }
+
     async saveSpecial() {
         const form = document.getElementById('specialForm');
         if (!form) return;
 
+        // No id: new items get theirs from the server
         const specialData = {
-            id: this.editingSpecial ? this.editingSpecial.id : this.getNextId(this.currentData.specials.specials),
-            day: document.getElementById('specialDay').value,
             name: document.getElementById('specialName').value.trim(),
-            items: document.getElementById('specialItems').value.trim(),
-            price: parseFloat(document.getElementById('specialPrice').value),
-            discount: document.getElementById('specialDiscount').value.trim(),
             description: document.getElementById('specialDescription').value.trim()
         };
-
-        // Validation
-        if (!specialData.day || !specialData.name || !specialData.items || !specialData.price || !specialData.discount) {
-            this.showToast('Please fill all required fields', 'error');
-            return;
+        // A special linked to the menu gets its price from it; one described in text has its own
+        if (document.getElementById('specialMode').value === 'menu') {
+            specialData.picks = this.readSpecialPicks();
+            specialData.discountPercent = parseFloat(document.getElementById('specialDiscountPercent').value);
+        } else {
+            specialData.items = document.getElementById('specialItems').value.trim();
+            specialData.price = parseFloat(document.getElementById('specialPrice').value);
+            specialData.discount = document.getElementById('specialDiscount').value.trim();
         }
+        // Left out when empty: no days means every day, no dates or times means always
+        const days = [...document.querySelectorAll('#specialDays .special-day:checked')].map(checkbox => checkbox.value);
+        if (days.length) specialData.days = days;
+        ['startDate', 'endDate', 'startTime', 'endTime'].forEach(field => {
+            const value = document.getElementById(FORM_FIELDS.specialForm[field]).value;
+            if (value) specialData[field] = value;
+        });
+        const id = this.editingSpecial ? this.editingSpecial.id : null;
 
-        if (specialData.price <= 0) {
-            this.showToast('Price must be greater than 0', 'error');
-            return;
-        }
+        if (!this.validateItemForm('specialForm', 'specials.json', 'specials', specialData, id)) return;
 
         try {
-            if (this.editingSpecial) {
-                // Update existing special
-                const index = this.currentData.specials.specials.findIndex(s => s.id === this.editingSpecial.id);
-                if (index !== -1) {
-                    this.currentData.specials.specials[index] = specialData;
-                }
-            } else {
-                // Add new special
-                this.currentData.specials.specials.push(specialData);
-            }
+            const result = await this.saveItemWithConflictCheck('specials.json', 'specials', specialData, id);
+            if (result.cancelled) return;
 
-            // Save to server
-            const result = await this.api.saveData('specials.json', this.currentData.specials);
+            this.showToast(this.editingSpecial ? 'Special updated!' : 'Special added!');
+            this.resetSpecialForm();
+            this.renderSpecialsTable();
+            this.loadBrokenSpecialLinks();
             
-            if (result.success) {
-                this.showToast(this.editingSpecial ? 'Special updated!' : 'Special added!');
-                this.resetSpecialForm();
-                this.renderSpecialsTable();
-                
-                // Refresh main website data
-                this.refreshMainWebsite();
-            } else {
-                throw new Error(result.error || 'Failed to save special');
-            }
+            // Refresh main website data
+            this.refreshMainWebsite();
             
         } catch (error) {
             console.error('Error saving special:', error);
@@ -448,12 +1228,22 @@ class AdminPanel {
 
         this.editingSpecial = special;
         
-        document.getElementById('specialDay').value = special.day;
+        const days = Specials.daysOf(special) || [];
+        document.querySelectorAll('#specialDays .special-day').forEach(checkbox => {
+            checkbox.checked = days.includes(checkbox.value);
+        });
+        ['startDate', 'endDate', 'startTime', 'endTime'].forEach(field => {
+            document.getElementById(FORM_FIELDS.specialForm[field]).value = special[field] || '';
+        });
         document.getElementById('specialName').value = special.name;
-        document.getElementById('specialItems').value = special.items;
-        document.getElementById('specialPrice').value = special.price;
-        document.getElementById('specialDiscount').value = special.discount;
+        document.getElementById('specialMode').value = special.picks ? 'menu' : 'text';
+        this.fillSpecialPicks(special.picks || []);
+        document.getElementById('specialDiscountPercent').value = special.discountPercent || '';
+        document.getElementById('specialItems').value = special.items || '';
+        document.getElementById('specialPrice').value = special.price === undefined ? '' : special.price;
+        document.getElementById('specialDiscount').value = special.discount || '';
         document.getElementById('specialDescription').value = special.description;
+        this.updateSpecialMode();
         
         const submitBtn = document.querySelector('#specialForm .btn-save');
         if (submitBtn) {
@@ -469,12 +1259,10 @@ class AdminPanel {
 
         try {
             // Delete from server
-            const result = await this.api.deleteItem('specials.json', specialId);
+            const result = await this.deleteWithConflictCheck('specials.json', 'specials', specialId);
+            if (result.cancelled) return;
             
             if (result.success) {
-                // Update local data
-                this.currentData.specials.specials = this.currentData.specials.specials.filter(s => s.id !== specialId);
-                
                 this.showToast('Special deleted!');
                 this.renderSpecialsTable();
                 
@@ -504,6 +1292,12 @@ class AdminPanel {
                     <button class="btn-refresh" onclick="admin.refreshEventsData()">
                         <i class="fas fa-sync-alt"></i> Refresh
                     </button>
+                    <button class="btn-refresh" onclick="admin.openHistory('events.json')">
+                        <i class="fas fa-history"></i> History
+                    </button>
+                    <a class="btn-refresh" href="/api/rsvps/export" download>
+                        <i class="fas fa-file-csv"></i> All RSVPs
+                    </a>
                 </div>
             </div>
             <table class="data-table">
@@ -514,6 +1308,7 @@ class AdminPanel {
                         <th>Description</th>
                         <th>Tag</th>
                         <th>Image</th>
+                        <th>RSVPs</th>
                         <th>Actions</th>
                     </tr>
                 </thead>
@@ -524,10 +1319,11 @@ class AdminPanel {
             html += `
                 <tr>
                     <td><strong>${event.name}</strong></td>
-                    <td>${event.date}</td>
+                    <td>${event.date}${this.nextOccurrenceNote(event)}</td>
                     <td>${event.description.substring(0, 50)}...</td>
                     <td><span class="event-tag">${event.tag}</span></td>
-                    <td>${event.image.split('/').pop()}</td>
+                    <td>${this.imageCell('events.json', event)}</td>
+                    <td>${this.rsvpCell(event)}</td>
                     <td class="action-buttons">
                         <button class="btn-edit" onclick="admin.editEvent(${event.id})">
                             <i class="fas fa-edit"></i> Edit
@@ -552,8 +1348,8 @@ class AdminPanel {
         const form = document.getElementById('eventForm');
         if (!form) return;
 
+        // No id: new items get theirs from the server
         const eventData = {
-            id: this.editingEvent ? this.editingEvent.id : this.getNextId(this.currentData.events.events),
             name: document.getElementById('eventName').value.trim(),
             date: document.getElementById('eventDate').value.trim(),
             description: document.getElementById('eventDescription').value.trim(),
@@ -561,38 +1357,27 @@ class AdminPanel {
             tag: document.getElementById('eventTag').value.trim(),
             featured: document.getElementById('eventFeatured').checked
         };
+        // Without a capacity or RSVP Required the event takes no RSVPs
+        const capacity = document.getElementById('eventCapacity').value.trim();
+        if (capacity) eventData.capacity = Number(capacity);
+        if (document.getElementById('eventRsvpRequired').checked) eventData.rsvpRequired = true;
+        const schedule = this.readScheduleForm();
+        if (schedule) eventData.schedule = schedule;
+        const id = this.editingEvent ? this.editingEvent.id : null;
 
-        // Validation
-        if (!eventData.name || !eventData.date || !eventData.description || !eventData.image || !eventData.tag) {
-            this.showToast('Please fill all required fields', 'error');
-            return;
-        }
+        if (!this.validateItemForm('eventForm', 'events.json', 'events', eventData, id)) return;
 
         try {
-            if (this.editingEvent) {
-                // Update existing event
-                const index = this.currentData.events.events.findIndex(e => e.id === this.editingEvent.id);
-                if (index !== -1) {
-                    this.currentData.events.events[index] = eventData;
-                }
-            } else {
-                // Add new event
-                this.currentData.events.events.push(eventData);
-            }
+            const result = await this.saveItemWithConflictCheck('events.json', 'events', eventData, id);
+            if (result.cancelled) return;
 
-            // Save to server
-            const result = await this.api.saveData('events.json', this.currentData.events);
+            this.showToast(this.editingEvent ? 'Event updated!' : 'Event added!');
+            this.resetEventForm();
+            this.renderEventsTable();
+            this.loadMissingImages();
             
-            if (result.success) {
-                this.showToast(this.editingEvent ? 'Event updated!' : 'Event added!');
-                this.resetEventForm();
-                this.renderEventsTable();
-                
-                // Refresh main website data
-                this.refreshMainWebsite();
-            } else {
-                throw new Error(result.error || 'Failed to save event');
-            }
+            // Refresh main website data
+            this.refreshMainWebsite();
             
         } catch (error) {
             console.error('Error saving event:', error);
@@ -610,8 +1395,12 @@ class AdminPanel {
         document.getElementById('eventDate').value = event.date;
         document.getElementById('eventDescription').value = event.description;
         document.getElementById('eventImage').value = event.image;
+        this.updateImagePreview('eventImage');
         document.getElementById('eventTag').value = event.tag;
         document.getElementById('eventFeatured').checked = event.featured || false;
+        document.getElementById('eventCapacity').value = event.capacity || '';
+        document.getElementById('eventRsvpRequired').checked = event.rsvpRequired || false;
+        this.fillScheduleForm(event.schedule);
         
         const submitBtn = document.querySelector('#eventForm .btn-save');
         if (submitBtn) {
@@ -622,17 +1411,111 @@ class AdminPanel {
         document.getElementById('eventForm').scrollIntoView({ behavior: 'smooth' });
     }
 
-    async deleteEvent(eventId) {
-        if (!confirm('Are you sure you want to delete this event?')) return;
+    // When a scheduled event next happens, or that it's over (the website no longer shows it)
+    nextOccurrenceNote(event) {
+        if (!event.schedule) return '';
+        const next = EventSchedule.nextOccurrence(event.schedule, this.cafeNow());
+        return next
+            ? `<div class="cell-note">Next: ${EventSchedule.formatOccurrence(next)}</div>`
+            : '<div class="cell-note">Ended, hidden on the website</div>';
+    }
 
-        try {
-            // Delete from server
-            const result = await this.api.deleteItem('events.json', eventId);
-            
-            if (result.success) {
-                // Update local data
-                this.currentData.events.events = this.currentData.events.events.filter(e => e.id !== eventId);
-                
+    // Shows only the schedule inputs that apply to the chosen type
+    updateScheduleEditor() {
+        const type = document.getElementById('eventScheduleType').value;
+        const monthly = document.getElementById('eventScheduleMonthly').value;
+        const shown = {
+            once: type === 'once',
+            weekly: type === 'weekly',
+            monthly: type === 'monthly',
+            'monthly-day': type === 'monthly' && monthly === 'day',
+            'monthly-weekday': type === 'monthly' && monthly === 'weekday',
+            repeating: type === 'weekly' || type === 'monthly',
+            any: type !== ''
+        };
+
+        document.querySelectorAll('#eventSchedule [data-schedule]').forEach(element => {
+            element.style.display = shown[element.dataset.schedule] ? '' : 'none';
+        });
+    }
+
+    // The schedule as the form describes it, or null for an event with only its Date/Time text.
+    // Incomplete schedules are returned as they are, so validation can point at what's missing.
+    readScheduleForm() {
+        const type = document.getElementById('eventScheduleType').value;
+        if (!type) return null;
+
+        const value = id => document.getElementById(id).value.trim();
+        const schedule = { type };
+
+        if (type === 'once') {
+            schedule.date = value('eventScheduleDate');
+        } else if (type === 'weekly') {
+            schedule.weekdays = [...document.querySelectorAll('#eventSchedule .schedule-weekday:checked')]
+                .map(checkbox => checkbox.value);
+        } else if (value('eventScheduleMonthly') === 'day') {
+            schedule.dayOfMonth = Number(value('eventScheduleDayOfMonth'));
+        } else {
+            schedule.week = Number(value('eventScheduleWeek'));
+            schedule.weekday = value('eventScheduleWeekday');
+        }
+
+        if (value('eventStartTime')) schedule.startTime = value('eventStartTime');
+        if (value('eventEndTime')) schedule.endTime = value('eventEndTime');
+
+        if (type !== 'once') {
+            if (value('eventScheduleStartDate')) schedule.startDate = value('eventScheduleStartDate');
+            if (value('eventScheduleEndDate')) schedule.endDate = value('eventScheduleEndDate');
+            const exceptions = value('eventScheduleExceptions').split(/[\s,]+/).filter(Boolean);
+            if (exceptions.length) schedule.exceptions = exceptions;
+        }
+        return schedule;
+    }
+
+    fillScheduleForm(schedule = {}) {
+        const set = (id, value) => {
+            document.getElementById(id).value = value === undefined ? '' : value;
+        };
+
+        set('eventScheduleType', schedule.type);
+        set('eventScheduleDate', schedule.date);
+        document.querySelectorAll('#eventSchedule .schedule-weekday').forEach(checkbox => {
+            checkbox.checked = (schedule.weekdays || []).includes(checkbox.value);
+        });
+        set('eventScheduleMonthly', schedule.weekday ? 'weekday' : 'day');
+        set('eventScheduleDayOfMonth', schedule.dayOfMonth);
+        set('eventScheduleWeek', schedule.week === undefined ? 1 : schedule.week);
+        set('eventScheduleWeekday', schedule.weekday || 'monday');
+        set('eventStartTime', schedule.startTime);
+        set('eventEndTime', schedule.endTime);
+        set('eventScheduleStartDate', schedule.startDate);
+        set('eventScheduleEndDate', schedule.endDate);
+        set('eventScheduleExceptions', (schedule.exceptions || []).join(', '));
+
+        this.updateScheduleEditor();
+    }
+
+    // Keeps the Date/Time text in step with the schedule, in the wording the website has always shown
+    fillEventDateFromSchedule() {
+        this.updateScheduleEditor();
+
+        const schedule = this.readScheduleForm();
+        const complete = schedule && (schedule.date || (schedule.weekdays || []).length ||
+            schedule.dayOfMonth || schedule.weekday);
+        if (complete) {
+            document.getElementById('eventDate').value = EventSchedule.describeSchedule(schedule);
+        }
+    }
+
+    async deleteEvent(eventId) {
+        if (!confirm('Are you sure you want to delete this event?')) return;
+
+        try {
+            // Delete from server
+            const result = await this.deleteWithConflictCheck('events.json', 'events', eventId);
+            if (result.cancelled) return;
+            
+            if (result.success) {
                 this.showToast('Event deleted!');
                 this.renderEventsTable();
                 
@@ -643,69 +1526,1683 @@ class AdminPanel {
             }
             
         } catch (error) {
-            console.error('Error deleting event:', error);
-            this.showToast(`Failed to delete event: ${error.message}`, 'error');
+            console.error('Error deleting event:', error);
+            this.showToast(`Failed to delete event: ${error.message}`, 'error');
+        }
+    }
+
+    // Attendee counts for the events table
+    async loadRsvpSummary() {
+        try {
+            this.rsvpSummary = await this.api.getRsvpSummary();
+        } catch (error) {
+            console.error('Error loading RSVPs:', error);
+            return;
+        }
+        this.renderEventsTable();
+    }
+
+    rsvpCell(event) {
+        const summary = this.rsvpSummary[event.id];
+        if (!summary) return '-';
+
+        const going = summary.capacity === null ? `${summary.going} going` : `${summary.going}/${summary.capacity}`;
+        const waitlist = summary.waitlist ? ` <small>(+${summary.waitlist} waiting)</small>` : '';
+        return `
+            ${going}${waitlist}
+            <a class="btn-edit" href="/api/rsvps/export?eventId=${event.id}" download title="Download the attendee list">
+                <i class="fas fa-file-csv"></i>
+            </a>
+        `;
+    }
+
+    // ==================== ANNOUNCEMENTS ====================
+    renderAnnouncementsTable() {
+        const container = document.getElementById('announcementsTableContainer');
+        if (!container || !this.currentData.announcements) return;
+
+        const announcements = this.currentData.announcements.announcements;
+
+        let html = `
+            <div class="table-header">
+                <h4>Announcements (${announcements.length} total)</h4>
+                <div class="table-actions">
+                    <button class="btn-refresh" onclick="admin.refreshAnnouncementsData()">
+                        <i class="fas fa-sync-alt"></i> Refresh
+                    </button>
+                    <button class="btn-refresh" onclick="admin.openHistory('announcements.json')">
+                        <i class="fas fa-history"></i> History
+                    </button>
+                </div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Message</th>
+                        <th>Severity</th>
+                        <th>When</th>
+                        <th>Link</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        announcements.forEach(announcement => {
+            const link = announcement.link;
+            html += `
+                <tr>
+                    <td>${this.escapeHTML(announcement.message)}</td>
+                    <td>${(Announcements.SEVERITIES[announcement.severity] || {}).label || announcement.severity}</td>
+                    <td>${this.announcementWhenCell(announcement)}</td>
+                    <td>${link ? `${this.escapeHTML(link.label || 'Learn more')}<div class="cell-note">${this.escapeHTML(link.url)}</div>` : '-'}</td>
+                    <td class="action-buttons">
+                        <button class="btn-edit" onclick="admin.editAnnouncement(${announcement.id})">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                        <button class="btn-delete" onclick="admin.deleteAnnouncement(${announcement.id})">
+                            <i class="fas fa-trash"></i> Delete
+                        </button>
+                    </td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    // When an announcement shows and whether the website shows it right now
+    announcementWhenCell(announcement) {
+        const format = value => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        const dates = [
+            announcement.startsAt ? `from ${format(announcement.startsAt)}` : '',
+            announcement.endsAt ? `until ${format(announcement.endsAt)}` : ''
+        ].filter(Boolean).join(' ');
+        const note = {
+            scheduled: 'Not started, hidden on the website',
+            showing: 'Showing on the website',
+            expired: 'Over, hidden on the website'
+        }[Announcements.status(announcement)];
+
+        return `
+            ${dates || 'Until deleted'}
+            <div class="cell-note">${note}</div>
+        `;
+    }
+
+    // A stored date-time as the value of a datetime-local input, in this browser's time zone
+    toDateTimeValue(value) {
+        const date = new Date(value);
+        const time = [date.getHours(), date.getMinutes()].map(part => String(part).padStart(2, '0')).join(':');
+        return `${this.toDateValue(date)}T${time}`;
+    }
+
+    async saveAnnouncement() {
+        const form = document.getElementById('announcementForm');
+        if (!form) return;
+
+        // No id: new items get theirs from the server
+        const announcementData = {
+            message: document.getElementById('announcementMessage').value.trim(),
+            severity: document.getElementById('announcementSeverity').value
+        };
+        // Left out when empty: no dates means it shows until it's deleted
+        ['startsAt', 'endsAt'].forEach(field => {
+            const value = document.getElementById(FORM_FIELDS.announcementForm[field]).value;
+            if (value) announcementData[field] = new Date(value).toISOString();
+        });
+        const url = document.getElementById('announcementLinkUrl').value.trim();
+        const label = document.getElementById('announcementLinkLabel').value.trim();
+        if (url || label) {
+            announcementData.link = { url };
+            if (label) announcementData.link.label = label;
+        }
+        const id = this.editingAnnouncement ? this.editingAnnouncement.id : null;
+
+        if (!this.validateItemForm('announcementForm', 'announcements.json', 'announcements', announcementData, id)) return;
+
+        try {
+            const result = await this.saveItemWithConflictCheck('announcements.json', 'announcements', announcementData, id);
+            if (result.cancelled) return;
+
+            this.showToast(this.editingAnnouncement ? 'Announcement updated!' : 'Announcement added!');
+            this.resetAnnouncementForm();
+            this.renderAnnouncementsTable();
+
+            // Refresh main website data
+            this.refreshMainWebsite();
+
+        } catch (error) {
+            console.error('Error saving announcement:', error);
+            this.showToast(`Failed to save announcement: ${error.message}`, 'error');
+        }
+    }
+
+    editAnnouncement(announcementId) {
+        const announcement = this.currentData.announcements.announcements.find(a => a.id === announcementId);
+        if (!announcement) return;
+
+        this.editingAnnouncement = announcement;
+
+        document.getElementById('announcementMessage').value = announcement.message;
+        document.getElementById('announcementSeverity').value = announcement.severity;
+        ['startsAt', 'endsAt'].forEach(field => {
+            const value = announcement[field];
+            document.getElementById(FORM_FIELDS.announcementForm[field]).value = value ? this.toDateTimeValue(value) : '';
+        });
+        document.getElementById('announcementLinkUrl').value = announcement.link ? announcement.link.url : '';
+        document.getElementById('announcementLinkLabel').value = announcement.link ? announcement.link.label || '' : '';
+
+        const submitBtn = document.querySelector('#announcementForm .btn-save');
+        if (submitBtn) {
+            submitBtn.innerHTML = '<i class="fas fa-save"></i> Update Announcement';
+            submitBtn.style.backgroundColor = '#2196F3';
+        }
+
+        document.getElementById('announcementForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async deleteAnnouncement(announcementId) {
+        if (!confirm('Are you sure you want to delete this announcement?')) return;
+
+        try {
+            const result = await this.deleteWithConflictCheck('announcements.json', 'announcements', announcementId);
+            if (result.cancelled) return;
+
+            if (result.success) {
+                this.showToast('Announcement deleted!');
+                this.renderAnnouncementsTable();
+
+                // Refresh main website data
+                this.refreshMainWebsite();
+            } else {
+                throw new Error(result.error || 'Failed to delete announcement');
+            }
+
+        } catch (error) {
+            console.error('Error deleting announcement:', error);
+            this.showToast(`Failed to delete announcement: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== CONTACT MANAGEMENT ====================
+    loadContactForm() {
+        if (!this.currentData.contact) return;
+
+        const contact = this.currentData.contact;
+        
+        document.getElementById('contactAddress').value = contact.address;
+        document.getElementById('contactPhone').value = contact.phone;
+        document.getElementById('contactEmail').value = contact.email;
+        this.fillOpeningHours(contact.openingHours);
+        
+        document.getElementById('socialFacebook').value = contact.socialMedia.facebook;
+        document.getElementById('socialInstagram').value = contact.socialMedia.instagram;
+        document.getElementById('socialTwitter').value = contact.socialMedia.twitter;
+        document.getElementById('socialTripadvisor').value = contact.socialMedia.tripadvisor;
+    }
+
+    // Contact data saved before opening hours were structured starts from an empty week in this
+    // browser's time zone; saving replaces the old weekday and weekend text
+    fillOpeningHours(openingHours) {
+        const hours = openingHours || { timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, weekly: {} };
+
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        document.getElementById('timeZoneList').innerHTML = zones.map(zone => `<option value="${zone}">`).join('');
+        document.getElementById('contactTimeZone').value = hours.timeZone;
+
+        WEEKDAYS.forEach(day => {
+            document.getElementById(this.dayInput('hours', day)).value = this.formatShifts(hours.weekly[day]);
+        });
+
+        document.getElementById('contactClosures').innerHTML = '';
+        (hours.closures || []).forEach(closure => this.addClosureRow(closure));
+        document.getElementById('contactSpecialHours').innerHTML = '';
+        (hours.specialHours || []).forEach(change => this.addSpecialHoursRow(change));
+    }
+
+    addClosureRow(closure = null) {
+        const list = document.getElementById('contactClosures');
+        if (!list) return;
+
+        const row = document.createElement('div');
+        row.className = 'hours-row';
+        row.innerHTML = `
+            <input type="date" class="form-control closure-date" title="First day" value="${closure ? closure.date : ''}">
+            <input type="date" class="form-control closure-end" title="Last day (leave empty for one day)" value="${closure && closure.endDate ? closure.endDate : ''}">
+            <input type="text" class="form-control closure-reason" placeholder="Reason, e.g. Christmas Day" maxlength="100"
+                value="${closure && closure.reason ? this.escapeHTML(closure.reason) : ''}">
+            <button type="button" class="btn-delete" onclick="this.parentElement.remove()" title="Remove closure">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        list.appendChild(row);
+    }
+
+    addSpecialHoursRow(change = null) {
+        const list = document.getElementById('contactSpecialHours');
+        if (!list) return;
+
+        const row = document.createElement('div');
+        row.className = 'hours-row';
+        row.innerHTML = `
+            <input type="date" class="form-control special-hours-date" value="${change ? change.date : ''}">
+            <input type="text" class="form-control special-hours-shifts" placeholder="e.g. 07:00-16:00"
+                value="${change ? this.formatShifts(change.hours) : ''}">
+            <input type="text" class="form-control special-hours-reason" placeholder="Reason, e.g. Christmas Eve" maxlength="100"
+                value="${change && change.reason ? this.escapeHTML(change.reason) : ''}">
+            <button type="button" class="btn-delete" onclick="this.parentElement.remove()" title="Remove special hours">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        list.appendChild(row);
+    }
+
+    // Reads the opening hours from the form, or returns null after marking the input that can't be read
+    readOpeningHours() {
+        const weekly = {};
+        for (const day of WEEKDAYS) {
+            const shifts = this.readShiftsInput(document.getElementById(this.dayInput('hours', day)));
+            if (!shifts) return null;
+            weekly[day] = shifts;
+        }
+
+        const closures = [...document.querySelectorAll('#contactClosures .hours-row')].map(row => {
+            const closure = { date: row.querySelector('.closure-date').value };
+            const endDate = row.querySelector('.closure-end').value;
+            const reason = row.querySelector('.closure-reason').value.trim();
+            if (endDate) closure.endDate = endDate;
+            if (reason) closure.reason = reason;
+            return closure;
+        });
+
+        const specialHours = [];
+        for (const row of document.querySelectorAll('#contactSpecialHours .hours-row')) {
+            const hours = this.readShiftsInput(row.querySelector('.special-hours-shifts'));
+            if (!hours) return null;
+            const change = { date: row.querySelector('.special-hours-date').value, hours };
+            const reason = row.querySelector('.special-hours-reason').value.trim();
+            if (reason) change.reason = reason;
+            specialHours.push(change);
+        }
+
+        return {
+            timeZone: document.getElementById('contactTimeZone').value.trim(),
+            weekly,
+            closures,
+            specialHours
+        };
+    }
+
+    async saveContact() {
+        this.clearFieldErrors('contactForm');
+        const openingHours = this.readOpeningHours();
+        if (!openingHours) return;
+
+        const contactData = {
+            address: document.getElementById('contactAddress').value.trim(),
+            phone: document.getElementById('contactPhone').value.trim(),
+            email: document.getElementById('contactEmail').value.trim(),
+            openingHours,
+            socialMedia: {
+                facebook: document.getElementById('socialFacebook').value.trim(),
+                instagram: document.getElementById('socialInstagram').value.trim(),
+                twitter: document.getElementById('socialTwitter').value.trim(),
+                tripadvisor: document.getElementById('socialTripadvisor').value.trim()
+            }
+        };
+
+        // Validation
+        if (!this.validateForm('contactForm', 'contact.json', contactData)) return;
+
+        try {
+            this.currentData.contact = contactData;
+            const result = await this.saveWithConflictCheck('contact.json', this.currentData.contact);
+            if (result.cancelled) return;
+            
+            if (result.success) {
+                this.showToast('Contact information updated!');
+                
+                // Refresh main website data
+                this.refreshMainWebsite();
+            } else {
+                throw new Error(result.error || 'Failed to save contact information');
+            }
+            
+        } catch (error) {
+            console.error('Error saving contact:', error);
+            this.showToast(`Failed to save contact information: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== BACKUPS ====================
+    async loadBackups() {
+        if (!this.hasPermission('backup')) return;
+
+        try {
+            const result = await this.api.getBackups();
+            this.renderBackupSchedule(result.schedule);
+            this.renderBackupsTable(result.backups);
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            this.showToast(`Failed to load backups: ${error.message}`, 'error');
+        }
+    }
+
+    renderBackupSchedule(schedule) {
+        const container = document.getElementById('backupScheduleInfo');
+        if (!container) return;
+
+        if (!schedule.enabled) {
+            container.innerHTML = '<i class="fas fa-pause-circle"></i> Automatic backups are turned off (set BACKUP_INTERVAL_HOURS on the server to enable them).';
+            return;
+        }
+
+        const keep = [];
+        if (schedule.retentionCount > 0) keep.push(`the latest ${schedule.retentionCount}`);
+        if (schedule.retentionDays > 0) keep.push(`those from the last ${schedule.retentionDays} day(s)`);
+
+        container.innerHTML = `
+            <p><i class="fas fa-clock"></i> Automatic backup every ${schedule.intervalHours} hour(s).
+                Next: <strong>${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'pending'}</strong></p>
+            <p><i class="fas fa-broom"></i> Keeping ${keep.length ? keep.join(' and ') : 'all'} automatic backups. Manual backups are never removed automatically.</p>
+        `;
+    }
+
+    renderBackupsTable(backups) {
+        const container = document.getElementById('backupsTableContainer');
+        if (!container) return;
+
+        // Restoring and deleting backups are both left to the owner
+        const canRestore = this.hasPermission('backup-restore');
+        
+        let html = `
+            <div class="table-header">
+                <h4>Backups (${backups.length} total)</h4>
+                <div class="table-actions">
+                    <button class="btn-refresh" onclick="admin.loadBackups()">
+                        <i class="fas fa-sync-alt"></i> Refresh
+                    </button>
+                </div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Created</th>
+                        <th>Type</th>
+                        <th>By</th>
+                        <th>Files</th>
+                        <th>Size</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        backups.forEach(backup => {
+            html += `
+                <tr>
+                    <td><strong>${new Date(backup.createdAt).toLocaleString()}</strong></td>
+                    <td><span class="item-category">${backup.type}</span></td>
+                    <td>${backup.author ? this.escapeHTML(backup.author) : '-'}</td>
+                    <td>${backup.files.join(', ')}</td>
+                    <td>${(backup.size / 1024).toFixed(1)} KB</td>
+                    <td class="action-buttons">
+                        <a class="btn-edit" href="/api/backups/${backup.id}/download" style="text-decoration: none;">
+                            <i class="fas fa-download"></i> Download
+                        </a>
+                        ${canRestore ? `
+                            <button class="btn-edit" onclick="admin.restoreBackup('${backup.id}')">
+                                <i class="fas fa-undo"></i> Restore
+                            </button>
+                        ` : ''}
+                        ${canRestore ? `
+                            <button class="btn-delete" onclick="admin.deleteBackup('${backup.id}')">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    async createBackup() {
+        try {
+            await this.api.createBackup();
+            this.showToast('Backup created!');
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            this.showToast(`Failed to create backup: ${error.message}`, 'error');
+        }
+    }
+
+    async restoreBackup(id) {
+        if (!confirm('Restore all data files from this backup? The current data is backed up first.')) return;
+
+        try {
+            const result = await this.api.restoreBackup(id);
+            this.showToast(result.message);
+
+            this.api.clearCache();
+            await this.loadAllData();
+            this.refreshMainWebsite();
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showToast(`Failed to restore backup: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteBackup(id) {
+        if (!confirm('Are you sure you want to delete this backup?')) return;
+
+        try {
+            await this.api.deleteBackup(id);
+            this.showToast('Backup deleted!');
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Error deleting backup:', error);
+            this.showToast(`Failed to delete backup: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== USER MANAGEMENT ====================
+    async loadUsers() {
+        if (!this.hasPermission('users')) return;
+
+        try {
+            this.users = await this.api.getUsers();
+            this.renderUsersTable();
+        } catch (error) {
+            console.error('Error loading users:', error);
+            this.showToast(`Failed to load users: ${error.message}`, 'error');
+        }
+    }
+
+    renderUsersTable() {
+        const container = document.getElementById('usersTableContainer');
+        if (!container || !this.users) return;
+
+        const roles = ['owner', 'manager', 'staff'];
+        const currentUsername = this.session ? this.session.user.username : null;
+        
+        let html = `
+            <div class="table-header">
+                <h4>Users (${this.users.length} total)</h4>
+                <div class="table-actions">
+                    <button class="btn-refresh" onclick="admin.loadUsers()">
+                        <i class="fas fa-sync-alt"></i> Refresh
+                    </button>
+                </div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Username</th>
+                        <th>Role</th>
+                        <th>Status</th>
+                        <th>Last Login</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        this.users.forEach(user => {
+            const isSelf = user.username === currentUsername;
+            const status = user.disabled ? 'disabled' : (user.pending ? 'pending' : 'active');
+            
+            html += `
+                <tr>
+                    <td><strong>${user.username}</strong>${isSelf ? ' (you)' : ''}</td>
+                    <td>
+                        <select class="role-select" onchange="admin.changeUserRole('${user.username}', this.value)" ${isSelf ? 'disabled' : ''}>
+                            ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td><span class="user-status ${status}">${status}</span></td>
+                    <td>${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</td>
+                    <td class="action-buttons">
+                        ${user.pending && !user.disabled ? `
+                            <button class="btn-edit" onclick="admin.renewInvite('${user.username}')">
+                                <i class="fas fa-link"></i> New Link
+                            </button>
+                        ` : ''}
+                        ${isSelf ? '' : `
+                            <button class="${user.disabled ? 'btn-edit' : 'btn-delete'}" onclick="admin.toggleUserDisabled('${user.username}', ${!user.disabled})">
+                                <i class="fas ${user.disabled ? 'fa-user-check' : 'fa-user-slash'}"></i> ${user.disabled ? 'Enable' : 'Disable'}
+                            </button>
+                        `}
+                    </td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    async inviteUser() {
+        const username = document.getElementById('inviteUsername').value.trim();
+        const role = document.getElementById('inviteRole').value;
+
+        if (!username || !role) {
+            this.showToast('Please fill all required fields', 'error');
+            return;
+        }
+
+        try {
+            const result = await this.api.inviteUser(username, role);
+            this.showInviteLink(result.inviteToken);
+            document.getElementById('inviteForm').reset();
+            this.showToast(`Invite created for ${result.user.username}`);
+            await this.loadUsers();
+        } catch (error) {
+            console.error('Error inviting user:', error);
+            this.showToast(`Failed to invite user: ${error.message}`, 'error');
+        }
+    }
+
+    async renewInvite(username) {
+        try {
+            const result = await this.api.renewInvite(username);
+            this.showInviteLink(result.inviteToken);
+            this.showToast(`New invite link created for ${username}`);
+        } catch (error) {
+            console.error('Error renewing invite:', error);
+            this.showToast(`Failed to renew invite: ${error.message}`, 'error');
+        }
+    }
+
+    showInviteLink(token) {
+        const box = document.getElementById('inviteLinkBox');
+        const input = document.getElementById('inviteLink');
+        if (!box || !input) return;
+
+        input.value = `${window.location.origin}/login.html?invite=${encodeURIComponent(token)}`;
+        box.classList.add('active');
+        input.select();
+    }
+
+    async changeUserRole(username, role) {
+        try {
+            await this.api.updateUser(username, { role });
+            this.showToast(`${username} is now ${role}`);
+        } catch (error) {
+            console.error('Error changing role:', error);
+            this.showToast(`Failed to change role: ${error.message}`, 'error');
+        }
+        await this.loadUsers();
+    }
+
+    async toggleUserDisabled(username, disabled) {
+        if (disabled && !confirm(`Disable ${username}? They will be logged out immediately.`)) return;
+
+        try {
+            await this.api.updateUser(username, { disabled });
+            this.showToast(disabled ? `${username} disabled` : `${username} enabled`);
+        } catch (error) {
+            console.error('Error updating user:', error);
+            this.showToast(`Failed to update user: ${error.message}`, 'error');
+        }
+        await this.loadUsers();
+    }
+
+    // ==================== KITCHEN BOARD ====================
+    // Orders arrive over Server-Sent Events from /api/orders/stream. The browser reconnects by
+    // itself and the server starts every connection with the whole board, so nothing is missed.
+    connectOrders() {
+        if (!this.session || !this.hasPermission('orders') || this.orderStream) return;
+
+        const stream = new EventSource('/api/orders/stream');
+        this.orderStream = stream;
+
+        stream.addEventListener('board', (event) => {
+            const board = JSON.parse(event.data);
+            this.orders = new Map(board.orders.map(order => [order.id, order]));
+            this.setOrdersConnection(true);
+            this.renderOrderBoard();
+        });
+
+        stream.addEventListener('order', (event) => {
+            const change = JSON.parse(event.data);
+            this.orders.set(change.order.id, change.order);
+            if (change.type === 'created') this.alertNewOrder(change.order);
+            this.renderOrderBoard();
+        });
+
+        stream.onerror = () => this.setOrdersConnection(false);
+
+        // Timers on the cards tick once a second without re-rendering the board
+        this.orderTimer = setInterval(() => this.updateOrderTimers(), 1000);
+    }
+
+    setOrdersConnection(live) {
+        const label = document.getElementById('ordersConnection');
+        if (!label) return;
+        label.textContent = live ? 'Live' : 'Reconnecting...';
+        label.classList.toggle('live', live);
+    }
+
+    renderOrderBoard() {
+        const board = document.getElementById('orderBoard');
+        if (!board) return;
+
+        const orders = [...this.orders.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        board.innerHTML = ORDER_COLUMNS.map(column => {
+            const cards = orders.filter(order => column.statuses.includes(order.status));
+            return `
+                <div class="order-column">
+                    <h4>${column.title} (${cards.length})</h4>
+                    ${cards.map(order => this.orderCard(order)).join('') ||
+                        '<p style="color: var(--text-gray);">No orders</p>'}
+                </div>
+            `;
+        }).join('');
+
+        this.updateOrderTimers();
+        this.updateOrdersBadge();
+    }
+
+    orderCard(order) {
+        const finished = order.status === 'collected' || order.status === 'cancelled';
+        const where = order.type === 'dine-in'
+            ? `Dine-in${order.table ? ` · Table ${this.escapeHTML(order.table)}` : ''}`
+            : `Pickup${order.pickupTime ? ` at ${this.escapeHTML(order.pickupTime)}` : ''}`;
+        const actions = (ORDER_ACTIONS[order.status] || []).map(action => `
+            <button class="${action.style}" onclick="admin.setOrderStatus(${order.id}, '${action.status}')">
+                ${action.label}
+            </button>
+        `).join('');
+
+        return `
+            <div class="order-card${finished ? ' finished' : ''}${this.newOrders.has(order.id) ? ' order-new' : ''}">
+                <div class="order-card-header">
+                    <strong>#${order.id} ${this.escapeHTML(order.customer.name)}</strong>
+                    ${finished
+                        ? `<span class="order-meta">${order.status}</span>`
+                        : `<span class="order-timer" data-since="${order.createdAt}"></span>`}
+                </div>
+                <div class="order-meta">${where} · ${order.source}${order.customer.phone ? ` · ${this.escapeHTML(order.customer.phone)}` : ''}</div>
+                <ul>
+                    ${order.items.map(line => `
+                        <li>
+                            ${line.quantity} × ${this.escapeHTML(line.name)}
+                            ${line.choices ? `<div class="order-meta">${this.escapeHTML(MenuOptions.describeChoices(line.choices))}</div>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                ${order.notes ? `<div class="order-notes">${this.escapeHTML(order.notes)}</div>` : ''}
+                <div class="order-meta">$${order.total.toFixed(2)}</div>
+                <div class="order-actions">${actions}</div>
+            </div>
+        `;
+    }
+
+    // Minutes since the order came in; orange after 10 minutes, red after 20
+    updateOrderTimers() {
+        document.querySelectorAll('.order-timer[data-since]').forEach(timer => {
+            const seconds = Math.max(0, Math.floor((Date.now() - new Date(timer.dataset.since).getTime()) / 1000));
+            const minutes = Math.floor(seconds / 60);
+            timer.textContent = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+            timer.classList.toggle('warning', minutes >= 10 && minutes < 20);
+            timer.classList.toggle('late', minutes >= 20);
+        });
+    }
+
+    // Number of orders nobody has started on, in the nav and the page title
+    updateOrdersBadge() {
+        const waiting = [...this.orders.values()].filter(order => order.status === 'received').length;
+        const badge = document.getElementById('ordersBadge');
+        if (badge) {
+            badge.textContent = waiting;
+            badge.classList.toggle('active', waiting > 0);
+        }
+        document.title = waiting > 0 ? `(${waiting}) ${this.pageTitle}` : this.pageTitle;
+    }
+
+    alertNewOrder(order) {
+        this.newOrders.add(order.id);
+        setTimeout(() => this.newOrders.delete(order.id), 6000);
+
+        this.showToast(`New order #${order.id} from ${order.customer.name}`, 'warning');
+        if (this.orderSound) this.playOrderChime();
+    }
+
+    // A short two-note chime, so no sound file is needed
+    playOrderChime() {
+        try {
+            const context = this.audioContext || (this.audioContext = new AudioContext());
+            [880, 1320].forEach((frequency, index) => {
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                const start = context.currentTime + index * 0.2;
+
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.3, start);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+                oscillator.connect(gain).connect(context.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.4);
+            });
+        } catch (error) {
+            console.error('Could not play the order sound:', error);
+        }
+    }
+
+    // Browsers only allow sound after the user has interacted with the page, hence a toggle
+    toggleOrderSound() {
+        this.orderSound = !this.orderSound;
+        localStorage.setItem('admin_order_sound', this.orderSound ? 'on' : 'off');
+        this.updateOrderSoundButton();
+        if (this.orderSound) this.playOrderChime();
+    }
+
+    updateOrderSoundButton() {
+        const button = document.getElementById('orderSoundBtn');
+        if (!button) return;
+        button.innerHTML = this.orderSound
+            ? '<i class="fas fa-volume-up"></i> Sound On'
+            : '<i class="fas fa-volume-mute"></i> Sound Off';
+    }
+
+    async setOrderStatus(id, status) {
+        if (status === 'cancelled' && !confirm(`Cancel order #${id}?`)) return;
+
+        try {
+            const order = await this.api.updateOrderStatus(id, status);
+            // The stream sends the same change; applying it here keeps the board snappy
+            this.orders.set(order.id, order);
+            this.renderOrderBoard();
+        } catch (error) {
+            console.error('Error updating order:', error);
+            this.showToast(`Failed to update order: ${error.message}`, 'error');
+            if (error.order) {
+                this.orders.set(error.order.id, error.order);
+                this.renderOrderBoard();
+            }
+        }
+    }
+
+    // ==================== PHONE / COUNTER ORDERS ====================
+    toggleStaffOrderForm() {
+        const form = document.getElementById('staffOrderForm');
+        if (!form) return;
+
+        const open = form.classList.toggle('active');
+        if (open) {
+            this.renderStaffOrderItems();
+            this.renderStaffOrderLines();
+        }
+    }
+
+    renderStaffOrderItems() {
+        const select = document.getElementById('staffOrderItem');
+        const menu = this.currentData.menu;
+        if (!select || !menu) return;
+
+        select.innerHTML = (menu.categories || []).map(category => {
+            const items = (menu.items || []).filter(item => item.category === category);
+            if (items.length === 0) return '';
+            return `
+                <optgroup label="${this.escapeHTML(category)}">
+                    ${items.map(item => `<option value="${item.id}">${this.escapeHTML(item.name)} - $${Number(item.price).toFixed(2)}</option>`).join('')}
+                </optgroup>
+            `;
+        }).join('');
+        this.renderStaffOrderOptions();
+    }
+
+    // Sizes and add-ons for the item picked to add, starting on the first of each required choice
+    renderStaffOrderOptions() {
+        const container = document.getElementById('staffOrderOptions');
+        const item = this.staffOrderItem();
+        if (!container) return;
+        if (!item || !item.optionGroups) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const selected = MenuOptions.defaultSelections(item);
+        container.innerHTML = item.optionGroups.map(group => `
+            <div class="schedule-weekdays" data-group="${group.id}">
+                <strong>${this.escapeHTML(group.name)}</strong>
+                ${group.options.map(option => `
+                    <label>
+                        <input type="checkbox" value="${option.id}"${(selected[group.id] || []).includes(option.id) ? ' checked' : ''}>
+                        ${this.escapeHTML(option.name)}${option.priceDelta ? ` (${option.priceDelta > 0 ? '+' : '-'}$${Math.abs(option.priceDelta).toFixed(2)})` : ''}
+                    </label>
+                `).join('')}
+                <span class="cell-note">${group.min ? 'required, ' : ''}${MenuOptions.describeLimits(group)}</span>
+            </div>
+        `).join('');
+    }
+
+    staffOrderItem() {
+        const id = parseInt(document.getElementById('staffOrderItem').value, 10);
+        return ((this.currentData.menu && this.currentData.menu.items) || []).find(item => item.id === id) || null;
+    }
+
+    readStaffOrderOptions() {
+        const options = {};
+        document.querySelectorAll('#staffOrderOptions [data-group]').forEach(group => {
+            const picked = [...group.querySelectorAll('input:checked')].map(input => input.value);
+            if (picked.length) options[group.dataset.group] = picked;
+        });
+        return options;
+    }
+
+    addStaffOrderLine() {
+        const item = this.staffOrderItem();
+        const quantityInput = document.getElementById('staffOrderQuantity');
+        const quantity = parseInt(quantityInput.value, 10);
+        if (!item || !(quantity >= 1)) return;
+
+        const options = this.readStaffOrderOptions();
+        const problems = MenuOptions.priceWithOptions(item, options).problems;
+        if (problems.length) {
+            this.showToast(problems.join('; '), 'error');
+            return;
+        }
+
+        // The same item with the same options adds to its line
+        const key = MenuOptions.selectionKey(item.id, options);
+        const line = this.staffOrderLines.find(existing => MenuOptions.selectionKey(existing.id, existing.options) === key);
+        if (line) {
+            line.quantity += quantity;
+        } else {
+            this.staffOrderLines.push(Object.keys(options).length ? { id: item.id, quantity, options } : { id: item.id, quantity });
+        }
+        quantityInput.value = 1;
+        this.renderStaffOrderOptions();
+        this.renderStaffOrderLines();
+    }
+
+    removeStaffOrderLine(index) {
+        this.staffOrderLines.splice(index, 1);
+        this.renderStaffOrderLines();
+    }
+
+    renderStaffOrderLines() {
+        const container = document.getElementById('staffOrderLines');
+        if (!container) return;
+
+        const items = (this.currentData.menu && this.currentData.menu.items) || [];
+        if (this.staffOrderLines.length === 0) {
+            container.innerHTML = 'No items yet.';
+            return;
+        }
+
+        let total = 0;
+        container.innerHTML = this.staffOrderLines.map((line, index) => {
+            const item = items.find(menuItem => menuItem.id === line.id);
+            const priced = item ? MenuOptions.priceWithOptions(item, line.options) : null;
+            const price = priced ? priced.price * line.quantity : 0;
+            total += price;
+            const choices = priced && priced.choices.length ? ` (${this.escapeHTML(MenuOptions.describeChoices(priced.choices))})` : '';
+            return `
+                <div class="staff-order-line">
+                    <span>${line.quantity} × ${item ? this.escapeHTML(item.name) : `Item ${line.id}`}${choices}</span>
+                    <span>
+                        $${price.toFixed(2)}
+                        <button type="button" class="btn-delete" onclick="admin.removeStaffOrderLine(${index})">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>
+                </div>
+            `;
+        }).join('') + `<div class="staff-order-line"><strong>Total</strong><strong>$${total.toFixed(2)}</strong></div>`;
+    }
+
+    async saveStaffOrder() {
+        const type = document.getElementById('staffOrderType').value;
+        const name = document.getElementById('staffOrderName').value.trim();
+        const phone = document.getElementById('staffOrderPhone').value.trim();
+        const tableOrTime = document.getElementById('staffOrderTable').value.trim();
+        const notes = document.getElementById('staffOrderNotes').value.trim();
+
+        if (!name || this.staffOrderLines.length === 0) {
+            this.showToast('Please enter a name and add at least one item', 'error');
+            return;
+        }
+
+        const order = {
+            source: document.getElementById('staffOrderSource').value,
+            type,
+            customer: phone ? { name, phone } : { name },
+            items: this.staffOrderLines
+        };
+        if (notes) order.notes = notes;
+        if (tableOrTime && type === 'dine-in') order.table = tableOrTime;
+        if (tableOrTime && type === 'pickup') order.pickupTime = tableOrTime;
+
+        try {
+            const created = await this.api.createStaffOrder(order);
+            this.showToast(`Order #${created.id} sent to the kitchen`);
+
+            this.staffOrderLines = [];
+            document.getElementById('staffOrderForm').reset();
+            this.toggleStaffOrderForm();
+        } catch (error) {
+            console.error('Error adding order:', error);
+            this.showToast(`Failed to add order: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== RESERVATIONS ====================
+    // The time on the cafe's clock, which the website goes by for specials, event times and
+    // bookings. The browser's own time if the opening hours don't say where the cafe is.
+    cafeNow() {
+        const contact = this.currentData.contact;
+        return contact && contact.openingHours
+            ? OpeningHours.cafeDate(contact.openingHours.timeZone)
+            : new Date();
+    }
+
+    // "YYYY-MM-DD" in local time, as date inputs and the reservations API use
+    toDateValue(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    addDays(dateValue, days) {
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return this.toDateValue(new Date(year, month - 1, day + days));
+    }
+
+    // Shows a day and the week (Monday to Sunday) around it; null means today
+    showReservationsFor(dateValue) {
+        this.reservationsDate = dateValue || this.toDateValue(this.cafeNow());
+        this.loadReservations();
+    }
+
+    shiftReservationsDate(days) {
+        this.showReservationsFor(this.addDays(this.reservationsDate || this.toDateValue(this.cafeNow()), days));
+    }
+
+    async loadReservations() {
+        if (!this.hasPermission('reservations')) return;
+
+        const date = this.reservationsDate || this.toDateValue(this.cafeNow());
+        this.reservationsDate = date;
+        const mondayOffset = (new Date(`${date}T00:00:00`).getDay() + 6) % 7;
+        const weekStart = this.addDays(date, -mondayOffset);
+
+        try {
+            this.reservations = await this.api.getReservations(weekStart, this.addDays(weekStart, 6));
+            this.reservationsWeekStart = weekStart;
+            this.renderReservations();
+        } catch (error) {
+            console.error('Error loading reservations:', error);
+            this.showToast(`Failed to load reservations: ${error.message}`, 'error');
+        }
+    }
+
+    renderReservations() {
+        const dateInput = document.getElementById('reservationsDate');
+        const week = document.getElementById('reservationsWeek');
+        const container = document.getElementById('reservationsTableContainer');
+        if (!week || !container || !this.reservationsWeekStart) return;
+
+        if (dateInput) dateInput.value = this.reservationsDate;
+
+        // One button per day with the number of guests expected
+        week.innerHTML = Array.from({ length: 7 }, (_, index) => {
+            const day = this.addDays(this.reservationsWeekStart, index);
+            const bookings = this.reservations.filter(reservation => reservation.date === day && reservation.status !== 'cancelled');
+            const guests = bookings.reduce((sum, reservation) => sum + reservation.partySize, 0);
+            const label = new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+            return `
+                <button type="button" class="reservations-day${day === this.reservationsDate ? ' selected' : ''}" onclick="admin.showReservationsFor('${day}')">
+                    ${label}
+                    <small>${bookings.length ? `${bookings.length} booking${bookings.length === 1 ? '' : 's'}, ${guests} guests` : 'No bookings'}</small>
+                </button>
+            `;
+        }).join('');
+
+        const status = document.getElementById('reservationsStatus').value;
+        const list = this.reservations.filter(reservation =>
+            reservation.date === this.reservationsDate && (!status || reservation.status === status));
+
+        if (list.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-gray);">No reservations for this day.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>Guests</th>
+                        <th>Name</th>
+                        <th>Table</th>
+                        <th>Notes</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${list.map(reservation => `
+                        <tr>
+                            <td><strong>${reservation.time}</strong>-${reservation.endTime}</td>
+                            <td>${reservation.partySize}</td>
+                            <td>
+                                ${this.escapeHTML(reservation.customer.name)}<br>
+                                <small>${this.escapeHTML(reservation.customer.phone)}${reservation.customer.email ? `, ${this.escapeHTML(reservation.customer.email)}` : ''}</small>
+                            </td>
+                            <td>${this.escapeHTML(reservation.table.name)}</td>
+                            <td>${this.escapeHTML(reservation.notes || '-')}</td>
+                            <td><span class="reservation-status ${reservation.status}">${reservation.status}</span></td>
+                            <td class="action-buttons">
+                                ${(RESERVATION_ACTIONS[reservation.status] || []).map(action => `
+                                    <button class="${action.style}" onclick="admin.setReservationStatus(${reservation.id}, '${action.status}')">
+                                        <i class="fas ${action.icon}"></i> ${action.label}
+                                    </button>
+                                `).join('')}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async setReservationStatus(id, status) {
+        if (status === 'cancelled' && !confirm(`Cancel reservation #${id}? The table becomes free again.`)) return;
+
+        try {
+            await this.api.updateReservationStatus(id, status);
+            this.showToast(`Reservation #${id} ${status}`);
+        } catch (error) {
+            console.error('Error updating reservation:', error);
+            this.showToast(`Failed to update reservation: ${error.message}`, 'error');
+        }
+        await this.loadReservations();
+    }
+
+    // ==================== TABLES & BOOKING RULES ====================
+    loadTablesForm() {
+        const card = document.getElementById('tablesCard');
+        if (card) card.style.display = this.hasPermission('tables.json') ? '' : 'none';
+
+        const settings = this.currentData.tables;
+        if (!settings || !card) return;
+
+        document.getElementById('tablesList').innerHTML = '';
+        settings.tables.forEach(table => this.addTableRow(table));
+
+        WEEKDAYS.forEach(day => {
+            document.getElementById(this.dayInput('seating', day)).value = this.formatShifts(settings.seatingHours[day]);
+        });
+
+        document.getElementById('tablesSlotMinutes').value = settings.slotMinutes;
+        document.getElementById('tablesDurationMinutes').value = settings.durationMinutes;
+        document.getElementById('tablesMaxPartySize').value = settings.maxPartySize;
+        document.getElementById('tablesBookingDaysAhead').value = settings.bookingDaysAhead;
+    }
+
+    // 'seating', 'monday' -> 'seatingMonday'
+    dayInput(prefix, day) {
+        return `${prefix}${day.charAt(0).toUpperCase()}${day.slice(1)}`;
+    }
+
+    // [{ open: '12:00', close: '15:00' }, ...] -> "12:00-15:00, 18:00-22:00"
+    formatShifts(shifts) {
+        return (shifts || []).map(shift => `${shift.open}-${shift.close}`).join(', ');
+    }
+
+    // "12:00-15:00, 18:00-22:00" -> [{ open: '12:00', close: '15:00' }, ...], or null after marking
+    // the input when it can't be read
+    readShiftsInput(input) {
+        const text = input.value.trim();
+        const shifts = text ? text.split(',').map(part => part.trim().match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/)) : [];
+
+        if (shifts.some(match => !match)) {
+            if (input.id) {
+                this.showFieldError(input.id, 'Use opening-closing times like 07:00-23:00');
+            } else {
+                input.classList.add('input-error');
+                this.showToast('Use opening-closing times like 07:00-23:00', 'error');
+            }
+            input.focus();
+            return null;
+        }
+        return shifts.map(match => ({ open: match[1].padStart(5, '0'), close: match[2].padStart(5, '0') }));
+    }
+
+    // A new table gets the next free id. Ids never change, because reservations refer to them.
+    addTableRow(table = null) {
+        const list = document.getElementById('tablesList');
+        if (!list) return;
+
+        const ids = [...list.querySelectorAll('.table-row')].map(row => parseInt(row.dataset.id));
+        const id = table ? table.id : Math.max(0, ...ids) + 1;
+
+        const row = document.createElement('div');
+        row.className = 'table-row';
+        row.dataset.id = id;
+        row.innerHTML = `
+            <input type="text" class="form-control table-name" placeholder="Table name" maxlength="50"
+                value="${table ? this.escapeHTML(table.name) : `Table ${id}`}">
+            <input type="number" class="form-control table-seats" min="1" max="50" placeholder="Seats"
+                value="${table ? table.seats : 2}">
+            <button type="button" class="btn-delete" onclick="this.parentElement.remove()" title="Remove table">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        list.appendChild(row);
+    }
+
+    async saveTables() {
+        this.clearFieldErrors('tablesForm');
+
+        const seatingHours = {};
+        for (const day of WEEKDAYS) {
+            const shifts = this.readShiftsInput(document.getElementById(this.dayInput('seating', day)));
+            if (!shifts) return;
+            seatingHours[day] = shifts;
+        }
+
+        const settings = {
+            tables: [...document.querySelectorAll('#tablesList .table-row')].map(row => ({
+                id: parseInt(row.dataset.id),
+                name: row.querySelector('.table-name').value.trim(),
+                seats: parseInt(row.querySelector('.table-seats').value)
+            })),
+            seatingHours,
+            slotMinutes: parseInt(document.getElementById('tablesSlotMinutes').value),
+            durationMinutes: parseInt(document.getElementById('tablesDurationMinutes').value),
+            maxPartySize: parseInt(document.getElementById('tablesMaxPartySize').value),
+            bookingDaysAhead: parseInt(document.getElementById('tablesBookingDaysAhead').value)
+        };
+
+        if (!this.validateForm('tablesForm', 'tables.json', settings)) return;
+
+        try {
+            const result = await this.saveWithConflictCheck('tables.json', settings);
+            if (result.cancelled) return;
+
+            if (result.success) {
+                this.showToast('Tables and booking rules saved!');
+            } else {
+                throw new Error(result.error || 'Failed to save tables');
+            }
+        } catch (error) {
+            console.error('Error saving tables:', error);
+            this.showToast(`Failed to save tables: ${error.message}`, 'error');
+        }
+    }
+
+    // ==================== MEDIA LIBRARY ====================
+    async openMediaPicker(inputId) {
+        const modal = document.getElementById('mediaModal');
+        if (!modal) return;
+
+        this.mediaTarget = inputId;
+        modal.classList.add('active');
+        await this.loadMedia();
+    }
+
+    closeMediaPicker() {
+        const modal = document.getElementById('mediaModal');
+        if (modal) modal.classList.remove('active');
+        this.mediaTarget = null;
+    }
+
+    async loadMedia() {
+        const grid = document.getElementById('mediaGrid');
+        try {
+            this.media = await this.api.getMedia();
+            this.renderMediaGrid();
+        } catch (error) {
+            console.error('Error loading media:', error);
+            if (grid) grid.innerHTML = `<p style="color: var(--error-red);">Failed to load images: ${this.escapeHTML(error.message)}</p>`;
+        }
+    }
+
+    renderMediaGrid() {
+        const grid = document.getElementById('mediaGrid');
+        if (!grid) return;
+
+        if (this.media.length === 0) {
+            grid.innerHTML = '<p style="color: var(--text-gray);">No images yet. Upload one to get started.</p>';
+            return;
+        }
+
+        grid.innerHTML = this.media.map((image, index) => `
+            <button type="button" class="media-tile" onclick="admin.pickMedia(${index})" title="${this.escapeHTML(image.path)}">
+                <img src="${this.escapeHTML(image.thumbnail)}" alt="" loading="lazy">
+                <span class="media-name">${this.escapeHTML(image.name)}</span>
+                <span class="media-usage">${image.usedBy.length ? `Used by ${image.usedBy.length}` : 'Unused'}</span>
+            </button>
+        `).join('');
+    }
+
+    pickMedia(index) {
+        const image = this.media[index];
+        const input = this.mediaTarget && document.getElementById(this.mediaTarget);
+        if (!image || !input) return;
+
+        input.value = image.path;
+        this.updateImagePreview(this.mediaTarget);
+        this.closeMediaPicker();
+    }
+
+    async uploadMedia(file) {
+        try {
+            const result = await this.api.uploadMedia(file);
+            this.showToast(`Uploaded ${result.image.name}`);
+            await this.loadMedia();
+
+            // The image just uploaded is almost always the one wanted
+            this.pickMedia(this.media.findIndex(image => image.name === result.image.name));
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            this.showToast(`Failed to upload image: ${error.message}`, 'error');
+        }
+    }
+
+    updateImagePreview(inputId) {
+        const input = document.getElementById(inputId);
+        const preview = document.getElementById(`${inputId}Preview`);
+        if (!input || !preview) return;
+
+        const path = input.value.trim();
+        if (!path) {
+            preview.classList.remove('active');
+            return;
+        }
+        preview.onload = () => preview.classList.add('active');
+        preview.onerror = () => preview.classList.remove('active');
+        preview.src = path;
+    }
+
+    // Menu items and events whose image file doesn't exist, flagged in their tables
+    async loadMissingImages() {
+        try {
+            this.missingImages = await this.api.getMissingImages();
+        } catch (error) {
+            console.error('Error checking images:', error);
+            return;
+        }
+
+        this.renderMenuTable();
+        this.renderEventsTable();
+    }
+
+    imageCell(filename, record) {
+        const name = this.escapeHTML(record.image.split('/').pop());
+        const missing = this.missingImages.some(entry => entry.filename === filename && entry.id === record.id);
+        if (!missing) return name;
+        return `<span class="missing-image" title="Image not found: ${this.escapeHTML(record.image)}"><i class="fas fa-exclamation-triangle"></i> ${name}</span>`;
+    }
+
+    // ==================== SAVE CONFLICTS ====================
+    setBaseData(filename, data) {
+        this.baseData[filename] = data ? JSON.parse(JSON.stringify(data)) : null;
+    }
+
+    // Saves a whole file. If someone else saved it after we loaded it, the server answers 409 with
+    // its copy and the user chooses to merge, overwrite or discard instead of silently losing their work.
+    // `base` is { data, version } of the copy the change was made from (defaults to the last loaded copy).
+    // Resolves to the save result plus the saved `data`, or { cancelled: true } when nothing was saved.
+    async saveWithConflictCheck(filename, data, base = null) {
+        const dataKey = filename.replace('.json', '');
+        let baseData = base ? base.data : this.baseData[filename];
+        let result = await this.api.saveData(filename, data, base ? base.version : undefined);
+
+        while (result.conflict) {
+            const merge = mergeChanges(baseData, data, result.currentData);
+            const choice = await this.showConflictDialog(filename, merge);
+            if (choice === 'cancel') return { success: false, cancelled: true };
+
+            // Whatever happens next is based on the server's copy
+            this.api.setVersion(filename, result.currentVersion);
+            this.setBaseData(filename, result.currentData);
+            baseData = result.currentData;
+
+            if (choice === 'theirs') {
+                if (dataKey in this.currentData) {
+                    this.currentData[dataKey] = result.currentData;
+                    this.refreshSectionData(dataKey);
+                }
+                this.showToast('Loaded the latest version. Your changes were discarded.', 'warning');
+                return { success: false, cancelled: true, discarded: true };
+            }
+
+            data = choice === 'merge' ? merge.data : data;
+            result = await this.api.saveData(filename, data);
+        }
+
+        if (result.success) {
+            this.setBaseData(filename, data);
+            if (dataKey in this.currentData) {
+                this.currentData[dataKey] = data;
+            }
+        }
+        return { ...result, data };
+    }
+
+    // Creates an item (id null; the server assigns the id) or replaces one through the item resources.
+    // If someone else saved the file in the meantime the write is retried on their copy; the user is only
+    // asked when they changed this same item. Resolves to the result with the saved `item`, or { cancelled: true }.
+    async saveItemWithConflictCheck(filename, itemsKey, fields, id = null) {
+        const dataKey = filename.replace('.json', '');
+        const write = (values) => id === null
+            ? this.api.createItem(filename, values)
+            : this.api.updateItem(filename, id, values);
+        let result;
+
+        try {
+            result = await write(fields);
+        } catch (error) {
+            if (!error.conflict) throw error;
+
+            const theirs = error.currentData;
+            const base = this.baseData[filename] || theirs;
+            this.api.setVersion(filename, error.currentVersion);
+            this.setBaseData(filename, theirs);
+            this.currentData[dataKey] = theirs;
+
+            let values = fields;
+            if (id !== null) {
+                const findItem = (data) => (data[itemsKey] || []).find(item => item.id === id);
+                if (!findItem(theirs)) {
+                    this.refreshSectionData(dataKey);
+                    throw new Error('Someone else deleted this item');
+                }
+
+                if (!deepEqual(findItem(base), findItem(theirs))) {
+                    const mine = {
+                        ...base,
+                        [itemsKey]: base[itemsKey].map(item => item.id === id ? { id, ...fields } : item)
+                    };
+                    const merge = mergeChanges(base, mine, theirs);
+                    const choice = await this.showConflictDialog(filename, merge);
+                    if (choice === 'cancel' || choice === 'theirs') {
+                        this.refreshSectionData(dataKey);
+                        if (choice === 'theirs') {
+                            this.showToast('Loaded the latest version. Your changes were discarded.', 'warning');
+                        }
+                        return { success: false, cancelled: true, discarded: choice === 'theirs' };
+                    }
+                    if (choice === 'merge') {
+                        const { id: mergedId, ...merged } = findItem(merge.data);
+                        values = merged;
+                    }
+                }
+            }
+
+            result = await write(values);
+        }
+
+        const items = this.currentData[dataKey][itemsKey];
+        const index = items.findIndex(item => item.id === result.item.id);
+        if (index === -1) {
+            items.push(result.item);
+        } else {
+            items[index] = result.item;
+        }
+        this.setBaseData(filename, this.currentData[dataKey]);
+        return result;
+    }
+
+    // Deletes one item. On a conflict the deletion is retried against the latest copy, after asking
+    // the user when someone else edited that same item in the meantime.
+    async deleteWithConflictCheck(filename, itemsKey, id) {
+        const dataKey = filename.replace('.json', '');
+        let result;
+
+        try {
+            result = await this.api.deleteItem(filename, id);
+        } catch (error) {
+            if (!error.conflict) throw error;
+
+            const theirs = error.currentData;
+            this.api.setVersion(filename, error.currentVersion);
+
+            const base = this.baseData[filename] || theirs;
+            const mine = { ...base, [itemsKey]: (base[itemsKey] || []).filter(item => item.id !== id) };
+            const merge = mergeChanges(base, mine, theirs);
+            const stillExists = (theirs[itemsKey] || []).some(item => item.id === id);
+
+            if (stillExists && merge.conflicts.length > 0) {
+                const choice = await this.showConflictDialog(filename, merge);
+                if (choice === 'cancel' || choice === 'theirs') {
+                    this.setBaseData(filename, theirs);
+                    this.currentData[dataKey] = theirs;
+                    this.refreshSectionData(dataKey);
+                    return { success: false, cancelled: true };
+                }
+            }
+
+            this.setBaseData(filename, theirs);
+            this.currentData[dataKey] = theirs;
+            result = stillExists ? await this.api.deleteItem(filename, id) : { success: true };
+        }
+
+        if (result.success) {
+            const current = this.currentData[dataKey];
+            current[itemsKey] = current[itemsKey].filter(item => item.id !== id);
+            this.setBaseData(filename, current);
+        }
+        return result;
+    }
+
+    // Shows the conflict dialog and resolves to 'merge', 'mine', 'theirs' or 'cancel'
+    showConflictDialog(filename, merge) {
+        const modal = document.getElementById('conflictModal');
+        if (!modal) {
+            const overwrite = confirm(`${filename} was changed by someone else. Overwrite their changes with yours?`);
+            return Promise.resolve(overwrite ? 'mine' : 'cancel');
+        }
+
+        const formatValue = (value) => value === undefined ? '(deleted)' : this.escapeHTML(JSON.stringify(value));
+
+        document.getElementById('conflictFilename').textContent = filename;
+        document.getElementById('conflictSummary').textContent = merge.conflicts.length === 0
+            ? 'Your changes and theirs touch different things and can be merged safely.'
+            : `You and they both changed ${merge.conflicts.length} value(s). Merging isn't possible; choose which version to keep.`;
+        document.getElementById('conflictList').innerHTML = merge.conflicts.map(conflict => `
+            <div class="diff-row replace">
+                <div class="diff-path" style="grid-column: 1 / -1;">${this.escapeHTML(conflict.path || filename)}</div>
+                <div>
+                    <div class="conflict-label">Mine</div>
+                    <div class="diff-new">${formatValue(conflict.mine)}</div>
+                </div>
+                <div>
+                    <div class="conflict-label">Theirs</div>
+                    <div class="diff-old" style="text-decoration: none;">${formatValue(conflict.theirs)}</div>
+                </div>
+            </div>
+        `).join('');
+        document.getElementById('conflictMergeBtn').disabled = merge.conflicts.length > 0;
+
+        modal.classList.add('active');
+        return new Promise(resolve => {
+            this.conflictResolver = resolve;
+        });
+    }
+
+    resolveConflict(choice) {
+        const modal = document.getElementById('conflictModal');
+        if (modal) modal.classList.remove('active');
+
+        const resolve = this.conflictResolver;
+        this.conflictResolver = null;
+        if (resolve) resolve(choice);
+    }
+
+    // ==================== REVISION HISTORY ====================
+    async openHistory(filename) {
+        const modal = document.getElementById('historyModal');
+        if (!modal) return;
+
+        this.historyFilename = filename;
+        document.getElementById('historyFilename').textContent = filename;
+        document.getElementById('historyDiff').innerHTML = '';
+        modal.classList.add('active');
+
+        await this.loadHistory();
+    }
+
+    closeHistory() {
+        const modal = document.getElementById('historyModal');
+        if (modal) modal.classList.remove('active');
+        this.historyFilename = null;
+    }
+
+    async loadHistory() {
+        const container = document.getElementById('historyList');
+        const filename = this.historyFilename;
+        if (!container || !filename) return;
+
+        try {
+            const revisions = await this.api.getRevisions(filename);
+            const canRestore = this.hasPermission(filename);
+
+            if (revisions.length === 0) {
+                container.innerHTML = '<p style="color: var(--text-gray); margin-top: 15px;">No revisions yet. Revisions are recorded on every save.</p>';
+                return;
+            }
+
+            const latest = revisions[0].revision;
+            
+            container.innerHTML = `
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>#</th>
+                            <th>When</th>
+                            <th>Who</th>
+                            <th>Action</th>
+                            <th>Changes</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${revisions.map(rev => `
+                            <tr>
+                                <td><input type="checkbox" class="history-select" value="${rev.revision}"></td>
+                                <td><strong>${rev.revision}</strong>${rev.revision === latest ? ' (current)' : ''}</td>
+                                <td>${new Date(rev.timestamp).toLocaleString()}</td>
+                                <td>${this.escapeHTML(rev.author)}</td>
+                                <td>${rev.action}${rev.restoredFrom ? ` #${rev.restoredFrom}` : ''}</td>
+                                <td>+${rev.summary.added} / -${rev.summary.removed} / ~${rev.summary.changed}</td>
+                                <td class="action-buttons">
+                                    ${rev.revision > 1 ? `
+                                        <button class="btn-edit" onclick="admin.showRevisionDiff(${rev.revision - 1}, ${rev.revision})">
+                                            <i class="fas fa-eye"></i> View
+                                        </button>
+                                    ` : ''}
+                                    ${canRestore && rev.revision !== latest ? `
+                                        <button class="btn-delete" onclick="admin.restoreRevision(${rev.revision})">
+                                            <i class="fas fa-undo"></i> Restore
+                                        </button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading history:', error);
+            container.innerHTML = `<p style="color: var(--error-red);">Failed to load history: ${this.escapeHTML(error.message)}</p>`;
         }
     }
 
-    // ==================== CONTACT MANAGEMENT ====================
-    loadContactForm() {
-        if (!this.currentData.contact) return;
+    async showRevisionDiff(from, to) {
+        const container = document.getElementById('historyDiff');
+        if (!container) return;
 
-        const contact = this.currentData.contact;
-        
-        document.getElementById('contactAddress').value = contact.address;
-        document.getElementById('contactPhone').value = contact.phone;
-        document.getElementById('contactEmail').value = contact.email;
-        document.getElementById('contactWeekdays').value = contact.workingHours.weekdays;
-        document.getElementById('contactWeekends').value = contact.workingHours.weekends;
-        
-        document.getElementById('socialFacebook').value = contact.socialMedia.facebook;
-        document.getElementById('socialInstagram').value = contact.socialMedia.instagram;
-        document.getElementById('socialTwitter').value = contact.socialMedia.twitter;
-        document.getElementById('socialTripadvisor').value = contact.socialMedia.tripadvisor;
+        try {
+            const result = await this.api.getRevisionDiff(this.historyFilename, from, to);
+            
+            if (result.diff.length === 0) {
+                container.innerHTML = `<h4 style="color: var(--accent-beige);">Revision ${from} → ${to}</h4>
+                    <p style="color: var(--text-gray);">No differences.</p>`;
+                return;
+            }
+
+            const formatValue = (value) => this.escapeHTML(JSON.stringify(value));
+            
+            container.innerHTML = `
+                <h4 style="color: var(--accent-beige); margin-bottom: 10px;">Revision ${from} → ${to}</h4>
+                ${result.diff.map(change => `
+                    <div class="diff-row ${change.op}">
+                        <span>${change.op}</span>
+                        <div>
+                            <div class="diff-path">${this.escapeHTML(change.path || '/')}</div>
+                            ${change.oldValue !== undefined ? `<div class="diff-old">${formatValue(change.oldValue)}</div>` : ''}
+                            ${change.value !== undefined ? `<div class="diff-new">${formatValue(change.value)}</div>` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            `;
+            container.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Error loading diff:', error);
+            this.showToast(`Failed to load changes: ${error.message}`, 'error');
+        }
     }
 
-    async saveContact() {
-        const contactData = {
-            address: document.getElementById('contactAddress').value.trim(),
-            phone: document.getElementById('contactPhone').value.trim(),
-            email: document.getElementById('contactEmail').value.trim(),
-            workingHours: {
-                weekdays: document.getElementById('contactWeekdays').value.trim(),
-                weekends: document.getElementById('contactWeekends').value.trim()
-            },
-            socialMedia: {
-                facebook: document.getElementById('socialFacebook').value.trim(),
-                instagram: document.getElementById('socialInstagram').value.trim(),
-                twitter: document.getElementById('socialTwitter').value.trim(),
-                tripadvisor: document.getElementById('socialTripadvisor').value.trim()
-            }
-        };
+    compareSelectedRevisions() {
+        const selected = Array.from(document.querySelectorAll('.history-select:checked'))
+            .map(input => parseInt(input.value))
+            .sort((a, b) => a - b);
 
-        // Validation
-        if (!contactData.address || !contactData.phone || !contactData.email || 
-            !contactData.workingHours.weekdays || !contactData.workingHours.weekends) {
-            this.showToast('Please fill all required fields', 'error');
+        if (selected.length !== 2) {
+            this.showToast('Select exactly two revisions to compare', 'warning');
             return;
         }
 
+        this.showRevisionDiff(selected[0], selected[1]);
+    }
+
+    async restoreRevision(revision) {
+        const filename = this.historyFilename;
+        if (!confirm(`Restore ${filename} to revision ${revision}? The current version stays in the history.`)) return;
+
         try {
-            this.currentData.contact = contactData;
-            const result = await this.api.saveData('contact.json', this.currentData.contact);
-            
-            if (result.success) {
-                this.showToast('Contact information updated!');
-                
-                // Refresh main website data
-                this.refreshMainWebsite();
-            } else {
-                throw new Error(result.error || 'Failed to save contact information');
+            const result = await this.api.restoreRevision(filename, revision);
+
+            this.setBaseData(filename, result.data);
+            const dataKey = filename.replace('.json', '');
+            if (dataKey in this.currentData) {
+                this.currentData[dataKey] = result.data;
+                this.refreshSectionData(dataKey);
             }
-            
+
+            this.showToast(result.draft ? `Restored revision ${revision} as a draft` : `Restored revision ${revision}`);
+            this.refreshMainWebsite();
+            await this.loadHistory();
         } catch (error) {
-            console.error('Error saving contact:', error);
-            this.showToast(`Failed to save contact information: ${error.message}`, 'error');
+            console.error('Error restoring revision:', error);
+            this.showToast(`Failed to restore revision: ${error.message}`, 'error');
         }
     }
 
@@ -722,6 +3219,8 @@ class AdminPanel {
         try {
             const data = await this.api.fetchData(filename);
             if (data) {
+                // The editor keeps its own base and version, since the forms may save the same file meanwhile
+                this.jsonEditorState = { filename, data, version: this.api.getVersion(filename) };
                 jsonEditor.value = JSON.stringify(data, null, 2);
                 jsonStatus.innerHTML = `<span style="color: var(--success-green);">
                     <i class="fas fa-check-circle"></i> Loaded ${filename} successfully
@@ -747,24 +3246,28 @@ class AdminPanel {
         try {
             const jsonData = JSON.parse(jsonEditor.value);
             
-            // Validate JSON structure
-            const validationError = this.validateJSON(filename, jsonData);
-            if (validationError) {
-                jsonStatus.innerHTML = `<span style="color: var(--error-red);">
-                    <i class="fas fa-exclamation-circle"></i> ${validationError}
-                </span>`;
+            // Validate against the file's schema
+            const validation = this.validateDocument(filename, jsonData);
+            if (!validation.valid) {
+                this.renderJSONErrors(filename, validation.errors);
                 return;
             }
             
             // Save to server
-            const result = await this.api.saveData(filename, jsonData);
+            const dataKey = filename.replace('.json', '');
+            const editorState = this.jsonEditorState && this.jsonEditorState.filename === filename
+                ? this.jsonEditorState
+                : null;
+            const result = await this.saveWithConflictCheck(filename, jsonData, editorState);
+            if (result.cancelled) {
+                if (result.discarded) await this.loadSelectedJSON();
+                return;
+            }
             
             if (result.success) {
-                // Update current data
-                const dataKey = filename.replace('.json', '');
-                if (this.currentData[dataKey]) {
-                    this.currentData[dataKey] = jsonData;
-                }
+                // Show what was actually saved (it differs from the editor after a merge)
+                this.jsonEditorState = { filename, data: result.data, version: result.version };
+                jsonEditor.value = JSON.stringify(result.data, null, 2);
                 
                 jsonStatus.innerHTML = `<span style="color: var(--success-green);">
                     <i class="fas fa-check-circle"></i> Saved ${filename} successfully
@@ -777,6 +3280,8 @@ class AdminPanel {
                 
                 // Refresh main website data
                 this.refreshMainWebsite();
+            } else if (result.errors) {
+                this.renderJSONErrors(filename, result.errors);
             } else {
                 throw new Error(result.error || 'Failed to save JSON');
             }
@@ -789,36 +3294,113 @@ class AdminPanel {
         }
     }
 
-    validateJSON(filename, data) {
-        switch(filename) {
-            case 'menu.json':
-                if (!data.categories || !Array.isArray(data.categories)) {
-                    return 'Menu data must have a categories array';
-                }
-                if (!data.items || !Array.isArray(data.items)) {
-                    return 'Menu data must have an items array';
-                }
-                break;
-            case 'specials.json':
-                if (!data.specials || !Array.isArray(data.specials)) {
-                    return 'Specials data must have a specials array';
-                }
-                break;
-            case 'events.json':
-                if (!data.events || !Array.isArray(data.events)) {
-                    return 'Events data must have an events array';
-                }
-                break;
-            case 'contact.json':
-                if (!data.address || !data.phone || !data.email || 
-                    !data.workingHours || !data.socialMedia) {
-                    return 'Contact data is incomplete';
-                }
-                break;
-            default:
-                return null;
+    renderJSONErrors(filename, errors) {
+        const jsonStatus = document.getElementById('jsonStatus');
+        if (!jsonStatus) return;
+
+        jsonStatus.innerHTML = `
+            <span style="color: var(--error-red);">
+                <i class="fas fa-exclamation-circle"></i> ${errors.length} problem(s) in ${filename}:
+            </span>
+            <ul class="validation-errors">
+                ${errors.map(error => `
+                    <li><code>${this.escapeHTML(error.path || '(document)')}</code> ${this.escapeHTML(error.message)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // ==================== VALIDATION ====================
+    async loadSchemas() {
+        try {
+            this.schemas = await this.api.getSchemas();
+        } catch (error) {
+            // The server still validates every save
+            console.error('Error loading schemas:', error);
+        }
+    }
+
+    // Checks data against the file's schema. Returns { valid, errors: [{ path, message }] }.
+    validateDocument(filename, data) {
+        const schema = this.schemas[filename];
+        if (!schema || typeof SchemaValidator === 'undefined') return { valid: true, errors: [] };
+
+        const result = SchemaValidator.validate(schema, data);
+        if (!result.valid || !DATA_RULES[filename]) return result;
+
+        const errors = DATA_RULES[filename](data);
+        return { valid: errors.length === 0, errors };
+    }
+
+    // Validates the whole file as it would be saved and shows each error next to its input.
+    // `itemPath` is where the form's object sits in the file, e.g. 'items[3]' ('' when the form edits the whole file).
+    validateForm(formId, filename, document, itemPath = '') {
+        this.clearFieldErrors(formId);
+
+        const result = this.validateDocument(filename, document);
+        if (result.valid) return true;
+
+        const fields = FORM_FIELDS[formId] || {};
+        const prefix = itemPath ? `${itemPath}.` : '';
+        const otherErrors = [];
+        let firstInput = null;
+
+        result.errors.forEach(error => {
+            const inputId = error.path.startsWith(prefix) ? fields[error.path.slice(prefix.length)] : null;
+            const input = inputId && this.showFieldError(inputId, error.message);
+            if (input) {
+                firstInput = firstInput || input;
+            } else {
+                otherErrors.push(error);
+            }
+        });
+
+        if (otherErrors.length) {
+            this.showToast(`Can't save: ${SchemaValidator.summarizeErrors(otherErrors)}`, 'error');
+        } else {
+            this.showToast('Please fix the highlighted fields', 'error');
+        }
+        if (firstInput) firstInput.focus();
+        return false;
+    }
+
+    // Validates the file as it would be after saving one item from a form. A new item has no id yet
+    // (the server assigns it), so it is checked with a placeholder id that no other item uses.
+    validateItemForm(formId, filename, itemsKey, fields, id = null) {
+        const data = this.currentData[filename.replace('.json', '')];
+        const items = data[itemsKey];
+        const editIndex = id === null ? -1 : items.findIndex(item => item.id === id);
+        const index = editIndex !== -1 ? editIndex : items.length;
+        const placeholderId = items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+        const candidate = { ...data, [itemsKey]: [...items] };
+        candidate[itemsKey][index] = { id: id === null ? placeholderId : id, ...fields };
+        return this.validateForm(formId, filename, candidate, `${itemsKey}[${index}]`);
+    }
+
+    showFieldError(inputId, message) {
+        const input = document.getElementById(inputId);
+        if (!input) return null;
+
+        const group = input.closest('.form-group') || input.parentElement;
+        let note = group.querySelector('.field-error');
+        if (!note) {
+            note = document.createElement('div');
+            note.className = 'field-error';
+            group.appendChild(note);
         }
-        return null;
+
+        input.classList.add('input-error');
+        note.textContent = note.textContent ? `${note.textContent}; ${message}` : message;
+        return input;
+    }
+
+    clearFieldErrors(formId) {
+        const form = document.getElementById(formId);
+        if (!form) return;
+
+        form.querySelectorAll('.input-error').forEach(input => input.classList.remove('input-error'));
+        form.querySelectorAll('.field-error').forEach(note => note.remove());
     }
 
     // ==================== HELPER METHODS ====================
@@ -830,34 +3412,358 @@ class AdminPanel {
         });
     }
 
-    refreshSpecialsData() {
-        this.api.clearCache();
-        this.loadDataIndividually().then(() => {
-            this.renderSpecialsTable();
-            this.showToast('Specials data refreshed!');
-        });
+    refreshSpecialsData() {
+        this.api.clearCache();
+        this.loadDataIndividually().then(() => {
+            this.renderSpecialsTable();
+            this.showToast('Specials data refreshed!');
+        });
+    }
+
+    refreshEventsData() {
+        this.api.clearCache();
+        this.loadDataIndividually().then(() => {
+            this.renderEventsTable();
+            this.showToast('Events data refreshed!');
+        });
+    }
+
+    refreshAnnouncementsData() {
+        this.api.clearCache();
+        this.loadDataIndividually().then(() => {
+            this.renderAnnouncementsTable();
+            this.showToast('Announcements refreshed!');
+        });
+    }
+
+    refreshMainWebsite() {
+        // Content changes wait as drafts until they're published, so show what is now pending
+        this.api.clearCache();
+        if (this.session) this.loadDrafts();
+    }
+
+    // ==================== DRAFTS ====================
+    async loadDrafts() {
+        try {
+            this.drafts = await this.api.getDrafts();
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+            return;
+        }
+        this.renderDraftBar();
+    }
+
+    renderDraftBar() {
+        const bar = document.getElementById('draftBar');
+        if (!bar) return;
+
+        bar.style.display = this.drafts.length ? '' : 'none';
+        if (!this.drafts.length) return;
+
+        const labels = this.drafts.map(draft => DRAFT_LABELS[draft.filename] || draft.filename);
+        const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+        const canPublish = this.hasPermission('publish');
+        document.getElementById('draftSummary').textContent = canPublish
+            ? `Unpublished changes to the ${list}. The website shows them once you publish.`
+            : `Unpublished changes to the ${list}. The website shows them once a manager publishes.`;
+
+        bar.querySelectorAll('[data-permission="publish"]').forEach(button => {
+            button.style.display = canPublish ? '' : 'none';
+        });
+
+        document.getElementById('draftChanges').innerHTML = this.drafts.map(draft => `
+            <li>
+                <strong>${this.escapeHTML(DRAFT_LABELS[draft.filename] || draft.filename)}</strong>
+                <span class="cell-note">${this.describeChangeCounts(draft.summary)}</span>
+                <div class="draft-change-paths">${draft.changes.map(change => this.escapeHTML(change.path || '/')).join(', ')}</div>
+            </li>
+        `).join('');
+    }
+
+    // '2 added, 1 changed'
+    describeChangeCounts({ added, removed, changed }) {
+        return [
+            added && `${added} added`,
+            changed && `${changed} changed`,
+            removed && `${removed} removed`
+        ].filter(Boolean).join(', ');
+    }
+
+    toggleDraftChanges() {
+        document.getElementById('draftChanges').classList.toggle('open');
+    }
+
+    // Opens the website with the drafts applied, through a link that works without signing in
+    async previewDrafts() {
+        // Open the tab straight away, inside the click, so the browser doesn't block it as a pop-up
+        const preview = window.open('', '_blank');
+        try {
+            const { url } = await this.api.createPreviewLink();
+            if (preview) {
+                preview.location.href = url;
+            } else {
+                window.open(url, '_blank');
+            }
+        } catch (error) {
+            if (preview) preview.close();
+            console.error('Error creating preview link:', error);
+            this.showToast(`Failed to open the preview: ${error.message}`, 'error');
+        }
+    }
+
+    async publishDrafts() {
+        if (!confirm('Publish all unpublished changes to the website?')) return;
+
+        try {
+            const result = await this.api.publishDrafts();
+            this.showToast(result.message);
+            this.refreshMainWebsite();
+        } catch (error) {
+            console.error('Error publishing drafts:', error);
+            this.showToast(`Failed to publish: ${error.message}`, 'error');
+        }
+    }
+
+    async discardDrafts() {
+        if (!confirm('Discard all unpublished changes? The website keeps showing what is published now.')) return;
+
+        try {
+            const result = await this.api.discardDrafts();
+            this.showToast(result.message);
+            await this.reloadAfterDraftsChanged();
+        } catch (error) {
+            console.error('Error discarding drafts:', error);
+            this.showToast(`Failed to discard changes: ${error.message}`, 'error');
+        }
+    }
+
+    // The forms and tables show the drafts, so reload them once the drafts were replaced wholesale
+    async reloadAfterDraftsChanged() {
+        this.refreshMainWebsite();
+        await this.loadAllData();
+        await this.loadSelectedJSON();
+    }
+
+    // ==================== SCHEDULED PUBLISHING ====================
+    openSchedules() {
+        const button = document.querySelector('.admin-nav-btn[data-section="schedules"]');
+        if (button) button.click();
+        document.getElementById('scheduleTitle').focus();
+    }
+
+    async loadSchedules() {
+        if (!this.hasPermission('schedule')) return;
+
+        try {
+            this.schedules = await this.api.getSchedules();
+        } catch (error) {
+            console.error('Error loading scheduled changes:', error);
+            this.showToast(`Failed to load scheduled changes: ${error.message}`, 'error');
+            return;
+        }
+        this.renderSchedulesTable();
+        this.updateScheduleForm();
+    }
+
+    renderSchedulesTable() {
+        const container = document.getElementById('schedulesTableContainer');
+        if (!container) return;
+
+        const format = value => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        const canEditFiles = schedule => schedule.files.every(file => this.hasPermission(file.filename));
+
+        let html = `
+            <div class="table-header">
+                <h4>Scheduled Changes (${this.schedules.filter(schedule => schedule.status !== 'published').length} waiting)</h4>
+                <div class="table-actions">
+                    <button class="btn-refresh" onclick="admin.loadSchedules()">
+                        <i class="fas fa-sync-alt"></i> Refresh
+                    </button>
+                </div>
+            </div>
+        `;
+
+        if (!this.schedules.length) {
+            container.innerHTML = `${html}<p class="cell-note">Nothing scheduled. Make your changes, then schedule them from the bar at the top.</p>`;
+            return;
+        }
+
+        html += `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Goes live</th>
+                        <th>Changes</th>
+                        <th>Scheduled by</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        this.schedules.forEach(schedule => {
+            const files = schedule.files.map(file => `
+                <div>
+                    ${this.escapeHTML(DRAFT_LABELS[file.filename] || file.filename)}
+                    ${file.summary ? `<span class="cell-note">${this.describeChangeCounts(file.summary) || 'no changes left'}</span>` : ''}
+                    ${file.outdated ? '<div class="cell-warning">Changed since it was scheduled; it won\'t be published until it\'s brought up to date</div>' : ''}
+                </div>
+            `).join('');
+
+            const status = {
+                pending: '<div class="cell-note">Waiting</div>',
+                published: `<div class="cell-note">Published ${format(schedule.publishedAt)}</div>`,
+                failed: `<div class="cell-warning">${this.escapeHTML(schedule.error || 'Failed')}</div>`
+            }[schedule.status] || '';
+
+            const actions = schedule.status === 'published' ? '-' : `
+                <button class="btn-edit" onclick="admin.editSchedule(${schedule.id})">
+                    <i class="fas fa-edit"></i> Edit
+                </button>
+                ${canEditFiles(schedule) ? `
+                    <button class="btn-edit" onclick="admin.reopenSchedule(${schedule.id})">
+                        <i class="fas fa-pen"></i> Edit changes
+                    </button>
+                ` : ''}
+                ${canEditFiles(schedule) && schedule.status === 'pending' ? `
+                    <button class="btn-delete" onclick="admin.cancelSchedule(${schedule.id})">
+                        <i class="fas fa-times"></i> Cancel
+                    </button>
+                ` : ''}
+            `;
+
+            html += `
+                <tr>
+                    <td>${this.escapeHTML(schedule.title)}</td>
+                    <td>${format(schedule.publishAt)}${status}</td>
+                    <td>${files}</td>
+                    <td>${this.escapeHTML(schedule.updatedBy || schedule.createdBy)}</td>
+                    <td class="action-buttons">${actions}</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    // New changes can only be scheduled by someone who may publish; others only rename or move them
+    updateScheduleForm() {
+        const card = document.getElementById('scheduleFormCard');
+        if (card) card.style.display = this.editingSchedule || this.hasPermission('publish') ? '' : 'none';
+    }
+
+    async saveSchedule() {
+        const title = document.getElementById('scheduleTitle').value.trim();
+        const publishAt = document.getElementById('schedulePublishAt').value;
+
+        this.clearFieldErrors('scheduleForm');
+        const errors = [];
+        if (!title) errors.push(['scheduleTitle', 'must not be empty']);
+        if (!publishAt) {
+            errors.push(['schedulePublishAt', 'is required']);
+        } else if (new Date(publishAt).getTime() <= Date.now()) {
+            errors.push(['schedulePublishAt', 'must be in the future']);
+        }
+        if (errors.length) {
+            errors.forEach(([inputId, message]) => this.showFieldError(inputId, message));
+            this.showToast('Please fix the highlighted fields', 'error');
+            document.getElementById(errors[0][0]).focus();
+            return;
+        }
+
+        const request = { title, publishAt: new Date(publishAt).toISOString() };
+        try {
+            if (this.editingSchedule) {
+                await this.api.updateSchedule(this.editingSchedule.id, request);
+                this.showToast('Scheduled change updated!');
+            } else {
+                await this.api.createSchedule(request);
+                this.showToast(`Changes scheduled for ${new Date(publishAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`);
+                // The drafts moved into the schedule
+                await this.reloadAfterDraftsChanged();
+            }
+            this.resetScheduleForm();
+            await this.loadSchedules();
+        } catch (error) {
+            console.error('Error saving scheduled change:', error);
+            this.showToast(`Failed to schedule changes: ${error.message}`, 'error');
+        }
+    }
+
+    editSchedule(id) {
+        const schedule = this.schedules.find(candidate => candidate.id === id);
+        if (!schedule) return;
+
+        this.editingSchedule = schedule;
+        this.updateScheduleForm();
+
+        document.getElementById('scheduleTitle').value = schedule.title;
+        document.getElementById('schedulePublishAt').value = this.toDateTimeValue(schedule.publishAt);
+        // Only someone who may publish can move when it goes live
+        const canMove = this.hasPermission('publish');
+        document.getElementById('schedulePublishAt').disabled = !canMove;
+        document.getElementById('scheduleFormTitle').textContent = `Edit "${schedule.title}"`;
+        document.getElementById('scheduleHint').textContent = !canMove
+            ? 'Rename it. Use Edit changes to change what it publishes.'
+            : schedule.status === 'failed'
+                ? 'Fix what stopped it first (Edit changes), then pick a new time to try again.'
+                : 'Rename it or move it to another time. Use Edit changes to change what it publishes.';
+
+        const submitBtn = document.querySelector('#scheduleForm .btn-save');
+        if (submitBtn) {
+            submitBtn.innerHTML = '<i class="fas fa-save"></i> Update Schedule';
+            submitBtn.style.backgroundColor = '#2196F3';
+        }
+
+        document.getElementById('scheduleForm').scrollIntoView({ behavior: 'smooth' });
     }
 
-    refreshEventsData() {
-        this.api.clearCache();
-        this.loadDataIndividually().then(() => {
-            this.renderEventsTable();
-            this.showToast('Events data refreshed!');
-        });
+    async cancelSchedule(id) {
+        const schedule = this.schedules.find(candidate => candidate.id === id);
+        if (!schedule || !confirm(`Cancel "${schedule.title}"? It won't go live; its changes go back to the unpublished drafts.`)) return;
+
+        try {
+            await this.api.cancelSchedule(id);
+            this.showToast('Scheduled change cancelled. Its changes are back in the drafts.');
+            if (this.editingSchedule && this.editingSchedule.id === id) this.resetScheduleForm();
+            await this.reloadAfterDraftsChanged();
+            await this.loadSchedules();
+        } catch (error) {
+            console.error('Error cancelling scheduled change:', error);
+            this.showToast(`Failed to cancel: ${error.message}`, 'error');
+        }
     }
 
-    refreshMainWebsite() {
-        // In a real app, you might want to send a message to the main website
-        // or trigger a refresh. For now, we'll just clear the cache.
-        this.api.clearCache();
-        
-        // Optionally, you could open the main website in a new tab/window
-        // window.open('/', '_blank');
+    // Takes a change off the schedule and makes it the drafts again, to edit in the other sections
+    async reopenSchedule(id) {
+        const schedule = this.schedules.find(candidate => candidate.id === id);
+        if (!schedule || !confirm(`Take "${schedule.title}" off the schedule and turn it back into unpublished changes to edit?`)) return;
+
+        try {
+            await this.api.reopenSchedule(id);
+            this.showToast('Moved back to drafts. Schedule it again when you are done.');
+            if (this.editingSchedule && this.editingSchedule.id === id) this.resetScheduleForm();
+            await this.reloadAfterDraftsChanged();
+            await this.loadSchedules();
+        } catch (error) {
+            console.error('Error reopening scheduled change:', error);
+            this.showToast(`Failed to edit changes: ${error.message}`, 'error');
+        }
     }
 
     resetMenuForm() {
         const form = document.getElementById('menuForm');
         if (form) form.reset();
+        this.clearFieldErrors('menuForm');
+        this.updateImagePreview('itemImage');
+        this.updateAllergenInputs();
+        this.fillOptionGroups([]);
         
         this.editingItem = null;
         
@@ -871,6 +3777,9 @@ class AdminPanel {
     resetSpecialForm() {
         const form = document.getElementById('specialForm');
         if (form) form.reset();
+        this.clearFieldErrors('specialForm');
+        this.fillSpecialPicks([]);
+        this.updateSpecialMode();
         
         this.editingSpecial = null;
         
@@ -884,6 +3793,9 @@ class AdminPanel {
     resetEventForm() {
         const form = document.getElementById('eventForm');
         if (form) form.reset();
+        this.clearFieldErrors('eventForm');
+        this.updateImagePreview('eventImage');
+        this.updateScheduleEditor();
         
         this.editingEvent = null;
         
@@ -894,10 +3806,44 @@ class AdminPanel {
         }
     }
 
-    getNextId(items) {
-        if (!items || items.length === 0) return 1;
-        const maxId = Math.max(...items.map(item => item.id));
-        return maxId + 1;
+    resetAnnouncementForm() {
+        const form = document.getElementById('announcementForm');
+        if (form) form.reset();
+        this.clearFieldErrors('announcementForm');
+
+        this.editingAnnouncement = null;
+
+        const submitBtn = document.querySelector('#announcementForm .btn-save');
+        if (submitBtn) {
+            submitBtn.innerHTML = '<i class="fas fa-save"></i> Save Announcement';
+            submitBtn.style.backgroundColor = '';
+        }
+    }
+
+    resetScheduleForm() {
+        const form = document.getElementById('scheduleForm');
+        if (form) form.reset();
+        this.clearFieldErrors('scheduleForm');
+        document.getElementById('schedulePublishAt').disabled = false;
+
+        this.editingSchedule = null;
+        this.updateScheduleForm();
+
+        document.getElementById('scheduleFormTitle').textContent = 'Schedule Unpublished Changes';
+        document.getElementById('scheduleHint').textContent = 'All unpublished changes go live together at this time. '
+            + 'They leave the drafts, so you can keep making other changes meanwhile.';
+
+        const submitBtn = document.querySelector('#scheduleForm .btn-save');
+        if (submitBtn) {
+            submitBtn.innerHTML = '<i class="fas fa-clock"></i> Schedule Changes';
+            submitBtn.style.backgroundColor = '';
+        }
+    }
+
+    escapeHTML(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
     }
 
     showToast(message, type = 'success') {
@@ -956,6 +3902,14 @@ function resetEventForm() {
     if (admin) admin.resetEventForm();
 }
 
+function resetAnnouncementForm() {
+    if (admin) admin.resetAnnouncementForm();
+}
+
+function resetScheduleForm() {
+    if (admin) admin.resetScheduleForm();
+}
+
 function saveJSON() {
     if (admin) admin.saveJSON();
 }
@@ -964,67 +3918,577 @@ function loadSelectedJSON() {
     if (admin) admin.loadSelectedJSON();
 }
 
-// Initialize DataAPI class (copied from main script)
+function logout() {
+    if (admin) admin.api.logout();
+}
+
+function copyInviteLink() {
+    const input = document.getElementById('inviteLink');
+    if (!input) return;
+    input.select();
+    navigator.clipboard.writeText(input.value)
+        .then(() => admin.showToast('Invite link copied!'))
+        .catch(() => document.execCommand('copy'));
+}
+
+// ==================== MERGING ====================
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function cloneData(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasIds(value) {
+    return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+// Readable name for an item in conflict messages, e.g. "items › Espresso"
+function itemLabel(item) {
+    return item.name || item.title || `#${item.id}`;
+}
+
+// Three-way merge of JSON data: `base` is the copy both sides started from, `mine` the local edit and
+// `theirs` what is on the server now. Changes from both sides are combined; wherever both changed the
+// same value differently a conflict is recorded and the merged data keeps mine.
+// Returns { data, conflicts: [{ path, mine, theirs }] }.
+function mergeChanges(base, mine, theirs) {
+    const conflicts = [];
+    const data = mergeValue(base, mine, theirs, '', conflicts);
+    return { data, conflicts };
+}
+
+function mergeValue(base, mine, theirs, path, conflicts) {
+    if (deepEqual(mine, theirs)) return cloneData(mine);
+    if (deepEqual(base, mine)) return cloneData(theirs);
+    if (deepEqual(base, theirs)) return cloneData(mine);
+
+    if (hasIds(base) && hasIds(mine) && hasIds(theirs)) {
+        return mergeItems(base, mine, theirs, path, conflicts);
+    }
+
+    if (isPlainObject(base) && isPlainObject(mine) && isPlainObject(theirs)) {
+        const merged = {};
+        const keys = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+        keys.forEach(key => {
+            const value = mergeValue(base[key], mine[key], theirs[key], path ? `${path} › ${key}` : key, conflicts);
+            if (value !== undefined) merged[key] = value;
+        });
+        return merged;
+    }
+
+    conflicts.push({ path, mine, theirs });
+    return cloneData(mine);
+}
+
+// Merges arrays of items by id, so edits to different items never conflict
+function mergeItems(base, mine, theirs, path, conflicts) {
+    const byId = (items) => new Map(items.map(item => [item.id, item]));
+    const baseItems = byId(base);
+    const mineItems = byId(mine);
+    const theirItems = byId(theirs);
+    let nextId = Math.max(0, ...mine.map(item => item.id), ...theirs.map(item => item.id)) + 1;
+    const merged = [];
+
+    mine.forEach(item => {
+        const original = baseItems.get(item.id);
+        const other = theirItems.get(item.id);
+        const itemPath = `${path} › ${itemLabel(item)}`;
+
+        if (!original) {
+            // Both sides added an item with the same new id: keep both, renumbering ours
+            if (other && !deepEqual(item, other)) {
+                merged.push(cloneData(other));
+                merged.push({ ...cloneData(item), id: typeof item.id === 'number' ? nextId++ : `${item.id}-2` });
+            } else {
+                merged.push(cloneData(item));
+            }
+            return;
+        }
+
+        if (!other) {
+            // Deleted by them. Fine unless we edited it.
+            if (!deepEqual(item, original)) {
+                conflicts.push({ path: `${itemPath} (deleted by them)`, mine: item, theirs: undefined });
+                merged.push(cloneData(item));
+            }
+            return;
+        }
+
+        merged.push(mergeValue(original, item, other, itemPath, conflicts));
+    });
+
+    theirs.forEach(item => {
+        if (mineItems.has(item.id)) return;
+
+        const original = baseItems.get(item.id);
+        if (!original) {
+            // Added by them
+            merged.push(cloneData(item));
+        } else if (!deepEqual(item, original)) {
+            // Deleted by us but edited by them
+            conflicts.push({ path: `${path} › ${itemLabel(item)} (deleted by you)`, mine: undefined, theirs: item });
+        }
+    });
+
+    return merged;
+}
+
+// DataAPI for the admin panel (mirrors the main script, plus session handling)
 class DataAPI {
     constructor() {
-        this.basePath = 'data/';
+        this.basePath = '/api/data/';
         this.cache = new Map();
         this.cacheTime = 5 * 60 * 1000;
+        // Version (ETag) of each file as last seen, sent back as If-Match so stale writes are rejected
+        this.versions = new Map();
+    }
+
+    // fetch wrapper that sends the user back to the login screen when the session has expired
+    async request(url, options = {}) {
+        const response = await fetch(url, { credentials: 'same-origin', ...options });
+        if (response.status === 401) {
+            this.redirectToLogin(true);
+            throw new Error('Your session has expired');
+        }
+        return response;
+    }
+
+    redirectToLogin(expired = false) {
+        window.location.href = expired ? 'login.html?expired=1' : 'login.html';
+    }
+
+    // Returns the current session, or null when not logged in
+    async getSession() {
+        const response = await fetch('/api/auth/session', { credentials: 'same-origin' });
+        if (!response.ok) return null;
+
+        const result = await response.json();
+        return result.success ? result : null;
+    }
+
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+        window.location.href = 'login.html?loggedOut=1';
     }
 
     async fetchData(filename) {
-        // Try to get from localStorage first (for admin edits)
-        const localData = localStorage.getItem(`cafe_${filename}`);
-        if (localData) {
-            try {
-                return JSON.parse(localData);
-            } catch (error) {
-                console.error('Error parsing localStorage data:', error);
-            }
+        const cached = this.cache.get(filename);
+        if (cached && (Date.now() - cached.timestamp < this.cacheTime)) {
+            return cached.data;
         }
-        
-        // Fall back to actual file
+
         try {
-            const response = await fetch(`${this.basePath}${filename}`);
+            const response = await this.request(`${this.basePath}${filename}?draft`);
             if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            
-            return await response.json();
+
+            const result = await response.json();
+            if (!result.success) throw new Error(`API error: ${result.error}`);
+
+            this.cache.set(filename, { data: result.data, timestamp: Date.now() });
+            this.setVersion(filename, result.version);
+            return result.data;
         } catch (error) {
             console.error(`Error fetching ${filename}:`, error);
             return null;
         }
     }
-}
 
-document.addEventListener('DOMContentLoaded', () => {
-    admin = new AdminPanel();
-    
-    // Set up JSON file selector
-    const jsonFileSelect = document.getElementById('jsonFileSelect');
-    if (jsonFileSelect) {
-        jsonFileSelect.addEventListener('change', () => {
-            admin.loadSelectedJSON();
+    getVersion(filename) {
+        return this.versions.get(filename) || null;
+    }
+
+    setVersion(filename, version) {
+        if (version) this.versions.set(filename, version);
+    }
+
+    // Headers for a write, including If-Match when we know which version the change is based on
+    writeHeaders(filename, headers = {}, version = this.getVersion(filename)) {
+        return version ? { ...headers, 'If-Match': `"${version}"` } : headers;
+    }
+
+    // Resolves to { success: true, version, ... } or { success: false, error }.
+    // When someone else saved the file first it resolves to { success: false, conflict: true, currentData, currentVersion }.
+    // `version` defaults to the version last seen for the file.
+    async saveData(filename, data, version = this.getVersion(filename)) {
+        try {
+            const response = await this.request(`${this.basePath}${filename}`, {
+                method: 'POST',
+                headers: this.writeHeaders(filename, {
+                    'Content-Type': 'application/json',
+                }, version),
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+            if (response.status === 409 && result.conflict) {
+                this.cache.delete(filename);
+                return result;
+            }
+            if (!result.success) {
+                // Validation failures come with field-level `errors`
+                console.error(`Error saving ${filename}:`, result.error);
+                return result;
+            }
+
+            this.cache.delete(filename);
+            this.setVersion(filename, result.version);
+            console.log(`Successfully saved ${filename}`);
+            return result;
+        } catch (error) {
+            console.error(`Error saving ${filename}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Creates an item; the server assigns its id. Resolves to { success, item, version }.
+    async createItem(filename, item) {
+        return this.writeResource(filename, ITEM_RESOURCES[filename], 'POST', item);
+    }
+
+    // Replaces an item. Resolves to { success, item, version }.
+    async updateItem(filename, id, item) {
+        return this.writeResource(filename, `${ITEM_RESOURCES[filename]}/${id}`, 'PUT', item);
+    }
+
+    async deleteItem(filename, id) {
+        return this.writeResource(filename, `${ITEM_RESOURCES[filename]}/${id}`, 'DELETE');
+    }
+
+    async createCategory(name) {
+        return this.writeResource('menu.json', '/api/menu/categories', 'POST', { name });
+    }
+
+    async renameCategory(name, newName) {
+        return this.writeResource('menu.json', `/api/menu/categories/${encodeURIComponent(name)}`, 'PUT', { name: newName });
+    }
+
+    async deleteCategory(name) {
+        return this.writeResource('menu.json', `/api/menu/categories/${encodeURIComponent(name)}`, 'DELETE');
+    }
+
+    // Sends a write to one of the REST resources, with If-Match for the file it changes.
+    // Throws on failure (see requestError); deletes answer 204 and carry the new version only in the ETag.
+    async writeResource(filename, url, method, body) {
+        const response = await this.request(url, {
+            method,
+            headers: this.writeHeaders(filename, body ? { 'Content-Type': 'application/json' } : {}),
+            body: body ? JSON.stringify(body) : undefined
         });
+
+        const result = response.status === 204 ? { success: true } : await response.json();
+        if (!result.success) throw this.requestError(filename, response, result);
+
+        const version = result.version || (response.headers.get('ETag') || '').replace(/"/g, '');
+        this.cache.delete(filename);
+        this.setVersion(filename, version);
+        return { ...result, version };
     }
-});
 
-// Global functions for onclick handlers
-function resetMenuForm() {
-    if (admin) admin.resetMenuForm();
-}
+    // Error for a failed write. Conflicts carry the server's copy so the caller can offer a merge.
+    requestError(filename, response, result) {
+        const error = new Error(result.error);
+        // Validation failures list each problem with its path
+        if (result.errors) error.errors = result.errors;
+        if (response.status === 409 && result.conflict) {
+            this.cache.delete(filename);
+            error.conflict = true;
+            error.currentData = result.currentData;
+            error.currentVersion = result.currentVersion;
+        }
+        return error;
+    }
 
-function resetSpecialForm() {
-    if (admin) admin.resetSpecialForm();
-}
+    clearCache() {
+        this.cache.clear();
+    }
 
-function resetEventForm() {
-    if (admin) admin.resetEventForm();
-}
+    // JSON Schemas for the data files, keyed by filename
+    async getSchemas() {
+        const response = await this.request('/api/schemas');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.schemas;
+    }
 
-function saveJSON() {
-    if (admin) admin.saveJSON();
-}
+    // Media library
+    async getMedia() {
+        const response = await this.request('/api/media');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.media;
+    }
 
-function loadSelectedJSON() {
-    if (admin) admin.loadSelectedJSON();
-}
\ No newline at end of file
+    async getBrokenSpecialLinks() {
+        const response = await this.request('/api/specials/broken-links');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.broken;
+    }
+
+    async getMissingImages() {
+        const response = await this.request('/api/media/missing');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.missing;
+    }
+
+    async uploadMedia(file) {
+        const body = new FormData();
+        body.append('image', file);
+
+        const response = await this.request('/api/media', { method: 'POST', body });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    // Orders
+    async createStaffOrder(order) {
+        const response = await this.request('/api/orders/staff', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(order)
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.order;
+    }
+
+    async updateOrderStatus(id, status) {
+        const response = await this.request(`/api/orders/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ status })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            const error = new Error(result.error);
+            // A refused move comes back with the order as it is now
+            if (result.order) error.order = result.order;
+            throw error;
+        }
+        return result.order;
+    }
+
+    // Event RSVPs
+    async getRsvpSummary() {
+        const response = await this.request('/api/rsvps/summary');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.events;
+    }
+
+    // Reservations
+    async getReservations(from, to) {
+        const params = new URLSearchParams({ from, to });
+        const response = await this.request(`/api/reservations?${params}`);
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.reservations;
+    }
+
+    async updateReservationStatus(id, status) {
+        const response = await this.request(`/api/reservations/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ status })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.reservation;
+    }
+
+    // Revision history
+    async getRevisions(filename) {
+        const response = await this.request(`/api/revisions/${filename}`);
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.revisions;
+    }
+
+    async getRevisionDiff(filename, from, to) {
+        const response = await this.request(`/api/revisions/${filename}/diff?from=${from}&to=${to}`);
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async restoreRevision(filename, revision) {
+        const response = await this.request(`/api/revisions/${filename}/${revision}/restore`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        this.cache.delete(filename);
+        this.setVersion(filename, result.version);
+        return result;
+    }
+
+    // Drafts
+    async getDrafts() {
+        const response = await this.request('/api/drafts');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.drafts;
+    }
+
+    async createPreviewLink() {
+        const response = await this.request('/api/drafts/preview', { method: 'POST' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async publishDrafts() {
+        const response = await this.request('/api/drafts/publish', { method: 'POST' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async discardDrafts() {
+        const response = await this.request('/api/drafts', { method: 'DELETE' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    // Scheduled publishing
+    async getSchedules() {
+        const response = await this.request('/api/schedules');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.schedules;
+    }
+
+    async createSchedule(schedule) {
+        return this.sendSchedule('/api/schedules', 'POST', schedule);
+    }
+
+    async updateSchedule(id, schedule) {
+        return this.sendSchedule(`/api/schedules/${id}`, 'PUT', schedule);
+    }
+
+    async cancelSchedule(id) {
+        return this.sendSchedule(`/api/schedules/${id}`, 'DELETE');
+    }
+
+    async reopenSchedule(id) {
+        return this.sendSchedule(`/api/schedules/${id}/reopen`, 'POST');
+    }
+
+    async sendSchedule(url, method, body) {
+        const response = await this.request(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    // Backups
+    async getBackups() {
+        const response = await this.request('/api/backups');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async createBackup() {
+        const response = await this.request('/api/backups', { method: 'POST' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async restoreBackup(id) {
+        const response = await this.request(`/api/backups/${id}/restore`, { method: 'POST' });
+        const result = await response.json();
+        if (!result.success) {
+            const details = (result.details || []).map(d => `${d.file}: ${d.error}`).join('; ');
+            throw new Error(details ? `${result.error} (${details})` : result.error);
+        }
+        return result;
+    }
+
+    async deleteBackup(id) {
+        const response = await this.request(`/api/backups/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    // User management (owner only)
+    async getUsers() {
+        const response = await this.request('/api/users');
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result.users;
+    }
+
+    async inviteUser(username, role) {
+        const response = await this.request('/api/users', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ username, role })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async renewInvite(username) {
+        const response = await this.request(`/api/users/${encodeURIComponent(username)}/invite`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async updateUser(username, changes) {
+        const response = await this.request(`/api/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }
+
+    async checkHealth() {
+        try {
+            const response = await fetch('/api/health');
+            const result = await response.json();
+            return result.status === 'OK';
+        } catch (error) {
+            console.error('Health check failed:', error);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,144 @@
+// Admin login page
+class LoginPage {
+    constructor() {
+        this.form = document.getElementById('loginForm');
+        this.inviteForm = document.getElementById('inviteForm');
+        this.message = document.getElementById('loginMessage');
+        this.init();
+    }
+
+    async init() {
+        const params = new URLSearchParams(window.location.search);
+
+        // Invite links let a new user choose their password
+        const inviteToken = params.get('invite');
+        if (inviteToken) {
+            this.initInvite(inviteToken);
+            return;
+        }
+
+        // Skip the form if there's already a valid session
+        try {
+            const response = await fetch('/api/auth/session');
+            if (response.ok) {
+                this.redirectToAdmin();
+                return;
+            }
+        } catch (error) {
+            console.error('Session check failed:', error);
+        }
+
+        if (params.get('expired')) {
+            this.showMessage('Your session has expired. Please log in again.', 'info');
+        } else if (params.get('loggedOut')) {
+            this.showMessage('You have been logged out.', 'info');
+        }
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+
+        document.getElementById('loginUsername').focus();
+    }
+
+    async login() {
+        const submitBtn = this.form.querySelector('.btn-login');
+        const username = document.getElementById('loginUsername').value.trim();
+        const password = document.getElementById('loginPassword').value;
+
+        if (!username || !password) {
+            this.showMessage('Please enter your username and password', 'error');
+            return;
+        }
+
+        submitBtn.disabled = true;
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ username, password })
+            });
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Login failed');
+            }
+
+            this.redirectToAdmin();
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showMessage(error.message, 'error');
+            document.getElementById('loginPassword').value = '';
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    initInvite(token) {
+        document.querySelector('.login-title').innerHTML = '<i class="fas fa-user-plus"></i> Welcome';
+        document.querySelector('.login-subtitle').textContent = 'Set a password to activate your account';
+        this.form.style.display = 'none';
+        this.inviteForm.style.display = 'block';
+
+        this.inviteForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.acceptInvite(token);
+        });
+
+        document.getElementById('invitePassword').focus();
+    }
+
+    async acceptInvite(token) {
+        const submitBtn = this.inviteForm.querySelector('.btn-login');
+        const password = document.getElementById('invitePassword').value;
+        const confirmPassword = document.getElementById('invitePasswordConfirm').value;
+
+        if (password !== confirmPassword) {
+            this.showMessage('Passwords do not match', 'error');
+            return;
+        }
+
+        submitBtn.disabled = true;
+
+        try {
+            const response = await fetch('/api/auth/accept-invite', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ token, password })
+            });
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to set password');
+            }
+
+            this.redirectToAdmin();
+        } catch (error) {
+            console.error('Accepting invite failed:', error);
+            this.showMessage(error.message, 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    redirectToAdmin() {
+        window.location.href = 'admin.html';
+    }
+
+    showMessage(text, type) {
+        this.message.textContent = text;
+        this.message.className = `login-message ${type}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new LoginPage();
+});
@@ -1,12 +1,74 @@
+// REST resource holding the items of each file (see backend/routes)
+const ITEM_RESOURCES = {
+    'menu.json': '/api/menu/items',
+    'specials.json': '/api/specials',
+    'events.json': '/api/events',
+    'announcements.json': '/api/announcements'
+};
+
+// What to reload on the website when the server says a data file changed (see /api/stream).
+// Specials are priced from the menu, so a menu change reloads them too.
+const FILE_SECTIONS = {
+    'menu.json': ['renderMenu', 'renderSpecials'],
+    'specials.json': ['renderSpecials'],
+    'events.json': ['renderEvents'],
+    'announcements.json': ['renderAnnouncements'],
+    'contact.json': ['renderContact'],
+    'tables.json': ['loadReservationSlots']
+};
+
+// How often to reload everything while live updates are unavailable
+const POLL_INTERVAL = 30 * 1000;
+
+// Most guests one RSVP can bring (see MAX_GUESTS in backend/lib/rsvps.js)
+const RSVP_MAX_GUESTS = 10;
+
 // Updated DataAPI class with backend support
 class DataAPI {
     constructor() {
         this.basePath = '/api/data/';
         this.cache = new Map();
         this.cacheTime = 30 * 1000; // 30 seconds cache
+        // Token of the preview link the page was opened with, while it is valid
+        this.previewToken = null;
+    }
+
+    // `url` asking for the unpublished changes too when previewing
+    withPreview(url) {
+        if (!this.previewToken) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}preview=${encodeURIComponent(this.previewToken)}`;
     }
 
     async fetchData(filename) {
+        return this.fetchResource(filename, `${this.basePath}${filename}`, result => result.data);
+    }
+
+    // Each file's REST resource, answering in the same shape as the data file
+    async getMenuData() {
+        return this.fetchResource('menu.json', '/api/menu', result => ({
+            categories: result.categories,
+            items: result.items
+        }));
+    }
+
+    async getSpecialsData() {
+        return this.fetchResource('specials.json', ITEM_RESOURCES['specials.json'], result => ({ specials: result.specials }));
+    }
+
+    async getEventsData() {
+        return this.fetchResource('events.json', ITEM_RESOURCES['events.json'], result => ({ events: result.events }));
+    }
+
+    async getAnnouncementsData() {
+        return this.fetchResource('announcements.json', ITEM_RESOURCES['announcements.json'], result => ({ announcements: result.announcements }));
+    }
+
+    async getContactData() {
+        return this.fetchData('contact.json');
+    }
+
+    // Loads `url` and caches what `pick` takes from the response under the data file's name
+    async fetchResource(filename, url, pick) {
         const cacheKey = filename;
         const cached = this.cache.get(cacheKey);
         
@@ -16,7 +78,7 @@ class DataAPI {
         }
 
         try {
-            const response = await fetch(`${this.basePath}${filename}`);
+            const response = await fetch(this.withPreview(url));
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -27,7 +89,7 @@ class DataAPI {
                 throw new Error(`API error: ${result.error}`);
             }
             
-            const data = result.data;
+            const data = pick(result);
             
             // Cache the data
             this.cache.set(cacheKey, {
@@ -91,10 +153,38 @@ class DataAPI {
         }
     }
 
+    // Creates an item; the server assigns its id
+    async createItem(filename, item) {
+        try {
+            const response = await fetch(ITEM_RESOURCES[filename], {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(item)
+            });
+            
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(`API error: ${result.error}`);
+            }
+            
+            // Clear cache for this file
+            this.cache.delete(filename);
+            
+            console.log(`Successfully created item ${result.item.id} in ${filename}`);
+            return result;
+        } catch (error) {
+            console.error(`Error creating item in ${filename}:`, error);
+            throw error;
+        }
+    }
+
     async updateItem(filename, id, updateData) {
         try {
-            const response = await fetch(`${this.basePath}${filename}/${id}`, {
-                method: 'PUT',
+            const response = await fetch(`${ITEM_RESOURCES[filename]}/${id}`, {
+                method: 'PATCH',
                 headers: {
                     'Content-Type': 'application/json',
                 },
@@ -120,13 +210,13 @@ class DataAPI {
 
     async deleteItem(filename, id) {
         try {
-            const response = await fetch(`${this.basePath}${filename}/${id}`, {
+            const response = await fetch(`${ITEM_RESOURCES[filename]}/${id}`, {
                 method: 'DELETE'
             });
             
-            const result = await response.json();
-            
-            if (!result.success) {
+            // Deleted items answer 204 with no body
+            if (response.status !== 204) {
+                const result = await response.json();
                 throw new Error(`API error: ${result.error}`);
             }
             
@@ -134,13 +224,97 @@ class DataAPI {
             this.cache.delete(filename);
             
             console.log(`Successfully deleted item ${id} from ${filename}`);
-            return result;
+            return { success: true };
         } catch (error) {
             console.error(`Error deleting item from ${filename}:`, error);
             throw error;
         }
     }
 
+    // Resolves to the server's answer: { success, order } or { success: false, error, errors?, changes? }
+    async placeOrder(order) {
+        const response = await fetch('/api/orders', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(order)
+        });
+        return response.json();
+    }
+
+    // Tables and booking rules (party size limit, how far ahead tables can be booked)
+    async getTableSettings() {
+        return this.fetchData('tables.json');
+    }
+
+    // Resolves to { success, slots: [{ time, available }] } or { success: false, error }
+    async getAvailability(date, partySize) {
+        const params = new URLSearchParams({ date, party: partySize });
+        const response = await fetch(`/api/reservations/availability?${params}`);
+        return response.json();
+    }
+
+    // Resolves to the server's answer: { success, reservation } or { success: false, error }
+    async bookTable(reservation) {
+        const response = await fetch('/api/reservations', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(reservation)
+        });
+        return response.json();
+    }
+
+    // Guests going and places left for each event that takes RSVPs, keyed by event id.
+    // Always fetched fresh; without it the events simply show no RSVP buttons.
+    async getRsvpSummary() {
+        try {
+            const response = await fetch('/api/rsvps/summary');
+            const result = await response.json();
+            return result.success ? result.events : {};
+        } catch (error) {
+            console.error('Error loading RSVPs:', error);
+            return {};
+        }
+    }
+
+    // Whether a preview link still works: { valid, expiresAt }
+    async checkPreview(token) {
+        try {
+            const response = await fetch(`/api/drafts/preview?token=${encodeURIComponent(token)}`);
+            const result = await response.json();
+            return result.success ? result : { valid: false };
+        } catch (error) {
+            console.error('Error checking preview link:', error);
+            return { valid: false };
+        }
+    }
+
+    // Resolves to { success, rsvp, token, message } or { success: false, error }
+    async rsvp(rsvp) {
+        const response = await fetch('/api/rsvps', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(rsvp)
+        });
+        return response.json();
+    }
+
+    async cancelRsvp(token) {
+        const response = await fetch('/api/rsvps/cancel', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ token })
+        });
+        return response.json();
+    }
+
     // LocalStorage fallback methods
     saveToLocalStorage(filename, data) {
         try {
@@ -173,6 +347,11 @@ class DataAPI {
         console.log('Data cache cleared');
     }
 
+    // Forgets one file's cached copy, so the next read gets the server's
+    invalidate(filename) {
+        this.cache.delete(filename);
+    }
+
     // Health check
     async checkHealth() {
         try {
@@ -216,16 +395,221 @@ class DataAPI {
 }
 
 
+// Shopping cart, kept in localStorage so it survives reloads.
+// Prices are only for display; the server prices every order from the menu.
+// A line is one item with one set of options, found by its `key` (see MenuOptions.selectionKey),
+// so a large and a small chai are two lines.
+class Cart {
+    constructor(storageKey = 'cafe_cart') {
+        this.storageKey = storageKey;
+        this.maxQuantity = 50;
+        this.lines = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!Array.isArray(saved)) return [];
+            // Carts saved before items had options have no keys
+            return saved.map(line => ({ ...line, key: line.key || MenuOptions.selectionKey(line.id, line.options) }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.lines));
+        } catch (error) {
+            console.error('Error saving cart:', error);
+        }
+    }
+
+    // `priced` is the item priced with the options picked (see MenuOptions.priceWithOptions)
+    add(item, options = {}, priced = { price: item.price, choices: [] }) {
+        const key = MenuOptions.selectionKey(item.id, options);
+        const line = this.find(key);
+        if (line) {
+            line.quantity = Math.min(line.quantity + 1, this.maxQuantity);
+        } else {
+            this.lines.push({ key, id: item.id, name: item.name, options, choices: priced.choices, price: priced.price, quantity: 1 });
+        }
+        this.save();
+    }
+
+    find(key) {
+        return this.lines.find(line => line.key === key);
+    }
+
+    setQuantity(key, quantity) {
+        if (quantity <= 0) return this.remove(key);
+
+        const line = this.find(key);
+        if (line) line.quantity = Math.min(quantity, this.maxQuantity);
+        this.save();
+    }
+
+    remove(key) {
+        this.lines = this.lines.filter(line => line.key !== key);
+        this.save();
+    }
+
+    clear() {
+        this.lines = [];
+        this.save();
+    }
+
+    get count() {
+        return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+    }
+
+    get total() {
+        return Math.round(this.lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100) / 100;
+    }
+
+    // Takes the server's corrections when prices changed, or items or their options left the menu
+    applyChanges(changes) {
+        changes.forEach(change => {
+            const key = MenuOptions.selectionKey(change.id, change.options);
+            if (change.unavailable) {
+                this.remove(key);
+                return;
+            }
+            const line = this.find(key);
+            if (line) line.price = change.price;
+        });
+        this.save();
+    }
+}
+
 // UI Renderer - Handles dynamic content rendering
 class UIRenderer {
     constructor() {
         this.api = new DataAPI();
+        this.cart = new Cart();
         this.searchTerm = '';
         this.currentCategory = 'all';
+        // Dietary filter chips that are on (ids of Dietary.FILTERS); an item has to match all of them
+        this.dietFilters = new Set();
+        // Booking form: free times for the chosen date and party size, the closure it falls on and the time picked
+        this.reservationSlots = [];
+        this.reservationClosure = null;
+        this.selectedReservationTime = null;
+        // Events as last rendered, their RSVP counts and the event the RSVP form is open for
+        this.events = [];
+        this.rsvpSummary = {};
+        this.rsvpEventId = null;
+        // The menu item the options picker is open for
+        this.optionsItem = null;
+        // Announcements as last loaded, and the timer that updates the banners when one starts or ends
+        this.announcements = [];
+        this.announcementTimer = null;
+    }
+
+    // Announcement banners
+    // A preview link (index.html?preview=<token>) shows the site with the changes waiting to be
+    // published. Checked before anything loads; a link that doesn't work shows the live site.
+    async initPreview() {
+        const token = new URLSearchParams(window.location.search).get('preview');
+        if (token === null) return;
+
+        const preview = await this.api.checkPreview(token);
+        if (!preview.valid) {
+            this.showPreviewBar('This preview link has expired, so you are seeing the live website.');
+            return;
+        }
+
+        this.api.previewToken = token;
+        this.showPreviewBar('Previewing unpublished changes. Orders, bookings and RSVPs still go to the live cafe.');
+
+        // Past its expiry the server ignores the token and answers with the live site
+        const remaining = new Date(preview.expiresAt).getTime() - Date.now();
+        setTimeout(() => {
+            this.api.previewToken = null;
+            this.showPreviewBar('This preview link has expired. Reload to see the live website.');
+        }, Math.min(Math.max(remaining, 0), 24 * 60 * 60 * 1000));
+    }
+
+    showPreviewBar(message) {
+        const bar = document.getElementById('previewBar');
+        if (!bar) return;
+        bar.innerHTML = `
+            <i class="fas fa-eye" aria-hidden="true"></i>
+            <p>${this.escapeHTML(message)}</p>
+            <a href="${window.location.pathname}">Leave preview</a>
+        `;
+    }
+
+    async renderAnnouncements() {
+        const data = await this.api.getAnnouncementsData();
+        if (!data) return;
+        this.announcements = data.announcements;
+        this.showAnnouncements();
+    }
+
+    // Shows the announcements that are on now and that the guest hasn't closed, and comes back when
+    // the next one starts or ends, so an expired banner goes away without waiting for a refresh
+    showAnnouncements() {
+        const container = document.getElementById('announcements');
+        if (!container) return;
+
+        const now = new Date();
+        const dismissed = this.loadDismissedAnnouncements();
+        const visible = Announcements.visibleAnnouncements(this.announcements, now)
+            .filter(announcement => dismissed[announcement.id] !== announcement.message);
+
+        container.innerHTML = '';
+        visible.forEach(announcement => {
+            const severity = Announcements.SEVERITIES[announcement.severity] || Announcements.SEVERITIES.info;
+            const link = announcement.link;
+            const banner = document.createElement('div');
+            banner.className = `announcement announcement-${announcement.severity}`;
+            banner.setAttribute('role', announcement.severity === 'info' ? 'status' : 'alert');
+            banner.innerHTML = `
+                <i class="fas ${severity.icon}" aria-hidden="true"></i>
+                <p>
+                    ${this.escapeHTML(announcement.message)}
+                    ${link ? `<a href="${this.escapeHTML(link.url)}"${/^https?:/i.test(link.url) ? ' target="_blank" rel="noopener"' : ''}>${this.escapeHTML(link.label || 'Learn more')}</a>` : ''}
+                </p>
+                <button type="button" class="announcement-close" aria-label="Dismiss announcement">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            banner.querySelector('.announcement-close').addEventListener('click', () => this.dismissAnnouncement(announcement));
+            container.appendChild(banner);
+        });
+
+        // Timers can't wait longer than about 24 days, so a change further off is checked again daily
+        clearTimeout(this.announcementTimer);
+        const next = Announcements.nextChange(this.announcements, now);
+        if (next !== null) {
+            this.announcementTimer = setTimeout(() => this.showAnnouncements(), Math.min(next - now.getTime(), 24 * 60 * 60 * 1000));
+        }
+    }
+
+    // Closed banners by announcement id, with the message they had: one that is reworded shows again
+    loadDismissedAnnouncements() {
+        try {
+            return JSON.parse(localStorage.getItem('cafe_dismissed_announcements')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    dismissAnnouncement(announcement) {
+        // Only the announcements still around are kept, so the list doesn't grow forever
+        const dismissed = {};
+        const previous = this.loadDismissedAnnouncements();
+        this.announcements.forEach(({ id }) => {
+            if (previous[id] !== undefined) dismissed[id] = previous[id];
+        });
+        dismissed[announcement.id] = announcement.message;
+        localStorage.setItem('cafe_dismissed_announcements', JSON.stringify(dismissed));
+        this.showAnnouncements();
     }
 
     // Menu rendering
-    async renderMenu() {
+    async renderMenu({ animate = true } = {}) {
         const menuGrid = document.getElementById('menuGrid');
         const menuLoading = document.getElementById('menuLoading');
         const menuCategories = document.getElementById('menuCategories');
@@ -262,6 +646,10 @@ class UIRenderer {
                 );
             }
             
+            if (this.dietFilters.size) {
+                filteredItems = filteredItems.filter(item => Dietary.matchesFilters(item, this.dietFilters));
+            }
+            
             // Sort items
             const sortSelect = document.getElementById('sortMenu');
             const sortValue = sortSelect ? sortSelect.value : 'category';
@@ -273,7 +661,7 @@ class UIRenderer {
                     <div class="no-results">
                         <i class="fas fa-search"></i>
                         <h3>No menu items found</h3>
-                        <p>Try a different search term or category</p>
+                        <p>${this.dietFilters.size ? 'Try a different search term, category or fewer dietary filters' : 'Try a different search term or category'}</p>
                     </div>
                 `;
             } else {
@@ -284,7 +672,7 @@ class UIRenderer {
             }
             
             // Add animation
-            this.animateElements(menuGrid.children);
+            this.animateElements(menuGrid.children, animate);
             
         } catch (error) {
             console.error('Error rendering menu:', error);
@@ -321,31 +709,96 @@ class UIRenderer {
         });
     }
 
+    // Chips for dietary needs, on top of the category buttons and search
+    renderDietFilters() {
+        const container = document.getElementById('menuDietFilters');
+        if (!container) return;
+        
+        container.innerHTML = Object.entries(Dietary.FILTERS).map(([id, filter]) => `
+            <button class="diet-chip${this.dietFilters.has(id) ? ' active' : ''}" data-diet-filter="${id}" aria-pressed="${this.dietFilters.has(id)}">
+                <i class="fas ${filter.icon}"></i> ${filter.label}
+            </button>
+        `).join('');
+        
+        container.querySelectorAll('.diet-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const id = chip.dataset.dietFilter;
+                if (this.dietFilters.has(id)) {
+                    this.dietFilters.delete(id);
+                } else {
+                    this.dietFilters.add(id);
+                }
+                chip.classList.toggle('active', this.dietFilters.has(id));
+                chip.setAttribute('aria-pressed', this.dietFilters.has(id));
+                this.renderMenu();
+            });
+        });
+    }
+
+    // Dietary tags and spice level as badges, and the allergens the item contains
+    createItemBadges(item) {
+        const badges = (item.dietary || [])
+            .filter(tag => Dietary.DIETARY[tag])
+            .map(tag => `
+                <span class="diet-badge" title="${Dietary.DIETARY[tag].label}">
+                    <i class="fas ${Dietary.DIETARY[tag].icon}"></i> ${Dietary.DIETARY[tag].label}
+                </span>
+            `);
+        if (item.spiceLevel) {
+            badges.push(`
+                <span class="spice-badge" title="${Dietary.SPICE_LEVELS[item.spiceLevel]}">
+                    ${'<i class="fas fa-pepper-hot"></i>'.repeat(item.spiceLevel)} ${Dietary.SPICE_LEVELS[item.spiceLevel]}
+                </span>
+            `);
+        }
+        
+        const allergens = Dietary.describeAllergens(item);
+        return `
+            ${badges.length ? `<div class="item-badges">${badges.join('')}</div>` : ''}
+            ${allergens ? `<p class="item-allergens"><i class="fas fa-triangle-exclamation"></i> Contains: ${allergens}</p>` : ''}
+        `;
+    }
+
     createMenuItem(item) {
         const div = document.createElement('div');
         div.className = 'menu-item';
         div.dataset.category = item.category;
         
+        const { price, from } = MenuOptions.fromPrice(item);
+        const hasOptions = Boolean(item.optionGroups && item.optionGroups.length);
+        
         div.innerHTML = `
             <div class="menu-img" style="background-image: url('${item.image}')"></div>
             <div class="menu-content">
                 <h3>${item.name}</h3>
-                <div class="item-price">$${item.price.toFixed(2)}</div>
+                <div class="item-price">${from ? '<span class="item-price-from">from</span> ' : ''}$${price.toFixed(2)}</div>
                 <p class="item-description">${item.description}</p>
+                ${this.createItemBadges(item)}
                 <span class="item-category">${item.category}</span>
+                <button class="add-to-cart">
+                    <i class="fas fa-cart-plus"></i> ${hasOptions ? 'Choose options' : 'Add to cart'}
+                </button>
             </div>
         `;
         
+        div.querySelector('.add-to-cart').addEventListener('click', () => {
+            if (hasOptions) {
+                this.openItemOptions(item);
+            } else {
+                this.addToCart(item);
+            }
+        });
+        
         return div;
     }
 
     sortMenuItems(items, sortBy) {
         switch(sortBy) {
             case 'price-low':
-                items.sort((a, b) => a.price - b.price);
+                items.sort((a, b) => MenuOptions.fromPrice(a).price - MenuOptions.fromPrice(b).price);
                 break;
             case 'price-high':
-                items.sort((a, b) => b.price - a.price);
+                items.sort((a, b) => MenuOptions.fromPrice(b).price - MenuOptions.fromPrice(a).price);
                 break;
             case 'name':
                 items.sort((a, b) => a.name.localeCompare(b.name));
@@ -356,7 +809,7 @@ class UIRenderer {
     }
 
     // Specials rendering
-    async renderSpecials() {
+    async renderSpecials({ animate = true } = {}) {
         const specialsGrid = document.getElementById('specialsGrid');
         const specialsLoading = document.getElementById('specialsLoading');
         
@@ -364,17 +817,36 @@ class UIRenderer {
         specialsLoading.style.display = 'flex';
         
         try {
-            const specialsData = await this.api.getSpecialsData();
+            const [specialsData, menuData] = await Promise.all([
+                this.api.getSpecialsData(),
+                this.api.getMenuData()
+            ]);
             if (!specialsData) return;
             
-            const today = new Date().toLocaleString('en-US', { weekday: 'long' });
+            // Specials that haven't started yet or are over are left out, and so are specials
+            // linked to menu items that have been taken off the menu
+            const now = await this.cafeNow();
+            const current = specialsData.specials
+                .filter(special => Specials.isCurrent(special, now))
+                .map(special => ({ special, priced: Specials.priceSpecial(special, menuData) }))
+                .filter(({ priced }) => !priced || priced.missing.length === 0);
+            
+            if (current.length === 0) {
+                specialsGrid.innerHTML = `
+                    <div class="no-results">
+                        <i class="fas fa-tags"></i>
+                        <h3>No specials right now</h3>
+                        <p>Check back soon</p>
+                    </div>
+                `;
+            }
             
-            specialsData.specials.forEach(special => {
-                const specialCard = this.createSpecialCard(special, today);
+            current.forEach(({ special, priced }) => {
+                const specialCard = this.createSpecialCard(special, now, priced);
                 specialsGrid.appendChild(specialCard);
             });
             
-            this.animateElements(specialsGrid.children);
+            this.animateElements(specialsGrid.children, animate);
             
         } catch (error) {
             console.error('Error rendering specials:', error);
@@ -390,27 +862,47 @@ class UIRenderer {
         }
     }
 
-    createSpecialCard(special, today) {
+    // `priced` is what a special linked to the menu costs today (see Specials.priceSpecial), null for the others
+    createSpecialCard(special, now, priced = null) {
         const div = document.createElement('div');
-        div.className = `special-card ${special.day === today ? 'today' : ''}`;
+        const status = Specials.todayStatus(special, now);
+        const badge = { on: 'ON NOW', later: 'TODAY' }[status];
+        div.className = `special-card ${badge ? 'today' : ''}`;
+        
+        const times = Specials.describeTimes(special);
+        const until = special.endDate ? this.formatSpecialDate(special.endDate) : '';
         
         div.innerHTML = `
-            ${special.day === today ? '<div class="today-badge">TODAY</div>' : ''}
-            <div class="special-day">${special.day}</div>
+            ${badge ? `<div class="today-badge">${badge}</div>` : ''}
+            <div class="special-day">${Specials.describeDays(special)}${times ? ` | ${times}` : ''}</div>
+            ${until ? `<div class="special-until">Until ${until}</div>` : ''}
             <h3>${special.name}</h3>
-            <p class="special-items">${special.items}</p>
+            <p class="special-items">${priced ? Specials.describePicks(priced) : special.items}</p>
             <p class="special-description">${special.description}</p>
-            <div class="special-pricing">
-                <span class="special-price">$${special.price.toFixed(2)}</span>
-                <span class="special-discount">${special.discount} OFF</span>
-            </div>
+            ${priced ? `
+                <div class="special-pricing">
+                    <span class="special-original">$${priced.original.toFixed(2)}</span>
+                    <span class="special-price">${priced.from ? 'from ' : ''}$${priced.price.toFixed(2)}</span>
+                    <span class="special-discount">${special.discountPercent}% OFF</span>
+                </div>
+            ` : `
+                <div class="special-pricing">
+                    <span class="special-price">$${special.price.toFixed(2)}</span>
+                    <span class="special-discount">${special.discount} OFF</span>
+                </div>
+            `}
         `;
         
         return div;
     }
 
+    // '2025-12-24' -> '24 Dec'
+    formatSpecialDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+    }
+
     // Events rendering
-    async renderEvents() {
+    async renderEvents({ animate = true } = {}) {
         const eventsGrid = document.getElementById('eventsGrid');
         const eventsLoading = document.getElementById('eventsLoading');
         
@@ -418,8 +910,13 @@ class UIRenderer {
         eventsLoading.style.display = 'flex';
         
         try {
-            const eventsData = await this.api.getEventsData();
+            const [eventsData, rsvpSummary] = await Promise.all([
+                this.api.getEventsData(),
+                this.api.getRsvpSummary()
+            ]);
             if (!eventsData) return;
+            this.events = eventsData.events;
+            this.rsvpSummary = rsvpSummary;
             
             // Filter by search term
             let filteredEvents = eventsData.events;
@@ -431,7 +928,19 @@ class UIRenderer {
                 );
             }
             
-            if (filteredEvents.length === 0) {
+            // Past one-off and finished recurring events drop off; the rest go in the order they next happen.
+            // Events with only a free-text date can't be placed, so they keep their order at the end.
+            const now = await this.cafeNow();
+            const upcoming = filteredEvents
+                .filter(event => !EventSchedule.hasEnded(event.schedule, now))
+                .map((event, index) => ({ event, index, next: EventSchedule.nextOccurrence(event.schedule, now) }))
+                .sort((a, b) => {
+                    if (a.next && b.next) return a.next.start - b.next.start || a.index - b.index;
+                    if (a.next || b.next) return a.next ? -1 : 1;
+                    return a.index - b.index;
+                });
+            
+            if (upcoming.length === 0) {
                 eventsGrid.innerHTML = `
                     <div class="no-results">
                         <i class="fas fa-calendar-times"></i>
@@ -440,13 +949,13 @@ class UIRenderer {
                     </div>
                 `;
             } else {
-                filteredEvents.forEach(event => {
-                    const eventCard = this.createEventCard(event);
+                upcoming.forEach(({ event, next }) => {
+                    const eventCard = this.createEventCard(event, next);
                     eventsGrid.appendChild(eventCard);
                 });
             }
             
-            this.animateElements(eventsGrid.children);
+            this.animateElements(eventsGrid.children, animate);
             
         } catch (error) {
             console.error('Error rendering events:', error);
@@ -462,7 +971,7 @@ class UIRenderer {
         }
     }
 
-    createEventCard(event) {
+    createEventCard(event, next) {
         const div = document.createElement('div');
         div.className = 'event-card';
         
@@ -471,11 +980,25 @@ class UIRenderer {
             <div class="event-content">
                 <div class="event-date">
                     <i class="far fa-calendar-alt"></i>
-                    ${event.date}
+                    ${event.date || EventSchedule.describeSchedule(event.schedule)}
                 </div>
+                ${next ? `
+                    <div class="event-next">
+                        <i class="far fa-clock"></i>
+                        Next: ${EventSchedule.formatOccurrence(next)}
+                    </div>
+                ` : ''}
                 <h3>${event.name}</h3>
                 <p>${event.description}</p>
-                <span class="event-tag">${event.tag}</span>
+                <div class="event-footer">
+                    <span class="event-tag">${event.tag}</span>
+                    ${event.schedule ? `
+                        <a class="event-calendar" href="/api/events/${event.id}.ics" download>
+                            <i class="far fa-calendar-plus"></i> Add to calendar
+                        </a>
+                    ` : ''}
+                </div>
+                ${this.createRsvpBlock(event)}
             </div>
         `;
         
@@ -483,7 +1006,7 @@ class UIRenderer {
     }
 
     // Contact rendering
-    async renderContact() {
+    async renderContact({ animate = true } = {}) {
         const contactGrid = document.getElementById('contactGrid');
         const socialLinks = document.getElementById('socialLinks');
         const currentYear = document.getElementById('currentYear');
@@ -517,9 +1040,8 @@ class UIRenderer {
                     <div class="contact-item">
                         <i class="fas fa-clock"></i>
                         <div>
-                            <h3>Working Hours</h3>
-                            <p>${contactData.workingHours.weekdays}</p>
-                            <p>${contactData.workingHours.weekends}</p>
+                            <h3>Opening Hours</h3>
+                            ${this.createOpeningHours(contactData)}
                         </div>
                     </div>
                     
@@ -560,13 +1082,48 @@ class UIRenderer {
                 lastUpdated.textContent = new Date().toLocaleString();
             }
             
-            this.animateElements(contactGrid.querySelectorAll('.contact-item'));
+            this.animateElements(contactGrid.querySelectorAll('.contact-item'), animate);
             
         } catch (error) {
             console.error('Error rendering contact:', error);
         }
     }
 
+    // Whether the cafe is open now on its own clock, the usual week and upcoming holiday hours.
+    // Contact data saved before opening hours were structured only has the two display strings.
+    createOpeningHours(contactData) {
+        const hours = contactData.openingHours;
+        if (!hours) {
+            return `
+                <p>${contactData.workingHours.weekdays}</p>
+                <p>${contactData.workingHours.weekends}</p>
+            `;
+        }
+        
+        const current = OpeningHours.status(hours);
+        const { label, detail } = OpeningHours.describeStatus(current);
+        const changes = OpeningHours.upcomingChanges(hours);
+        
+        return `
+            <div class="open-status ${current.open ? 'open' : 'closed'}">
+                <strong>${this.escapeHTML(label)}</strong>${detail ? ` · ${detail}` : ''}
+            </div>
+            ${OpeningHours.describeWeek(hours).map(row => `<p>${row.days}: ${row.hours}</p>`).join('')}
+            ${changes.length ? `
+                <h4 class="hours-changes-title">Holiday Hours</h4>
+                <ul class="hours-changes">
+                    ${changes.map(change => `
+                        <li>
+                            ${OpeningHours.describeDates(change)}:
+                            ${change.shifts.length ? OpeningHours.describeShifts(change.shifts) : 'Closed'}
+                            ${change.reason ? `<span>(${this.escapeHTML(change.reason)})</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
     // Helper methods
     showSearchResults(count) {
         const header = document.getElementById('searchResultsHeader');
@@ -588,8 +1145,14 @@ class UIRenderer {
         this.renderEvents();
     }
 
-    animateElements(elements) {
+    // Staggers the cards' entrance animation, or with `animate` false turns it off, for content that
+    // is only being brought up to date
+    animateElements(elements, animate = true) {
         Array.from(elements).forEach((element, index) => {
+            if (!animate) {
+                element.classList.add('no-animation');
+                return;
+            }
             element.style.animationDelay = `${index * 0.1}s`;
             element.classList.add('animated');
         });
@@ -608,6 +1171,642 @@ class UIRenderer {
         }, 3000);
     }
 
+    // ==================== MENU ITEM OPTIONS ====================
+    // The picker for sizes, add-ons and required choices, opened from items that have them
+    initItemOptions() {
+        const form = document.getElementById('itemOptionsForm');
+        if (!form) return;
+        
+        document.getElementById('itemOptionsClose').addEventListener('click', () => this.closeItemOptions());
+        document.getElementById('itemOptionsOverlay').addEventListener('click', () => this.closeItemOptions());
+        form.addEventListener('change', () => this.updateItemOptions());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addItemWithOptions();
+        });
+    }
+
+    openItemOptions(item) {
+        const selected = MenuOptions.defaultSelections(item);
+        this.optionsItem = item;
+        
+        document.getElementById('itemOptionsTitle').textContent = item.name;
+        document.getElementById('itemOptionGroups').innerHTML = item.optionGroups.map(group => {
+            // One pick is a radio button, several are checkboxes
+            const type = group.max === 1 ? 'radio' : 'checkbox';
+            const limits = MenuOptions.describeLimits(group);
+            // An optional single choice can be left out, which a radio button alone can't do
+            const none = type === 'radio' && !group.min ? `
+                <label class="option-choice">
+                    <input type="radio" name="option-${group.id}" value="" checked>
+                    <span>None</span>
+                </label>
+            ` : '';
+            return `
+                <fieldset class="option-group" data-group="${group.id}">
+                    <legend>${this.escapeHTML(group.name)}<small>${group.min ? `Required, ${limits}` : limits}</small></legend>
+                    ${none}
+                    ${group.options.map(option => {
+                        const delta = option.priceDelta || 0;
+                        const checked = (selected[group.id] || []).includes(option.id) ? ' checked' : '';
+                        return `
+                            <label class="option-choice">
+                                <input type="${type}" name="option-${group.id}" value="${option.id}"${checked}>
+                                <span>${this.escapeHTML(option.name)}</span>
+                                ${delta ? `<span class="option-delta">${delta > 0 ? '+' : '-'}$${Math.abs(delta).toFixed(2)}</span>` : ''}
+                            </label>
+                        `;
+                    }).join('')}
+                </fieldset>
+            `;
+        }).join('');
+        this.updateItemOptions();
+        
+        document.getElementById('itemOptionsModal').classList.add('open');
+        document.getElementById('itemOptionsOverlay').classList.add('show');
+    }
+
+    closeItemOptions() {
+        document.getElementById('itemOptionsModal').classList.remove('open');
+        document.getElementById('itemOptionsOverlay').classList.remove('show');
+        this.optionsItem = null;
+    }
+
+    // The options ticked in the picker, by group id
+    readItemOptions() {
+        const options = {};
+        document.querySelectorAll('#itemOptionGroups .option-group').forEach(fieldset => {
+            const picked = Array.from(fieldset.querySelectorAll('input:checked')).map(input => input.value).filter(Boolean);
+            if (picked.length) options[fieldset.dataset.group] = picked;
+        });
+        return options;
+    }
+
+    // Shows the price with the options ticked, and stops more add-ons being ticked than a group allows
+    updateItemOptions() {
+        const item = this.optionsItem;
+        if (!item) return;
+        
+        item.optionGroups.forEach(group => {
+            if (group.max === 1) return;
+            const inputs = Array.from(document.querySelectorAll(`#itemOptionGroups [data-group="${group.id}"] input`));
+            const full = inputs.filter(input => input.checked).length >= group.max;
+            inputs.forEach(input => {
+                input.disabled = full && !input.checked;
+            });
+        });
+        
+        const priced = MenuOptions.priceWithOptions(item, this.readItemOptions());
+        document.getElementById('itemOptionsSubmitLabel').textContent = `Add to cart - $${priced.price.toFixed(2)}`;
+    }
+
+    addItemWithOptions() {
+        const item = this.optionsItem;
+        if (!item) return;
+        
+        const options = this.readItemOptions();
+        const priced = MenuOptions.priceWithOptions(item, options);
+        if (priced.problems.length) {
+            this.showToast(priced.problems[0], 'warning');
+            return;
+        }
+        
+        this.closeItemOptions();
+        this.addToCart(item, options, priced);
+    }
+
+    // ==================== CART & CHECKOUT ====================
+    initCart() {
+        const cartToggle = document.getElementById('cartToggle');
+        const cartClose = document.getElementById('cartClose');
+        const cartOverlay = document.getElementById('cartOverlay');
+        const cartItems = document.getElementById('cartItems');
+        const checkoutForm = document.getElementById('checkoutForm');
+        
+        if (cartToggle) cartToggle.addEventListener('click', () => this.openCart());
+        if (cartClose) cartClose.addEventListener('click', () => this.closeCart());
+        if (cartOverlay) cartOverlay.addEventListener('click', () => this.closeCart());
+        
+        // Quantity and remove buttons on each cart line
+        if (cartItems) {
+            cartItems.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                
+                const key = button.dataset.key;
+                const line = this.cart.find(key);
+                if (!line) return;
+                
+                if (button.dataset.action === 'increase') this.cart.setQuantity(key, line.quantity + 1);
+                if (button.dataset.action === 'decrease') this.cart.setQuantity(key, line.quantity - 1);
+                if (button.dataset.action === 'remove') this.cart.remove(key);
+                this.renderCart();
+            });
+        }
+        
+        if (checkoutForm) {
+            checkoutForm.querySelectorAll('input[name="orderType"]').forEach(input => {
+                input.addEventListener('change', () => this.updateOrderTypeFields());
+            });
+            checkoutForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitOrder();
+            });
+            this.updateOrderTypeFields();
+        }
+        
+        this.renderCart();
+    }
+
+    openCart() {
+        document.getElementById('cartDrawer').classList.add('open');
+        document.getElementById('cartOverlay').classList.add('show');
+    }
+
+    closeCart() {
+        document.getElementById('cartDrawer').classList.remove('open');
+        document.getElementById('cartOverlay').classList.remove('show');
+        
+        // Start the next order from the cart, not the last confirmation
+        const confirmation = document.getElementById('orderConfirmation');
+        if (confirmation && confirmation.style.display !== 'none') {
+            confirmation.style.display = 'none';
+            this.renderCart();
+        }
+    }
+
+    addToCart(item, options, priced) {
+        this.cart.add(item, options, priced);
+        this.renderCart();
+        this.showToast(`${item.name} added to cart`);
+    }
+
+    renderCart() {
+        const cartCount = document.getElementById('cartCount');
+        const cartItems = document.getElementById('cartItems');
+        const cartTotal = document.getElementById('cartTotal');
+        const checkoutForm = document.getElementById('checkoutForm');
+        
+        if (cartCount) {
+            cartCount.textContent = this.cart.count;
+            cartCount.style.display = this.cart.count > 0 ? 'inline-block' : 'none';
+        }
+        if (cartTotal) cartTotal.textContent = `$${this.cart.total.toFixed(2)}`;
+        if (checkoutForm) checkoutForm.style.display = this.cart.lines.length ? 'block' : 'none';
+        if (!cartItems) return;
+        
+        if (this.cart.lines.length === 0) {
+            cartItems.innerHTML = `
+                <div class="cart-empty">
+                    <i class="fas fa-shopping-basket"></i>
+                    <p>Your cart is empty. Add something from the menu!</p>
+                </div>
+            `;
+            return;
+        }
+        
+        cartItems.innerHTML = this.cart.lines.map(line => `
+            <div class="cart-line">
+                <div class="cart-line-info">
+                    <h4>${this.escapeHTML(line.name)}</h4>
+                    ${line.choices && line.choices.length ? `<span class="cart-line-options">${this.escapeHTML(MenuOptions.describeChoices(line.choices))}</span>` : ''}
+                    <span>$${line.price.toFixed(2)} each</span>
+                </div>
+                <div class="cart-line-quantity">
+                    <button data-action="decrease" data-key="${line.key}" aria-label="Remove one">-</button>
+                    <span>${line.quantity}</span>
+                    <button data-action="increase" data-key="${line.key}" aria-label="Add one">+</button>
+                </div>
+                <div class="cart-line-total">$${(line.price * line.quantity).toFixed(2)}</div>
+                <button class="cart-line-remove" data-action="remove" data-key="${line.key}" aria-label="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    // Dine-in orders ask for a table, pickup orders for a time
+    updateOrderTypeFields() {
+        const type = document.querySelector('#checkoutForm input[name="orderType"]:checked');
+        const dineIn = type && type.value === 'dine-in';
+        document.getElementById('tableField').style.display = dineIn ? 'block' : 'none';
+        document.getElementById('pickupTimeField').style.display = dineIn ? 'none' : 'block';
+    }
+
+    async submitOrder() {
+        const form = document.getElementById('checkoutForm');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const type = form.querySelector('input[name="orderType"]:checked').value;
+        
+        const order = {
+            type,
+            customer: {
+                name: document.getElementById('customerName').value.trim(),
+                phone: document.getElementById('customerPhone').value.trim()
+            },
+            // The prices shown, so the server can tell us if they've changed since
+            items: this.cart.lines.map(line => {
+                const item = { id: line.id, quantity: line.quantity, price: line.price };
+                if (line.options && Object.keys(line.options).length) item.options = line.options;
+                return item;
+            })
+        };
+        const email = document.getElementById('customerEmail').value.trim();
+        const table = document.getElementById('orderTable').value.trim();
+        const pickupTime = document.getElementById('pickupTime').value;
+        const notes = document.getElementById('orderNotes').value.trim();
+        if (email) order.customer.email = email;
+        if (type === 'dine-in' && table) order.table = table;
+        if (type === 'pickup' && pickupTime) order.pickupTime = pickupTime;
+        if (notes) order.notes = notes;
+        
+        submitBtn.disabled = true;
+        try {
+            const result = await this.api.placeOrder(order);
+            
+            if (result.success) {
+                this.cart.clear();
+                form.reset();
+                this.updateOrderTypeFields();
+                this.renderCart();
+                this.showOrderConfirmation(result.order);
+            } else if (result.changes) {
+                this.cart.applyChanges(result.changes);
+                this.renderCart();
+                this.showToast(result.error, 'warning');
+            } else {
+                this.showToast(result.error || 'Failed to place order', 'error');
+            }
+        } catch (error) {
+            console.error('Error placing order:', error);
+            this.showToast('Failed to place order. Please check your connection or call us.', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    showOrderConfirmation(order) {
+        const confirmation = document.getElementById('orderConfirmation');
+        if (!confirmation) return;
+        
+        const when = order.type === 'dine-in'
+            ? (order.table ? `We'll bring it to table ${this.escapeHTML(order.table)}.` : 'We\'ll bring it to your table.')
+            : (order.pickupTime ? `It will be ready for pickup at ${order.pickupTime}.` : 'We\'ll have it ready for pickup as soon as possible.');
+        
+        confirmation.innerHTML = `
+            <i class="fas fa-check-circle"></i>
+            <h3>Thank you, ${this.escapeHTML(order.customer.name)}!</h3>
+            <p>Your order <strong>#${order.id}</strong> has been received.</p>
+            <p>${when}</p>
+            <p class="cart-total-row">Total: <strong>$${order.total.toFixed(2)}</strong></p>
+        `;
+        confirmation.style.display = 'block';
+        document.getElementById('cartItems').innerHTML = '';
+    }
+
+    // ==================== EVENT RSVPS ====================
+    // Tokens of the RSVPs made from this browser, by event id, so guests can cancel them later
+    loadMyRsvps() {
+        try {
+            return JSON.parse(localStorage.getItem('cafe_rsvps')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveMyRsvps(myRsvps) {
+        localStorage.setItem('cafe_rsvps', JSON.stringify(myRsvps));
+    }
+
+    // Places left and the RSVP or cancel button, for events that take RSVPs
+    createRsvpBlock(event) {
+        const summary = this.rsvpSummary[event.id];
+        if (!summary) return '';
+        
+        const mine = this.loadMyRsvps()[event.id];
+        const full = summary.spotsLeft === 0;
+        let info = summary.rsvpRequired ? 'RSVP required' : 'RSVP to save your place';
+        if (summary.spotsLeft !== null) {
+            info = full ? 'Fully booked - join the waitlist' : `${summary.spotsLeft} of ${summary.capacity} places left`;
+        }
+        
+        if (mine) {
+            return `
+                <div class="event-rsvp">
+                    <span><i class="fas fa-check-circle"></i> ${mine.status === 'waitlist' ? 'You\'re on the waitlist' : 'You\'re going'}</span>
+                    <button class="btn-secondary" data-rsvp-cancel="${event.id}">Cancel RSVP</button>
+                </div>
+            `;
+        }
+        return `
+            <div class="event-rsvp">
+                <span>${info}</span>
+                <button class="btn-primary" data-rsvp="${event.id}">${full ? 'Join Waitlist' : 'RSVP'}</button>
+            </div>
+        `;
+    }
+
+    initRsvp() {
+        const eventsGrid = document.getElementById('eventsGrid');
+        const form = document.getElementById('rsvpForm');
+        if (!eventsGrid || !form) return;
+        
+        eventsGrid.addEventListener('click', (e) => {
+            const rsvpButton = e.target.closest('[data-rsvp]');
+            const cancelButton = e.target.closest('[data-rsvp-cancel]');
+            if (rsvpButton) this.openRsvp(parseInt(rsvpButton.dataset.rsvp));
+            if (cancelButton) this.cancelRsvp(parseInt(cancelButton.dataset.rsvpCancel));
+        });
+        
+        document.getElementById('rsvpClose').addEventListener('click', () => this.closeRsvp());
+        document.getElementById('rsvpOverlay').addEventListener('click', () => this.closeRsvp());
+        
+        document.getElementById('rsvpGuests').innerHTML = Array.from({ length: RSVP_MAX_GUESTS }, (_, index) =>
+            `<option value="${index + 1}">${index + 1}</option>`).join('');
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitRsvp();
+        });
+    }
+
+    openRsvp(eventId) {
+        const event = this.events.find(candidate => candidate.id === eventId);
+        const summary = this.rsvpSummary[eventId];
+        if (!event || !summary) return;
+        
+        this.rsvpEventId = eventId;
+        document.getElementById('rsvpTitle').textContent = event.name;
+        document.getElementById('rsvpInfo').textContent = summary.spotsLeft === 0
+            ? 'This event is full. Join the waitlist and your place is confirmed as soon as one opens up.'
+            : event.date;
+        document.getElementById('rsvpSubmitLabel').textContent = summary.spotsLeft === 0 ? 'Join Waitlist' : 'RSVP';
+        
+        document.getElementById('rsvpModal').classList.add('open');
+        document.getElementById('rsvpOverlay').classList.add('show');
+        document.getElementById('rsvpName').focus();
+    }
+
+    closeRsvp() {
+        document.getElementById('rsvpModal').classList.remove('open');
+        document.getElementById('rsvpOverlay').classList.remove('show');
+        this.rsvpEventId = null;
+    }
+
+    async submitRsvp() {
+        const form = document.getElementById('rsvpForm');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const eventId = this.rsvpEventId;
+        
+        const rsvp = {
+            eventId,
+            name: document.getElementById('rsvpName').value.trim(),
+            email: document.getElementById('rsvpEmail').value.trim(),
+            guests: parseInt(document.getElementById('rsvpGuests').value)
+        };
+        const phone = document.getElementById('rsvpPhone').value.trim();
+        if (phone) rsvp.phone = phone;
+        
+        submitBtn.disabled = true;
+        try {
+            const result = await this.api.rsvp(rsvp);
+            if (!result.success) {
+                this.showToast(result.error || 'Failed to RSVP', 'error');
+                return;
+            }
+            
+            const myRsvps = this.loadMyRsvps();
+            myRsvps[eventId] = { token: result.token, status: result.rsvp.status };
+            this.saveMyRsvps(myRsvps);
+            
+            form.reset();
+            this.closeRsvp();
+            this.showToast(result.message, result.rsvp.status === 'going' ? 'success' : 'warning');
+            await this.renderEvents();
+        } catch (error) {
+            console.error('Error sending RSVP:', error);
+            this.showToast('Failed to RSVP. Please check your connection or call us.', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async cancelRsvp(eventId) {
+        const myRsvps = this.loadMyRsvps();
+        const mine = myRsvps[eventId];
+        if (!mine || !confirm('Cancel your RSVP for this event?')) return;
+        
+        try {
+            const result = await this.api.cancelRsvp(mine.token);
+            // An RSVP the server no longer knows is as good as cancelled
+            if (!result.success && !/not found/i.test(result.error || '')) {
+                this.showToast(result.error || 'Failed to cancel RSVP', 'error');
+                return;
+            }
+            
+            delete myRsvps[eventId];
+            this.saveMyRsvps(myRsvps);
+            this.showToast('Your RSVP has been cancelled');
+            await this.renderEvents();
+        } catch (error) {
+            console.error('Error cancelling RSVP:', error);
+            this.showToast('Failed to cancel RSVP. Please check your connection.', 'error');
+        }
+    }
+
+    // ==================== TABLE RESERVATIONS ====================
+    async initReservations() {
+        const form = document.getElementById('reservationForm');
+        if (!form) return;
+        
+        const dateInput = document.getElementById('reservationDate');
+        const partySelect = document.getElementById('reservationParty');
+        const settings = await this.api.getTableSettings();
+        const contact = await this.api.getContactData();
+        const maxPartySize = settings ? settings.maxPartySize : 8;
+        
+        partySelect.innerHTML = Array.from({ length: maxPartySize }, (_, index) => {
+            const size = index + 1;
+            return `<option value="${size}"${size === 2 ? ' selected' : ''}>${size} ${size === 1 ? 'guest' : 'guests'}</option>`;
+        }).join('');
+        
+        // Bookings go by the cafe's calendar, which can be a day off from the guest's
+        const today = this.toDateValue(this.cafeNowFor(contact));
+        dateInput.min = today;
+        if (settings) {
+            dateInput.max = OpeningHours.addDays(today, settings.bookingDaysAhead);
+        }
+        
+        dateInput.addEventListener('change', () => this.loadReservationSlots());
+        partySelect.addEventListener('change', () => this.loadReservationSlots());
+        
+        document.getElementById('reservationSlots').addEventListener('click', (e) => {
+            const slot = e.target.closest('.reservation-slot');
+            if (!slot || slot.disabled) return;
+            this.selectedReservationTime = slot.dataset.time;
+            this.renderReservationSlots();
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReservation();
+        });
+    }
+
+    // The time on the cafe's clock, for specials, event times and bookings, which go by the cafe's
+    // day rather than the visitor's. The visitor's own time until the opening hours have loaded.
+    async cafeNow() {
+        return this.cafeNowFor(await this.api.getContactData());
+    }
+
+    cafeNowFor(contact) {
+        return contact && contact.openingHours
+            ? OpeningHours.cafeDate(contact.openingHours.timeZone)
+            : new Date();
+    }
+
+    // "YYYY-MM-DD" in the visitor's local time, as date inputs expect
+    toDateValue(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    async loadReservationSlots() {
+        const date = document.getElementById('reservationDate').value;
+        const container = document.getElementById('reservationSlots');
+        this.reservationSlots = [];
+        this.reservationClosure = null;
+        if (!date) return;
+        
+        container.innerHTML = '<p class="checkout-note">Checking free tables...</p>';
+        try {
+            const party = parseInt(document.getElementById('reservationParty').value);
+            const result = await this.api.getAvailability(date, party);
+            if (!result.success) {
+                container.innerHTML = `<p class="checkout-note">${this.escapeHTML(result.error)}</p>`;
+                return;
+            }
+            this.reservationSlots = result.slots;
+            this.reservationClosure = result.closure;
+        } catch (error) {
+            console.error('Error checking availability:', error);
+            container.innerHTML = '<p class="checkout-note">Couldn\'t check free tables. Please try again or call us.</p>';
+            return;
+        }
+        
+        // Keep the chosen time if it is still free
+        const selected = this.reservationSlots.find(slot => slot.time === this.selectedReservationTime);
+        if (!selected || !selected.available) this.selectedReservationTime = null;
+        this.renderReservationSlots();
+    }
+
+    renderReservationSlots() {
+        const container = document.getElementById('reservationSlots');
+        if (!container) return;
+        
+        if (this.reservationClosure) {
+            const reason = this.reservationClosure.reason;
+            container.innerHTML = `<p class="checkout-note">We're closed on this day${reason ? ` for ${this.escapeHTML(reason)}` : ''}.</p>`;
+            return;
+        }
+        if (this.reservationSlots.length === 0) {
+            container.innerHTML = '<p class="checkout-note">We don\'t take bookings on this day.</p>';
+            return;
+        }
+        if (!this.reservationSlots.some(slot => slot.available)) {
+            container.innerHTML = '<p class="checkout-note">We\'re fully booked on this day. Please try another date.</p>';
+            return;
+        }
+        
+        container.innerHTML = this.reservationSlots.map(slot => `
+            <button type="button" class="reservation-slot${slot.time === this.selectedReservationTime ? ' selected' : ''}"
+                data-time="${slot.time}" ${slot.available ? '' : 'disabled'}>
+                ${slot.time}
+            </button>
+        `).join('');
+    }
+
+    async submitReservation() {
+        const form = document.getElementById('reservationForm');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        
+        if (!this.selectedReservationTime) {
+            this.showToast('Please pick a time', 'warning');
+            return;
+        }
+        
+        const reservation = {
+            date: document.getElementById('reservationDate').value,
+            time: this.selectedReservationTime,
+            partySize: parseInt(document.getElementById('reservationParty').value),
+            customer: {
+                name: document.getElementById('reservationName').value.trim(),
+                phone: document.getElementById('reservationPhone').value.trim()
+            }
+        };
+        const email = document.getElementById('reservationEmail').value.trim();
+        const notes = document.getElementById('reservationNotes').value.trim();
+        if (email) reservation.customer.email = email;
+        if (notes) reservation.notes = notes;
+        
+        submitBtn.disabled = true;
+        try {
+            const result = await this.api.bookTable(reservation);
+            
+            if (result.success) {
+                this.showReservationConfirmation(result.reservation);
+            } else {
+                this.showToast(result.error || 'Failed to book a table', 'error');
+                // Someone may have just taken the time
+                await this.loadReservationSlots();
+            }
+        } catch (error) {
+            console.error('Error booking table:', error);
+            this.showToast('Failed to book a table. Please check your connection or call us.', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    showReservationConfirmation(reservation) {
+        const form = document.getElementById('reservationForm');
+        const confirmation = document.getElementById('reservationConfirmation');
+        if (!confirmation) return;
+        
+        const day = new Date(`${reservation.date}T00:00:00`).toLocaleDateString(undefined, {
+            weekday: 'long', day: 'numeric', month: 'long'
+        });
+        
+        confirmation.innerHTML = `
+            <i class="fas fa-calendar-check"></i>
+            <h3>Thank you, ${this.escapeHTML(reservation.customer.name)}!</h3>
+            <p>We've received your booking <strong>#${reservation.id}</strong> for ${reservation.partySize}
+                on ${day} at ${reservation.time}.</p>
+            <p>We'll call you on ${this.escapeHTML(reservation.customer.phone)} if anything changes.</p>
+            <button type="button" class="btn-secondary" id="newReservation">Book another table</button>
+        `;
+        confirmation.style.display = 'block';
+        form.style.display = 'none';
+        
+        document.getElementById('newReservation').addEventListener('click', () => {
+            form.reset();
+            this.selectedReservationTime = null;
+            this.reservationSlots = [];
+            document.getElementById('reservationSlots').innerHTML = '<p class="checkout-note">Pick a date to see the free times.</p>';
+            confirmation.style.display = 'none';
+            form.style.display = 'block';
+        });
+    }
+
+    escapeHTML(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+
     // Initialize search functionality
     initSearch() {
         const searchInput = document.getElementById('searchInput');
@@ -646,16 +1845,26 @@ class UIRenderer {
         }
     }
 
-    // Refresh all data
+    // Reloads only the sections that show a data file that changed on the server, without replaying
+    // their entrance animations
+    async refreshFile(filename) {
+        const sections = FILE_SECTIONS[filename];
+        if (!sections) return;
+
+        this.api.invalidate(filename);
+        await Promise.all(sections.map(section => this[section]({ animate: false })));
+    }
+
+    // Reloads every section, quietly: it runs in the background while live updates are down
     async refreshData() {
         this.api.clearCache();
         await Promise.all([
-            this.renderMenu(),
-            this.renderSpecials(),
-            this.renderEvents(),
-            this.renderContact()
+            this.renderAnnouncements(),
+            this.renderMenu({ animate: false }),
+            this.renderSpecials({ animate: false }),
+            this.renderEvents({ animate: false }),
+            this.renderContact({ animate: false })
         ]);
-        this.showToast('Data refreshed successfully');
     }
 }
 
@@ -663,6 +1872,9 @@ class UIRenderer {
 class CafeApp {
     constructor() {
         this.ui = new UIRenderer();
+        // Live updates from the server, and the polling that stands in while they're down
+        this.stream = null;
+        this.pollTimer = null;
         this.init();
     }
 
@@ -671,25 +1883,79 @@ class CafeApp {
         this.initNavigation();
         this.initBackgroundAnimation();
         
-        // Render all sections
+        // A preview link has to be checked before the data it changes is loaded
+        await this.ui.initPreview();
+        
+        // Render the announcement banners and all sections
         await Promise.all([
+            this.ui.renderAnnouncements(),
             this.ui.renderMenu(),
             this.ui.renderSpecials(),
             this.ui.renderEvents(),
             this.ui.renderContact()
         ]);
         
-        // Initialize search
+        // Initialize search and the dietary filters
         this.ui.initSearch();
+        this.ui.renderDietFilters();
         
-        // Set up periodic refresh (every 30 seconds)
-        setInterval(() => {
-            this.ui.refreshData();
-        }, 30000);
+        // Cart and checkout, and the options picker for items with sizes or add-ons
+        this.ui.initCart();
+        this.ui.initItemOptions();
+        
+        // Table booking form
+        this.ui.initReservations();
+        
+        // RSVP buttons on the events
+        this.ui.initRsvp();
+        
+        // Keep the page up to date as the cafe changes things
+        this.connectStream();
         
         console.log('The Bonparte Cafe website initialized successfully!');
     }
 
+    // Reloads a section as soon as its data file changes on the server. While the stream is down the
+    // whole page is reloaded every POLL_INTERVAL instead, and once it is back once more to catch up.
+    connectStream() {
+        if (!window.EventSource) {
+            this.startPolling();
+            return;
+        }
+
+        const stream = new EventSource('/api/stream');
+        this.stream = stream;
+        let dropped = false;
+
+        stream.addEventListener('change', (event) => {
+            const change = JSON.parse(event.data);
+            this.ui.refreshFile(change.filename);
+        });
+
+        stream.onopen = () => {
+            if (!dropped) return;
+            dropped = false;
+            this.stopPolling();
+            this.ui.refreshData();
+        };
+
+        // The browser reconnects by itself unless the server turned the stream away
+        stream.onerror = () => {
+            dropped = true;
+            this.startPolling();
+        };
+    }
+
+    startPolling() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this.ui.refreshData(), POLL_INTERVAL);
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
     initNavigation() {
         const navbar = document.querySelector('.navbar');
         const navLinks = document.querySelectorAll('.nav-link');
@@ -0,0 +1,82 @@
+// Which announcements the website shows, shared by the server (require) and the website and admin
+// panel (<script>).
+//
+// An announcement has a `message`, a `severity` ('info', 'warning' or 'critical') and an optional
+// `link` ({ url, label }). It shows from its optional `startsAt` until its optional `endsAt`, both
+// date-times like '2026-12-24T18:00:00.000Z'; without them it shows until it's deleted.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Announcements = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Most important first, the order banners stack in. Font Awesome icons for the website's banners.
+    const SEVERITIES = {
+        critical: { label: 'Important', icon: 'fa-exclamation-circle' },
+        warning: { label: 'Warning', icon: 'fa-exclamation-triangle' },
+        info: { label: 'Info', icon: 'fa-info-circle' }
+    };
+
+    const SEVERITY_ORDER = Object.keys(SEVERITIES);
+
+    function timeOf(value) {
+        return value ? new Date(value).getTime() : null;
+    }
+
+    // Where an announcement is at `now`: 'scheduled' (not started), 'showing' or 'expired'
+    function status(announcement, now = new Date()) {
+        const time = now.getTime();
+        const startsAt = timeOf(announcement.startsAt);
+        const endsAt = timeOf(announcement.endsAt);
+        if (startsAt !== null && time < startsAt) return 'scheduled';
+        if (endsAt !== null && time >= endsAt) return 'expired';
+        return 'showing';
+    }
+
+    function isVisible(announcement, now = new Date()) {
+        return status(announcement, now) === 'showing';
+    }
+
+    // The announcements showing at `now`, most important first and then newest first
+    function visibleAnnouncements(announcements, now = new Date()) {
+        return announcements
+            .filter(announcement => isVisible(announcement, now))
+            .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+                || (timeOf(b.startsAt) || 0) - (timeOf(a.startsAt) || 0));
+    }
+
+    // When the next announcement starts or ends after `now`, as a timestamp, or null when none will,
+    // so a page left open can update its banners right then
+    function nextChange(announcements, now = new Date()) {
+        const times = announcements
+            .flatMap(announcement => [timeOf(announcement.startsAt), timeOf(announcement.endsAt)])
+            .filter(time => time !== null && time > now.getTime());
+        return times.length ? Math.min(...times) : null;
+    }
+
+    // Checks the schema can't express, on an announcements.json that passed it. Returns errors like the
+    // schema validator's: [{ path, message }].
+    //  - an announcement has to stop showing after it starts
+    function findProblems(data) {
+        const errors = [];
+
+        (data.announcements || []).forEach((announcement, index) => {
+            const startsAt = timeOf(announcement.startsAt);
+            const endsAt = timeOf(announcement.endsAt);
+            if (startsAt !== null && endsAt !== null && endsAt <= startsAt) {
+                errors.push({ path: `announcements[${index}].endsAt`, message: 'must be after the start' });
+            }
+        });
+        return errors;
+    }
+
+    return {
+        SEVERITIES,
+        status,
+        isVisible,
+        visibleAnnouncements,
+        nextChange,
+        findProblems
+    };
+}));
@@ -0,0 +1,116 @@
+// Dietary tags, allergens and spice levels of menu items, shared by the server (require) and the
+// website and admin panel (<script>).
+//
+// An item can have `dietary` tags ('vegetarian', 'halal', ...), the `allergens` it contains ('nuts',
+// 'dairy', ...) and a `spiceLevel` from 0 (not spicy) to 3 (hot). An item without an `allergens` list
+// hasn't been checked, which is not the same as an empty list: it is never shown as free from anything.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Dietary = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Font Awesome icons with each tag, for the website's badges
+    const DIETARY = {
+        vegetarian: { label: 'Vegetarian', icon: 'fa-carrot' },
+        vegan: { label: 'Vegan', icon: 'fa-leaf' },
+        halal: { label: 'Halal', icon: 'fa-star-and-crescent' },
+        'gluten-free': { label: 'Gluten-free', icon: 'fa-wheat-awn' },
+        'dairy-free': { label: 'Dairy-free', icon: 'fa-cow' }
+    };
+
+    const ALLERGENS = {
+        nuts: 'Tree nuts',
+        peanuts: 'Peanuts',
+        gluten: 'Gluten',
+        dairy: 'Dairy',
+        eggs: 'Eggs',
+        soy: 'Soy',
+        fish: 'Fish',
+        shellfish: 'Shellfish',
+        sesame: 'Sesame'
+    };
+
+    const SPICE_LEVELS = ['Not spicy', 'Mild', 'Medium', 'Hot'];
+
+    // Allergens a dietary tag rules out, so an item can't claim both
+    const EXCLUDES = {
+        vegetarian: ['fish', 'shellfish'],
+        vegan: ['dairy', 'eggs', 'fish', 'shellfish'],
+        'gluten-free': ['gluten'],
+        'dairy-free': ['dairy']
+    };
+
+    // The website's filter chips. Dietary tags show the items that have them; the others leave out
+    // items with an allergen (or unchecked ones) or spicy ones.
+    const FILTERS = {
+        ...Object.fromEntries(Object.entries(DIETARY).map(([tag, { label, icon }]) => [tag, {
+            label,
+            icon,
+            matches: item => (item.dietary || []).includes(tag)
+        }])),
+        'nut-free': {
+            label: 'Nut-free',
+            icon: 'fa-ban',
+            matches: item => Array.isArray(item.allergens) && !item.allergens.some(allergen => allergen === 'nuts' || allergen === 'peanuts')
+        },
+        mild: {
+            label: 'Not too spicy',
+            icon: 'fa-pepper-hot',
+            matches: item => (item.spiceLevel || 0) <= 1
+        }
+    };
+
+    // Whether an item passes every filter in `filters` (ids of FILTERS)
+    function matchesFilters(item, filters) {
+        return [...filters].every(filter => !FILTERS[filter] || FILTERS[filter].matches(item));
+    }
+
+    // 'Tree nuts, Dairy'
+    function describeAllergens(item) {
+        return (item.allergens || []).map(allergen => ALLERGENS[allergen] || allergen).join(', ');
+    }
+
+    // Checks the schema can't express, on a menu.json that passed it. Returns errors like the
+    // schema validator's: [{ path, message }].
+    //  - a tag can't go with an allergen it rules out (a vegan item containing dairy)
+    //  - a vegan item is also vegetarian and dairy-free, so filtering by either finds it
+    function findProblems(data) {
+        const errors = [];
+
+        (data.items || []).forEach((item, index) => {
+            const dietary = item.dietary || [];
+            const allergens = item.allergens || [];
+
+            dietary.forEach(tag => {
+                const clash = (EXCLUDES[tag] || []).filter(allergen => allergens.includes(allergen));
+                if (clash.length) {
+                    errors.push({
+                        path: `items[${index}].allergens`,
+                        message: `contains ${clash.map(allergen => ALLERGENS[allergen].toLowerCase()).join(' and ')}, so the item can't be ${DIETARY[tag].label.toLowerCase()}`
+                    });
+                }
+            });
+
+            const missing = ['vegetarian', 'dairy-free'].filter(tag => !dietary.includes(tag));
+            if (dietary.includes('vegan') && missing.length) {
+                errors.push({
+                    path: `items[${index}].dietary`,
+                    message: `must also be ${missing.map(tag => DIETARY[tag].label.toLowerCase()).join(' and ')} for a vegan item`
+                });
+            }
+        });
+        return errors;
+    }
+
+    return {
+        DIETARY,
+        ALLERGENS,
+        SPICE_LEVELS,
+        FILTERS,
+        matchesFilters,
+        describeAllergens,
+        findProblems
+    };
+}));
@@ -0,0 +1,153 @@
+// Sizes, add-ons and required choices on menu items, shared by the server (require) and the website
+// and admin panel (<script>).
+//
+// An item can have `optionGroups`, each with an `id`, a `name`, how many of its `options` a guest
+// picks (`min` to `max`; a `min` of 1 or more makes the choice required) and the options themselves,
+// each with an `id`, a `name` and a `priceDelta` added to the item's price (negative for a smaller size):
+//
+//   { id: 'size', name: 'Size', min: 1, max: 1, options: [{ id: 'large', name: 'Large', priceDelta: 0.5 }] }
+//
+// What a guest picked is kept by group id: { size: ['large'], extras: ['cheese', 'patty'] }.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MenuOptions = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    function roundPrice(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    function groupsOf(item) {
+        return item.optionGroups || [];
+    }
+
+    // The price deltas of a group's options, lowest first
+    function sortedDeltas(group) {
+        return group.options.map(option => option.priceDelta || 0).sort((a, b) => a - b);
+    }
+
+    // The lowest price an item can be ordered at, and whether `from` belongs in front of it because
+    // some choices cost more: { price, from }
+    function fromPrice(item) {
+        let price = item.price;
+        let from = false;
+
+        groupsOf(item).forEach(group => {
+            const deltas = sortedDeltas(group);
+            price += deltas.slice(0, group.min || 0).reduce((sum, delta) => sum + delta, 0);
+            // Anything beyond the cheapest required picks costs extra when it isn't free
+            const optional = deltas.slice(group.min || 0, group.max);
+            if (deltas[0] !== deltas[deltas.length - 1] || optional.some(delta => delta > 0)) from = true;
+        });
+        return { price: roundPrice(price), from };
+    }
+
+    // What a guest has picked before changing anything: the first option of every required
+    // single choice, so a size picker starts on the first size
+    function defaultSelections(item) {
+        const selections = {};
+        groupsOf(item).forEach(group => {
+            if (group.min === 1 && group.max === 1 && group.options.length) selections[group.id] = [group.options[0].id];
+        });
+        return selections;
+    }
+
+    // Prices an item with the options a guest picked:
+    //   { price, choices: [{ group: 'Size', options: ['Large'] }], problems: ['Sauce: choose 1'] }
+    // `price` is for one item. Anything in `problems` means the selection can't be ordered.
+    function priceWithOptions(item, selections = {}) {
+        const groups = groupsOf(item);
+        const choices = [];
+        const problems = [];
+        let price = item.price;
+
+        Object.keys(selections).forEach(groupId => {
+            if (!groups.some(group => group.id === groupId)) problems.push(`"${groupId}" is not an option group`);
+        });
+
+        groups.forEach(group => {
+            const picked = selections[group.id] || [];
+            const options = [];
+            picked.forEach(optionId => {
+                const option = group.options.find(candidate => candidate.id === optionId);
+                if (!option) {
+                    problems.push(`${group.name}: "${optionId}" is not an option`);
+                } else if (options.includes(option)) {
+                    problems.push(`${group.name}: ${option.name} is picked twice`);
+                } else {
+                    options.push(option);
+                }
+            });
+
+            const min = group.min || 0;
+            if (options.length < min || options.length > group.max) {
+                problems.push(`${group.name}: ${describeLimits(group)}`);
+            }
+
+            price += options.reduce((sum, option) => sum + (option.priceDelta || 0), 0);
+            if (options.length) choices.push({ group: group.name, options: options.map(option => option.name) });
+        });
+
+        return { price: roundPrice(price), choices, problems };
+    }
+
+    // 'choose 1', 'choose up to 3' or 'choose 1 to 2'
+    function describeLimits(group) {
+        const min = group.min || 0;
+        if (min === group.max) return `choose ${min}`;
+        if (min === 0) return `choose up to ${group.max}`;
+        return `choose ${min} to ${group.max}`;
+    }
+
+    // 'Large, Extra Cheese, Extra Patty'
+    function describeChoices(choices) {
+        return (choices || []).flatMap(choice => choice.options).join(', ');
+    }
+
+    // The same selections always give the same key, whatever order they were picked in, so a cart
+    // can tell a large chai from a small one: '6' or '6|size=large|sugar=less'
+    function selectionKey(id, selections = {}) {
+        const parts = Object.keys(selections)
+            .filter(groupId => selections[groupId].length)
+            .sort()
+            .map(groupId => `${groupId}=${[...selections[groupId]].sort().join(',')}`);
+        return [id, ...parts].join('|');
+    }
+
+    // Checks the schema can't express, on a menu.json that passed it. Returns errors like the
+    // schema validator's: [{ path, message }].
+    //  - a group can't ask for more picks than it allows, or than it has options
+    //  - the cheapest way to order an item can't come to less than nothing
+    function findProblems(data) {
+        const errors = [];
+
+        (data.items || []).forEach((item, index) => {
+            const path = `items[${index}]`;
+            groupsOf(item).forEach((group, groupIndex) => {
+                const groupPath = `${path}.optionGroups[${groupIndex}]`;
+                if ((group.min || 0) > group.max) {
+                    errors.push({ path: `${groupPath}.max`, message: 'must be at least the minimum' });
+                } else if ((group.min || 0) > group.options.length) {
+                    errors.push({ path: `${groupPath}.min`, message: `can't be more than its ${group.options.length} option(s)` });
+                }
+            });
+
+            if (fromPrice(item).price < 0) {
+                errors.push({ path: `${path}.price`, message: 'with its cheapest options comes to less than $0' });
+            }
+        });
+        return errors;
+    }
+
+    return {
+        fromPrice,
+        defaultSelections,
+        priceWithOptions,
+        describeLimits,
+        describeChoices,
+        selectionKey,
+        findProblems
+    };
+}));
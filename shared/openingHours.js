@@ -0,0 +1,308 @@
+// When the cafe is open, shared by the server (require) and the website and admin panel (<script>,
+// after schedule.js).
+//
+// contact.json's `openingHours` has the cafe's IANA `timeZone` ('Europe/London'; until the owner sets
+// one, the server's own and, in the browser, the visitor's), the `weekly` hours of each day
+// ('monday', ...) as a list of shifts ([] when closed, two for a split day), `closures` for holidays
+// ({ date, endDate, reason }, endDate included) and `specialHours` that replace a day's usual hours
+// ({ date, hours, reason }). A shift is { open: '07:00', close: '23:00' }, with '24:00' for midnight.
+// A closure wins over special hours, which win over the weekly hours.
+//
+// Everything is worked out on the cafe's clock, so a guest in another time zone sees the right answer.
+// The website, admin panel and server put `now` through cafeClock() or cafeDate() for the specials,
+// event schedules, bookings and calendar feeds too.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule'));
+    } else {
+        root.OpeningHours = factory(root.EventSchedule);
+    }
+}(typeof self !== 'undefined' ? self : this, function (EventSchedule) {
+    // Date.getDay() order
+    const WEEKDAYS = EventSchedule.WEEKDAYS;
+    // The order they're listed in, Monday first
+    const WEEK = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+    const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    // How far ahead to look for the next opening, so a long holiday closure is still covered
+    const SEARCH_DAYS = 60;
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Dates are 'YYYY-MM-DD' strings on the cafe's calendar; UTC keeps the arithmetic free of the
+    // browser's time zone and daylight saving
+    function dateOf(date) {
+        return new Date(`${date}T00:00:00Z`);
+    }
+
+    function addDays(date, days) {
+        const day = dateOf(date);
+        day.setUTCDate(day.getUTCDate() + days);
+        return day.toISOString().slice(0, 10);
+    }
+
+    function weekdayOf(date) {
+        return WEEKDAYS[dateOf(date).getUTCDay()];
+    }
+
+    function isTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // What the cafe's clock reads at `now`: { year: '2025', month: '12', day: '24', hour: '18', ... }
+    function clockParts(timeZone, now) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        return parts;
+    }
+
+    // The date and time of day on the cafe's clock: { date: '2025-12-24', minutes: 1080 }
+    function cafeClock(timeZone, now = new Date()) {
+        const parts = clockParts(timeZone, now);
+        const pad = number => String(number).padStart(2, '0');
+        return { date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`, minutes: parts.hour * 60 + parts.minute };
+    }
+
+    // `now` as a Date whose local getters (getDay(), getHours(), ...) read the cafe's clock, for the
+    // specials and event schedules, which work on local Dates
+    function cafeDate(timeZone, now = new Date()) {
+        const parts = clockParts(timeZone, now);
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+
+    // The moment the cafe's clock reads a date and time: ('2025-12-24', '23:59') -> Date
+    function cafeInstant(timeZone, date, time) {
+        const wanted = Date.parse(`${date}T${time}:00Z`);
+        // Start from the clock reading as if it were UTC and correct by the cafe's offset, twice in
+        // case the first guess lands on the other side of a daylight saving change
+        let instant = wanted;
+        for (let i = 0; i < 2; i++) {
+            const parts = clockParts(timeZone, new Date(instant));
+            instant += wanted - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        }
+        return new Date(instant);
+    }
+
+    // A day's shifts and why they differ from the usual week: { shifts, closure, special }
+    function hoursOn(openingHours, date) {
+        const closure = (openingHours.closures || []).find(candidate => candidate.date <= date && (candidate.endDate || candidate.date) >= date);
+        if (closure) return { shifts: [], closure, special: null };
+
+        const special = (openingHours.specialHours || []).find(candidate => candidate.date === date);
+        if (special) return { shifts: special.hours, closure: null, special };
+
+        return { shifts: openingHours.weekly[weekdayOf(date)] || [], closure: null, special: null };
+    }
+
+    // When a shift that is open now ends, following it past midnight into a shift that opens at 00:00
+    function closingOf(openingHours, date, shift) {
+        let day = date;
+        let current = shift;
+        for (let i = 0; i < 7 && current.close === '24:00'; i++) {
+            const next = hoursOn(openingHours, addDays(day, 1)).shifts.find(candidate => candidate.open === '00:00');
+            if (!next) break;
+            day = addDays(day, 1);
+            current = next;
+        }
+        return { date: day, time: current.close };
+    }
+
+    // Whether the cafe is open at `now`:
+    //   { open: true, today, closesAt: { date, time } }
+    //   { open: false, today, opensAt: { date, time } or null, closure }
+    // `today` is the cafe's date, `closure` the holiday it is closed for today, if any.
+    function status(openingHours, now = new Date()) {
+        const { date, minutes } = cafeClock(openingHours.timeZone, now);
+        const today = hoursOn(openingHours, date);
+
+        const current = today.shifts.find(shift => toMinutes(shift.open) <= minutes && minutes < toMinutes(shift.close));
+        if (current) return { open: true, today: date, closesAt: closingOf(openingHours, date, current) };
+
+        for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+            const day = addDays(date, offset);
+            const next = hoursOn(openingHours, day).shifts
+                .filter(shift => offset > 0 || toMinutes(shift.open) > minutes)
+                .sort((a, b) => toMinutes(a.open) - toMinutes(b.open))[0];
+            if (next) return { open: false, today: date, opensAt: { date: day, time: next.open }, closure: today.closure };
+        }
+        return { open: false, today: date, opensAt: null, closure: today.closure };
+    }
+
+    // 'Wed 24 Dec'
+    function formatDate(date) {
+        const day = dateOf(date);
+        return `${DAY_NAMES[day.getUTCDay()].slice(0, 3)} ${day.getUTCDate()} ${MONTH_NAMES[day.getUTCMonth()]}`;
+    }
+
+    // 'today', 'tomorrow', 'Monday' within the week, or 'on Wed 24 Dec'
+    function describeDay(date, today) {
+        if (date === today) return 'today';
+        if (date === addDays(today, 1)) return 'tomorrow';
+        if (date < addDays(today, 7)) return DAY_NAMES[dateOf(date).getUTCDay()];
+        return `on ${formatDate(date)}`;
+    }
+
+    // What a status means for guests: { label: 'Open now', detail: 'Closes at 11 PM' } or
+    // { label: 'Closed', detail: 'Opens tomorrow at 8 AM' }
+    function describeStatus(current) {
+        if (current.open) {
+            const { date, time } = current.closesAt;
+            const day = date === current.today ? '' : `${describeDay(date, current.today)} `;
+            return { label: 'Open now', detail: `Closes ${day}at ${EventSchedule.formatTime(time)}` };
+        }
+        const label = current.closure && current.closure.reason ? `Closed today for ${current.closure.reason}` : 'Closed';
+        if (!current.opensAt) return { label, detail: '' };
+        const { date, time } = current.opensAt;
+        return { label, detail: `Opens ${describeDay(date, current.today)} at ${EventSchedule.formatTime(time)}` };
+    }
+
+    // '7 AM - 3 PM, 5 PM - 11 PM', or 'Closed'
+    function describeShifts(shifts) {
+        if (!shifts || !shifts.length) return 'Closed';
+        return shifts.map(shift => `${EventSchedule.formatTime(shift.open)} - ${EventSchedule.formatTime(shift.close)}`).join(', ');
+    }
+
+    // The usual week with days that keep the same hours run together:
+    //   [{ days: 'Monday - Friday', hours: '7 AM - 11 PM' }, { days: 'Saturday & Sunday', hours: '8 AM - 12 AM' }]
+    function describeWeek(openingHours) {
+        const rows = [];
+        WEEK.forEach(day => {
+            const hours = describeShifts(openingHours.weekly[day]);
+            const last = rows[rows.length - 1];
+            if (last && last.hours === hours) {
+                last.to = day;
+            } else {
+                rows.push({ from: day, to: day, hours });
+            }
+        });
+
+        const name = day => DAY_NAMES[WEEKDAYS.indexOf(day)];
+        return rows.map(({ from, to, hours }) => {
+            let days = name(from);
+            if (to !== from) days += WEEK.indexOf(to) === WEEK.indexOf(from) + 1 ? ` & ${name(to)}` : ` - ${name(to)}`;
+            return { days, hours };
+        });
+    }
+
+    // Closures and special hours that haven't ended yet and start within `days`, soonest first:
+    //   [{ date, endDate, reason, shifts }] with empty shifts for a closure
+    function upcomingChanges(openingHours, now = new Date(), days = SEARCH_DAYS) {
+        const { date: today } = cafeClock(openingHours.timeZone, now);
+        const until = addDays(today, days);
+
+        const closures = (openingHours.closures || []).map(closure => ({
+            date: closure.date,
+            endDate: closure.endDate || closure.date,
+            reason: closure.reason || '',
+            shifts: []
+        }));
+        const special = (openingHours.specialHours || []).map(change => ({
+            date: change.date,
+            endDate: change.date,
+            reason: change.reason || '',
+            shifts: change.hours
+        }));
+
+        return [...closures, ...special]
+            .filter(change => change.endDate >= today && change.date <= until)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // 'Wed 24 Dec' or 'Wed 24 Dec - Thu 1 Jan'
+    function describeDates(change) {
+        return change.endDate && change.endDate !== change.date
+            ? `${formatDate(change.date)} - ${formatDate(change.endDate)}`
+            : formatDate(change.date);
+    }
+
+    function checkShifts(shifts, path, errors) {
+        const sorted = shifts
+            .map((shift, index) => ({ shift, index }))
+            .sort((a, b) => toMinutes(a.shift.open) - toMinutes(b.shift.open));
+
+        // When the shifts checked so far close, latest first
+        let latestClose = -1;
+        sorted.forEach(({ shift, index }) => {
+            if (toMinutes(shift.close) <= toMinutes(shift.open)) {
+                errors.push({ path: `${path}[${index}].close`, message: 'must be after the opening time' });
+                return;
+            }
+            if (toMinutes(shift.open) < latestClose) {
+                errors.push({ path: `${path}[${index}].open`, message: 'overlaps with an earlier shift' });
+            }
+            latestClose = Math.max(latestClose, toMinutes(shift.close));
+        });
+    }
+
+    // Checks the schema can't express, on a contact.json that passed it. Returns errors like the
+    // schema validator's: [{ path, message }].
+    //  - the time zone has to be one the server and browsers know
+    //  - shifts close after they open and don't overlap
+    //  - a closure can't end before it starts, and special hours need a day of their own that isn't closed
+    function findProblems(data) {
+        const openingHours = data.openingHours;
+        if (!openingHours) return [];
+
+        const errors = [];
+        if (!isTimeZone(openingHours.timeZone)) {
+            errors.push({ path: 'openingHours.timeZone', message: 'is not a known time zone, like Europe/London' });
+        }
+
+        WEEK.forEach(day => checkShifts(openingHours.weekly[day], `openingHours.weekly.${day}`, errors));
+
+        (openingHours.closures || []).forEach((closure, index) => {
+            if (closure.endDate && closure.endDate < closure.date) {
+                errors.push({ path: `openingHours.closures[${index}].endDate`, message: 'must be on or after the first day' });
+            }
+        });
+
+        (openingHours.specialHours || []).forEach((change, index) => {
+            const path = `openingHours.specialHours[${index}]`;
+            checkShifts(change.hours, `${path}.hours`, errors);
+
+            if ((openingHours.specialHours || []).slice(0, index).some(other => other.date === change.date)) {
+                errors.push({ path: `${path}.date`, message: `already has special hours on ${change.date}` });
+            } else if (hoursOn({ ...openingHours, specialHours: [] }, change.date).closure) {
+                errors.push({ path: `${path}.date`, message: `falls on a closure, so the cafe is closed on ${change.date}` });
+            }
+        });
+        return errors;
+    }
+
+    return {
+        WEEK,
+        cafeClock,
+        cafeDate,
+        cafeInstant,
+        addDays,
+        hoursOn,
+        status,
+        describeStatus,
+        describeShifts,
+        describeWeek,
+        upcomingChanges,
+        describeDates,
+        isTimeZone,
+        findProblems
+    };
+}));
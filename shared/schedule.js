@@ -0,0 +1,198 @@
+// Event schedules, shared by the server (require) and the website and admin panel (<script>),
+// so both agree on when an event next happens.
+//
+// An event's optional `schedule` (see shared/schemas/events.schema.json) is one of:
+//   { type: 'once', date: '2025-06-14' }
+//   { type: 'weekly', weekdays: ['tuesday', 'friday'] }
+//   { type: 'monthly', dayOfMonth: 15 }
+//   { type: 'monthly', week: 1, weekday: 'sunday' }          first Sunday; week -1 is the last one
+// plus, for any type, startTime / endTime ('19:00'; no startTime means all day, an endTime at or before
+// the startTime means the next morning), and for repeating ones startDate / endDate and `exceptions`,
+// dates on which the event doesn't take place.
+//
+// Times are the cafe's local time, and so is the `now` passed in (see OpeningHours.cafeDate()).
+// Occurrences are { date: 'YYYY-MM-DD', start: Date, end: Date, allDay }.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EventSchedule = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Date.getDay() order
+    const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const ORDINAL_WEEKS = { 1: 'First', 2: 'Second', 3: 'Third', 4: 'Fourth', '-1': 'Last' };
+
+    // How far ahead nextOccurrence looks; a monthly event on the 31st can skip a few months
+    const SEARCH_DAYS = 400;
+
+    function pad(number) {
+        return String(number).padStart(2, '0');
+    }
+
+    function toDateString(date) {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Local midnight of a 'YYYY-MM-DD' date
+    function parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    function atTime(day, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+    }
+
+    function addDays(day, days) {
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate() + days);
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Whether the schedule has the event on a day (ignoring its time)
+    function fallsOn(schedule, day) {
+        const date = toDateString(day);
+        if (schedule.type === 'once') return date === schedule.date;
+
+        if (schedule.startDate && date < schedule.startDate) return false;
+        if (schedule.endDate && date > schedule.endDate) return false;
+        if ((schedule.exceptions || []).includes(date)) return false;
+
+        if (schedule.type === 'weekly') {
+            return (schedule.weekdays || []).includes(WEEKDAYS[day.getDay()]);
+        }
+        if (schedule.type === 'monthly') {
+            if (schedule.dayOfMonth) return day.getDate() === schedule.dayOfMonth;
+            if (WEEKDAYS[day.getDay()] !== schedule.weekday) return false;
+            if (schedule.week === -1) return addDays(day, 7).getMonth() !== day.getMonth();
+            return Math.ceil(day.getDate() / 7) === schedule.week;
+        }
+        return false;
+    }
+
+    function occurrenceOn(schedule, day) {
+        if (!schedule.startTime) {
+            return { date: toDateString(day), start: day, end: addDays(day, 1), allDay: true };
+        }
+
+        const start = atTime(day, schedule.startTime);
+        let end = schedule.endTime ? atTime(day, schedule.endTime) : null;
+        if (!end) {
+            // Without an end time an event counts as running until the end of its day
+            end = addDays(day, 1);
+        } else if (end <= start) {
+            end = atTime(addDays(day, 1), schedule.endTime);
+        }
+        return { date: toDateString(day), start, end, allDay: false };
+    }
+
+    // Occurrences that haven't ended by `from` and start before `to`, in order
+    function occurrencesBetween(schedule, from, to) {
+        if (!schedule) return [];
+
+        const occurrences = [];
+        // Start a day early so an event running past midnight is still found
+        for (let day = addDays(parseDate(toDateString(from)), -1); day < to; day = addDays(day, 1)) {
+            if (!fallsOn(schedule, day)) continue;
+            const occurrence = occurrenceOn(schedule, day);
+            if (occurrence.end > from && occurrence.start < to) occurrences.push(occurrence);
+        }
+        return occurrences;
+    }
+
+    // The occurrence happening now or coming up next, or null when there are no more
+    function nextOccurrence(schedule, now = new Date()) {
+        if (!schedule) return null;
+
+        if (schedule.type === 'once') {
+            const occurrence = occurrenceOn(schedule, parseDate(schedule.date));
+            return occurrence.end > now ? occurrence : null;
+        }
+
+        const until = addDays(now, SEARCH_DAYS);
+        for (let day = addDays(parseDate(toDateString(now)), -1); day < until; day = addDays(day, 1)) {
+            if (schedule.endDate && toDateString(day) > schedule.endDate) return null;
+            if (!fallsOn(schedule, day)) continue;
+            const occurrence = occurrenceOn(schedule, day);
+            if (occurrence.end > now) return occurrence;
+        }
+        return null;
+    }
+
+    // Whether a scheduled event is over for good. Events without a schedule never are.
+    function hasEnded(schedule, now = new Date()) {
+        return Boolean(schedule) && nextOccurrence(schedule, now) === null;
+    }
+
+    // '19:00' -> '7 PM', '19:30' -> '7:30 PM'
+    function formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const suffix = hours < 12 || hours === 24 ? 'AM' : 'PM';
+        const hour = hours % 12 || 12;
+        return minutes ? `${hour}:${pad(minutes)} ${suffix}` : `${hour} ${suffix}`;
+    }
+
+    function formatTimes(schedule) {
+        if (!schedule.startTime) return 'All Day';
+        return schedule.endTime
+            ? `${formatTime(schedule.startTime)} - ${formatTime(schedule.endTime)}`
+            : formatTime(schedule.startTime);
+    }
+
+    // 'Fri 24 Oct'
+    function formatDay(day) {
+        return `${DAY_NAMES[day.getDay()]} ${day.getDate()} ${MONTH_NAMES[day.getMonth()]}`;
+    }
+
+    // 'Fri 24 Oct, 7 PM' or 'Thu 23 Oct, all day'
+    function formatOccurrence(occurrence) {
+        const day = formatDay(parseDate(occurrence.date));
+        if (occurrence.allDay) return `${day}, all day`;
+        return `${day}, ${formatTime(`${occurrence.start.getHours()}:${pad(occurrence.start.getMinutes())}`)}`;
+    }
+
+    function ordinal(number) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const suffix = number % 100 >= 11 && number % 100 <= 13 ? 'th' : (suffixes[number % 10] || 'th');
+        return `${number}${suffix}`;
+    }
+
+    // The display text events have always had, e.g. 'Every Friday | 7 PM'
+    function describeSchedule(schedule) {
+        if (!schedule) return '';
+
+        let days;
+        if (schedule.type === 'once') {
+            const day = parseDate(schedule.date);
+            days = `${formatDay(day)} ${day.getFullYear()}`;
+        } else if (schedule.type === 'weekly') {
+            // Listed Monday first, the way the cafe's week runs
+            const names = [...WEEKDAYS.slice(1), WEEKDAYS[0]]
+                .filter(weekday => (schedule.weekdays || []).includes(weekday))
+                .map(capitalize);
+            days = names.length === 7 ? 'Every Day' : `Every ${names.join(' & ')}`;
+        } else if (schedule.dayOfMonth) {
+            days = `${ordinal(schedule.dayOfMonth)} of Every Month`;
+        } else {
+            days = `${ORDINAL_WEEKS[schedule.week]} ${capitalize(schedule.weekday || '')} of the Month`;
+        }
+        return `${days} | ${formatTimes(schedule)}`;
+    }
+
+    return {
+        WEEKDAYS,
+        toDateString,
+        occurrencesBetween,
+        nextOccurrence,
+        hasEnded,
+        formatTime,
+        formatOccurrence,
+        describeSchedule
+    };
+}));
@@ -0,0 +1,208 @@
+// Small JSON Schema validator shared by the server (require) and the admin panel (<script>),
+// so both sides accept and reject exactly the same data.
+//
+// Supports the subset of JSON Schema the files in shared/schemas use:
+//   type, enum, const, required, properties, additionalProperties, items, minItems, maxItems,
+//   uniqueItems, minLength, maxLength, pattern, format (email, uri, date, time, date-time),
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum, anyOf, oneOf, $ref to "#/$defs/..."
+// plus uniqueItemProperties (as in ajv-keywords): items of an array must differ in the listed properties,
+// and errorMessage (a plain string, as in ajv-errors) to replace the message of a failed pattern, anyOf or oneOf.
+//
+// validate(schema, data) returns { valid, errors: [{ path, message }] } where path looks like
+// "items[2].price" ("" for the document itself).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchemaValidator = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const FORMATS = {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        uri: /^https?:\/\/[^\s]+$/i,
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        time: /^\d{2}:\d{2}(:\d{2})?$/,
+        'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/
+    };
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return 'invalid number';
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    function childPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return path ? `${path}.${key}` : key;
+    }
+
+    function resolveRef(rootSchema, ref) {
+        if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref "${ref}"`);
+        return ref.slice(2).split('/').reduce((node, part) => {
+            if (!node || !(part in node)) throw new Error(`Unresolvable $ref "${ref}"`);
+            return node[part];
+        }, rootSchema);
+    }
+
+    function describe(value) {
+        return JSON.stringify(value);
+    }
+
+    function check(schema, value, path, rootSchema, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push({ path, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.$ref) {
+            check(resolveRef(rootSchema, schema.$ref), value, path, rootSchema, errors);
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push({ path, message: `must be ${types.join(' or ')}` });
+                // Further checks would only repeat the same problem
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => describe(option) === describe(value))) {
+            errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+        }
+        if ('const' in schema && describe(schema.const) !== describe(value)) {
+            errors.push({ path, message: `must be ${describe(schema.const)}` });
+        }
+
+        if (schema.anyOf || schema.oneOf) {
+            const options = schema.anyOf || schema.oneOf;
+            const matching = options.filter(option => {
+                const optionErrors = [];
+                check(option, value, path, rootSchema, optionErrors);
+                return optionErrors.length === 0;
+            }).length;
+            if (matching === 0 || (schema.oneOf && matching > 1)) {
+                errors.push({ path, message: schema.errorMessage || 'does not match any allowed form' });
+            }
+        }
+
+        const type = typeOf(value);
+
+        if (type === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({
+                    path,
+                    message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`
+                });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: schema.errorMessage || `must match ${schema.pattern}` });
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+                errors.push({ path, message: `must be a valid ${schema.format}` });
+            }
+        }
+
+        if (type === 'number' || type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be ${schema.minimum} or more` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be ${schema.maximum} or less` });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                errors.push({ path, message: `must be less than ${schema.exclusiveMaximum}` });
+            }
+        }
+
+        if (type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: childPath(path, key), message: 'is required' });
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                    check(properties[key], value[key], childPath(path, key), rootSchema, errors);
+                } else if (schema.additionalProperties !== undefined) {
+                    if (schema.additionalProperties === false) {
+                        errors.push({ path: childPath(path, key), message: 'is not an allowed field' });
+                    } else {
+                        check(schema.additionalProperties, value[key], childPath(path, key), rootSchema, errors);
+                    }
+                }
+            });
+        }
+
+        if (type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => check(schema.items, item, childPath(path, index), rootSchema, errors));
+            }
+            if (schema.uniqueItems) {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    const key = describe(item);
+                    if (seen.has(key)) errors.push({ path: childPath(path, index), message: 'is a duplicate' });
+                    seen.add(key);
+                });
+            }
+            (schema.uniqueItemProperties || []).forEach(property => {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    if (typeOf(item) !== 'object' || item[property] === undefined) return;
+                    const key = describe(item[property]);
+                    if (seen.has(key)) {
+                        errors.push({
+                            path: childPath(childPath(path, index), property),
+                            message: `${key} is already used by another item`
+                        });
+                    }
+                    seen.add(key);
+                });
+            });
+        }
+    }
+
+    function validate(schema, data) {
+        const errors = [];
+        check(schema, data, '', schema, errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    // One line per error, e.g. "items[2].price must be 0 or more"
+    function formatError(error) {
+        return error.path ? `${error.path} ${error.message}` : `Document ${error.message}`;
+    }
+
+    // Short summary of a list of errors for messages and toasts
+    function summarizeErrors(errors, limit = 3) {
+        const shown = errors.slice(0, limit).map(formatError).join('; ');
+        return errors.length > limit ? `${shown} (and ${errors.length - limit} more)` : shown;
+    }
+
+    return { validate, formatError, summarizeErrors };
+}));
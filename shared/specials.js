@@ -0,0 +1,197 @@
+// When specials run, shared by the server (require) and the website and admin panel (<script>,
+// after schedule.js).
+//
+// A special runs on its `days` ('Monday', ...; every day when it has none), between its optional
+// `startDate` and `endDate` (both included), and all day or between `startTime` and `endTime`
+// ('15:00'), on the cafe's clock (see OpeningHours.cafeDate()). Specials saved before days existed
+// have a single `day`, which still works.
+//
+// A special either links to the menu, with `picks` ({ itemId: 4 } for an item, { category: 'Tea' }
+// for the guest's choice from a category, each with an optional `quantity`) and a `discountPercent`
+// its price is worked out from, or describes its deal in text: `items`, `price` and `discount`.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule'));
+    } else {
+        root.Specials = factory(root.EventSchedule);
+    }
+}(typeof self !== 'undefined' ? self : this, function (EventSchedule) {
+    // Date.getDay() order
+    const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    // The order they're listed in, Monday first
+    const WEEK = [...DAYS.slice(1), DAYS[0]];
+
+    // The days a special runs on, or null for every day
+    function daysOf(special) {
+        if (special.days && special.days.length) return special.days;
+        return special.day ? [special.day] : null;
+    }
+
+    function minutesOf(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Whether a special is in its date range on a day: not started yet or over ones are hidden
+    function isCurrent(special, now = new Date()) {
+        const today = EventSchedule.toDateString(now);
+        return (!special.startDate || special.startDate <= today) && (!special.endDate || special.endDate >= today);
+    }
+
+    function runsOn(special, now = new Date()) {
+        const days = daysOf(special);
+        return isCurrent(special, now) && (!days || days.includes(DAYS[now.getDay()]));
+    }
+
+    // Where a special is today: 'on' now, 'later' today, 'over' for today, or null when it doesn't run today
+    function todayStatus(special, now = new Date()) {
+        if (!runsOn(special, now)) return null;
+        if (!special.startTime || !special.endTime) return 'on';
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        if (minutes < minutesOf(special.startTime)) return 'later';
+        return minutes < minutesOf(special.endTime) ? 'on' : 'over';
+    }
+
+    // 'Monday', 'Mon - Fri', 'Sat & Sun', 'Mon, Wed & Fri' or 'Every Day'
+    function describeDays(special) {
+        const days = daysOf(special);
+        if (!days || days.length === 7) return 'Every Day';
+        if (days.length === 1) return days[0];
+
+        const indexes = WEEK.map((day, index) => (days.includes(day) ? index : -1)).filter(index => index !== -1);
+        const names = indexes.map(index => WEEK[index].slice(0, 3));
+        const consecutive = indexes.every((index, i) => i === 0 || index === indexes[i - 1] + 1);
+        if (consecutive && names.length > 2) return `${names[0]} - ${names[names.length - 1]}`;
+        return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+    }
+
+    // '3 PM - 5 PM', or '' for an all-day special
+    function describeTimes(special) {
+        if (!special.startTime || !special.endTime) return '';
+        return `${EventSchedule.formatTime(special.startTime)} - ${EventSchedule.formatTime(special.endTime)}`;
+    }
+
+    function roundPrice(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    // What a linked special costs with today's menu prices, or null for a special described in text:
+    //   { lines: [{ label, quantity, price }], original, price, from, missing: ['item #4', 'category Tea'] }
+    // A category pick counts at its cheapest item, so `from` says the price is a starting price.
+    // Picks whose item or category is gone from the menu are left out and listed in `missing`.
+    function priceSpecial(special, menu) {
+        if (!special.picks) return null;
+
+        const items = (menu && menu.items) || [];
+        const lines = [];
+        const missing = [];
+        let from = false;
+
+        special.picks.forEach(pick => {
+            const quantity = pick.quantity || 1;
+            if (pick.itemId !== undefined) {
+                const item = items.find(candidate => candidate.id === pick.itemId);
+                if (!item) {
+                    missing.push(`item #${pick.itemId}`);
+                    return;
+                }
+                lines.push({ label: item.name, quantity, price: roundPrice(item.price * quantity) });
+            } else {
+                const choices = items.filter(candidate => candidate.category === pick.category);
+                if (!choices.length) {
+                    missing.push(`category ${pick.category}`);
+                    return;
+                }
+                const cheapest = Math.min(...choices.map(candidate => candidate.price));
+                lines.push({ label: `Choice of ${pick.category}`, quantity, price: roundPrice(cheapest * quantity) });
+                if (choices.some(candidate => candidate.price !== cheapest)) from = true;
+            }
+        });
+
+        const original = roundPrice(lines.reduce((sum, line) => sum + line.price, 0));
+        return {
+            lines,
+            original,
+            price: roundPrice(original * (1 - special.discountPercent / 100)),
+            from,
+            missing
+        };
+    }
+
+    // 'Zinger Burger + Classic Fries + 2 x Choice of Tea'
+    function describePicks(priced) {
+        return priced.lines
+            .map(line => (line.quantity > 1 ? `${line.quantity} x ${line.label}` : line.label))
+            .join(' + ');
+    }
+
+    // Linked specials with picks that are no longer on the menu: [{ id, name, missing }]
+    function findBrokenLinks(specials, menu) {
+        return specials
+            .map(special => ({ special, priced: priceSpecial(special, menu) }))
+            .filter(({ priced }) => priced && priced.missing.length)
+            .map(({ special, priced }) => ({ id: special.id, name: special.name, missing: priced.missing }));
+    }
+
+    // Whether two specials could both be running at some moment
+    function overlap(a, b) {
+        const aDays = daysOf(a);
+        const bDays = daysOf(b);
+        if (aDays && bDays && !aDays.some(day => bDays.includes(day))) return false;
+
+        if (a.endDate && b.startDate && a.endDate < b.startDate) return false;
+        if (b.endDate && a.startDate && b.endDate < a.startDate) return false;
+
+        if (a.startTime && a.endTime && b.startTime && b.endTime) {
+            return minutesOf(a.startTime) < minutesOf(b.endTime) && minutesOf(b.startTime) < minutesOf(a.endTime);
+        }
+        return true;
+    }
+
+    // Checks the schema can't express, on a specials.json that passed it. Returns errors like the
+    // schema validator's: [{ path, message }].
+    //  - an end date can't be before the start date, and a time window needs both ends, in order
+    //  - specials with the same name can't overlap, or it would be unclear which price holds
+    function findProblems(data) {
+        const errors = [];
+        const specials = data.specials || [];
+
+        specials.forEach((special, index) => {
+            const path = `specials[${index}]`;
+            if (special.startDate && special.endDate && special.endDate < special.startDate) {
+                errors.push({ path: `${path}.endDate`, message: 'must be on or after the start date' });
+            }
+            if (Boolean(special.startTime) !== Boolean(special.endTime)) {
+                const missing = special.startTime ? 'endTime' : 'startTime';
+                errors.push({ path: `${path}.${missing}`, message: 'is needed for a time window' });
+            } else if (special.startTime && minutesOf(special.endTime) <= minutesOf(special.startTime)) {
+                errors.push({ path: `${path}.endTime`, message: 'must be after the start time' });
+            }
+
+            const name = special.name.trim().toLowerCase();
+            const clash = specials.slice(0, index).find(other => other.name.trim().toLowerCase() === name && overlap(other, special));
+            if (clash) {
+                errors.push({
+                    path: `${path}.name`,
+                    message: `overlaps with the other "${clash.name}" special (#${clash.id}); change the days, dates or times`
+                });
+            }
+        });
+        return errors;
+    }
+
+    return {
+        DAYS,
+        daysOf,
+        isCurrent,
+        runsOn,
+        todayStatus,
+        describeDays,
+        describeTimes,
+        priceSpecial,
+        describePicks,
+        findBrokenLinks,
+        findProblems
+    };
+}));